@@ -1,33 +1,79 @@
 import * as THREE from 'three';
 import * as state from '../state.js';
-import { AI_CONFIG, PHYSICS, PIECE_DATA } from '../constants.js';
+import { AI_CONFIG, PHYSICS, PIECE_DATA, ELEVATION, CHECKPOINTS } from '../constants.js';
 import { createCar, getAICarColors, updateAICarTheme } from '../car/car.js';
 import { scene } from '../scene.js';
-import { updateLeaderboard } from '../ui/leaderboard.js';
+import { updateLeaderboard, getClassification } from '../ui/leaderboard.js';
 import { detectSurface, orientToSurface, getSurfaceType, getGripMultiplier, canMaintainSurfaceContact, checkBarrierCollision, applyBarrierCollision } from '../car/surfacePhysics.js';
 import { checkObstacleCollision, applyObstacleCollision } from '../obstacles/obstaclePhysics.js';
 import { PIDController } from './pidController.js';
-import { RacingLine, getCurvatureAt } from './pathfinding.js';
+import { RacingLine, getCurvatureAt, advanceT } from './pathfinding.js';
+import { getRaceProgress } from '../track/trackState.js';
 import { onThemeChange } from '../theme/themeManager.js';
 import { emitDriftSmoke } from '../effects/particles.js';
+import { createLapTimer, completeSector, completeLap, getRaceTime } from '../car/lapTiming.js';
+import { checkElimination, isEliminationRace } from '../car/elimination.js';
 
 const CAR_COLLISION_RADIUS = 2.2;
 const COLLISION_RESTITUTION = 0.3;
 const COLLISION_FRICTION = 0.7;
 const SPIN_FACTOR = 0.15;
 
-// Global racing line for all AI cars
-let racingLine = null;
+// Cars further apart than this vertically are on different levels (a flyover and
+// the road under it) and can't touch
+const CAR_VERTICAL_CLEARANCE = ELEVATION.HEIGHT_PER_LEVEL / 2;
+
+// Cars whose headings line up less than this are crossing our path, not sharing our lane
+const CROSS_TRAFFIC_ALIGNMENT = 0.5;
+
+// How much a fully risk-averse driver inflates a route's length per hazard per 100 units
+const ROUTE_RISK_WEIGHT = 0.5;
+
+// One entry per route around the track (state.trackRoutes, main line first):
+// { curve, racingLine, length, risk, finishT }, shared by all AI cars
+let routes = [];
+
+// Pieces that can cost a driver time or control
+function isHazardPiece(piece) {
+    const def = piece.def;
+    return (def.isObstacle && def.obstacleType !== 'boost') || def.isRamp ||
+        (piece.surface && piece.surface !== 'asphalt');
+}
+
+// Hazards per 100 units of a route
+function getRouteRisk(route, length) {
+    const hazards = route.ordered.filter(({ piece }) => isHazardPiece(piece)).length;
+    return hazards * 100 / length;
+}
+
+// Pick a route for the coming lap: shorter is better, riskier is worse the less risk the driver tolerates
+function chooseRoute(personality) {
+    let bestIndex = 0;
+    let bestCost = Infinity;
+    routes.forEach((route, index) => {
+        const cost = route.length * (1 + route.risk * (1 - personality.riskTolerance) * ROUTE_RISK_WEIGHT);
+        if (cost < bestCost) {
+            bestCost = cost;
+            bestIndex = index;
+        }
+    });
+    return bestIndex;
+}
 
 export function setupAICars() {
     state.aiCars.forEach(ai => scene.remove(ai.mesh));
     state.aiCars.length = 0;
 
-    // Compute racing line for this track (2.2)
-    if (state.roadCurve) {
-        racingLine = new RacingLine(state.roadCurve, state.placedPieces, PHYSICS.trackWidth);
+    // Compute racing line for each route around this track (2.2)
+    routes = state.trackRoutes.map(route => {
+        const racingLine = new RacingLine(route.curve, state.placedPieces, PHYSICS.trackWidth);
         racingLine.compute(200);
-    }
+        const length = route.curve.getLength();
+        return { curve: route.curve, racingLine, length, risk: getRouteRisk(route, length), finishT: route.finishT };
+    });
+
+    // Time trials are solo; the routes are still needed to drive the player after the finish
+    if (state.raceConfig.type === 'trial') return;
 
     // Find start piece for grid positioning
     const startPiece = state.placedPieces.find(p => p.type === 'start');
@@ -67,14 +113,15 @@ export function setupAICars() {
         const heading = startPiece.heading;
         const lanePos = lateralOffset;
 
-        // Calculate initial trackPosition based on how far along the start piece
-        // This prevents the AI from trying to "jump" to trackPosition 0
-        const curveLength = state.roadCurve ? state.roadCurve.getLength() : 200;
-        const initialTrackPosition = forwardOffset / curveLength; // Position on the start piece, behind start line
-
         // Get personality for this car (3.3)
         const personalityKey = AI_CONFIG.aiPersonalities[i] || 'balanced';
         const personality = AI_CONFIG.personalities[personalityKey];
+        const routeIndex = chooseRoute(personality);
+
+        // Calculate initial trackPosition based on how far along the start piece
+        // This prevents the AI from trying to "jump" to trackPosition 0
+        const curveLength = routes[routeIndex] ? routes[routeIndex].length : 200;
+        const initialTrackPosition = forwardOffset / curveLength; // Position on the start piece, behind start line
 
         state.aiCars.push({
             mesh: aiCar,
@@ -87,6 +134,7 @@ export function setupAICars() {
             spinVelocity: 0,
             // Track following
             trackPosition: initialTrackPosition, // Start behind the start line
+            routeIndex: routeIndex,              // Which of the routes this lap follows
             lastCheckpoint: 0,
             laneOffset: lanePos,
             targetLaneOffset: lanePos,
@@ -100,6 +148,8 @@ export function setupAICars() {
             lapCount: 0, // Start at 0 like player (behind start line)
             finished: false,
             finishTime: 0,
+            lapTimer: createLapTimer(),
+            eliminatedLap: null, // Lap the car was knocked out on in an elimination race
             name: AI_CONFIG.names[i],
             // Collision
             collisionCooldown: 0,
@@ -150,9 +200,9 @@ function updateCarAwareness(ai, allCars, playerPhysics) {
 
     const forward = new THREE.Vector3(Math.sin(ai.heading), 0, Math.cos(ai.heading));
 
-    // Check all other cars
-    const otherCars = [...allCars.filter(c => c !== ai)];
-    if (playerPhysics && playerPhysics.position) {
+    // Check all other cars still on the track
+    const otherCars = allCars.filter(c => c !== ai && c.eliminatedLap === null);
+    if (playerPhysics && playerPhysics.position && playerPhysics.eliminatedLap === null) {
         otherCars.push({
             position: playerPhysics.position,
             speed: playerPhysics.speed,
@@ -162,6 +212,8 @@ function updateCarAwareness(ai, allCars, playerPhysics) {
     }
 
     for (const other of otherCars) {
+        if (Math.abs(other.position.y - ai.position.y) > CAR_VERTICAL_CLEARANCE) continue;
+
         const toOther = other.position.clone().sub(ai.position);
         toOther.y = 0;
         const distance = toOther.length();
@@ -186,8 +238,10 @@ function updateCarAwareness(ai, allCars, playerPhysics) {
         if (dotForward > 0.3) {  // Ahead
             ai.nearbyCarsFront.push(carInfo);
 
-            // Check if blocking
+            // Check if blocking (cross traffic at a crossing is gone before we could pass it)
+            const alignment = Math.cos(other.heading - ai.heading);
             if (dotForward > AI_CONFIG.awareness.blockingThreshold &&
+                alignment > CROSS_TRAFFIC_ALIGNMENT &&
                 lateral < PHYSICS.trackWidth * 0.6 &&
                 distance < 15) {
                 ai.isBlocked = true;
@@ -271,14 +325,8 @@ function updateDynamicDifficulty(ai, delta) {
         return;
     }
 
-    // Calculate progress difference
-    const playerProgress = state.lapCount + (state.playerPhysics?.trackPosition || 0);
-    const aiProgress = ai.lapCount + ai.trackPosition;
-    const progressDiff = playerProgress - aiProgress;  // Positive = player ahead
-
-    // Estimate distance in meters
-    const curveLength = state.roadCurve ? state.roadCurve.getLength() : 100;
-    const distanceDiff = progressDiff * curveLength;
+    // Distance in meters between player and AI progress (positive = player ahead)
+    const distanceDiff = getPlayerProgress() - getAIProgress(ai);
     ai.distanceToPlayer = distanceDiff;
 
     // Calculate target difficulty
@@ -305,7 +353,7 @@ function updateDynamicDifficulty(ai, delta) {
 }
 
 // Calculate speed-dependent lookahead distance (2.3)
-function calculateLookahead(ai, curveLength) {
+function calculateLookahead(ai, curveLength, racingLine) {
     const speedRatio = ai.speed / PHYSICS.maxSpeed;
 
     // Base lookahead: min + (max - min) * speed ratio
@@ -326,14 +374,27 @@ function calculateLookahead(ai, curveLength) {
     return lookaheadDist / curveLength;
 }
 
+// Sector splits as the AI passes each checkpoint (a sprint spreads them out before its finish line)
+function updateAISectors(ai, lastT, route) {
+    const lapLength = state.raceMode === 'sprint' ? route.finishT : 1;
+    CHECKPOINTS.forEach((cp, i) => {
+        const splitT = cp * lapLength;
+        if (lastT < splitT && ai.trackPosition >= splitT) completeSector(ai.lapTimer, i);
+    });
+}
+
 export function updateAICars(delta) {
-    if (!state.roadCurve) return;
+    if (!state.roadCurve || routes.length === 0) return;
     if (state.gameState !== 'racing' && state.gameState !== 'finished') return;
     if (state.isPaused || state.isCountingDown) return; // Don't update AI while paused or counting down
 
-    const curveLength = state.roadCurve.getLength();
-
     state.aiCars.forEach((ai, index) => {
+        // Knocked out of an elimination race and off the track
+        if (ai.eliminatedLap !== null) return;
+
+        let route = routes[ai.routeIndex] || routes[0];
+        const curveLength = route.length;
+
         // Update cooldowns
         if (ai.collisionCooldown > 0) ai.collisionCooldown -= delta;
         if (ai.collisionRecovery > 0) ai.collisionRecovery -= delta;
@@ -345,33 +406,53 @@ export function updateAICars(delta) {
 
         // Advance track position based on speed
         const speedVariation = 0.85 + index * 0.02;
+        const lastT = ai.trackPosition;
         ai.trackPosition += (ai.speed / curveLength) * delta * speedVariation;
-        if (ai.trackPosition >= 1) {
+        if (!ai.finished) updateAISectors(ai, lastT, route);
+        if (state.raceMode === 'sprint') {
+            // One run to the finish line, then the car stays on the run-off past it
+            if (ai.trackPosition >= route.finishT && !ai.finished) {
+                completeLap(ai.lapTimer);
+                ai.finished = true;
+                ai.finishTime = getRaceTime();
+            }
+            ai.trackPosition = Math.min(ai.trackPosition, 1);
+        } else if (ai.trackPosition >= 1) {
             ai.trackPosition -= 1;
             ai.lapCount++;
+            if (!ai.finished) {
+                completeLap(ai.lapTimer);
+                checkElimination(ai.lapCount);
+            }
 
             // Update skill variation each lap (3.3)
             ai.skillVariation = 1 + (Math.random() - 0.5) * ai.personality.consistencyVariation;
 
-            if (ai.lapCount >= 3 && !ai.finished) {
+            // Routes all meet at the start line, so a new lap can take a different one
+            ai.routeIndex = chooseRoute(ai.personality);
+            route = routes[ai.routeIndex];
+
+            const config = state.raceConfig;
+            if (config.type !== 'timed' && !isEliminationRace() && ai.lapCount >= config.laps && !ai.finished) {
                 ai.finished = true;
-                ai.finishTime = Date.now();
+                ai.finishTime = getRaceTime();
             }
         }
 
         // Speed-dependent lookahead (2.3)
-        const lookaheadT = calculateLookahead(ai, curveLength);
+        const lookaheadT = calculateLookahead(ai, curveLength, route.racingLine);
 
         // Get target from racing line (2.2)
-        // Clamp trackPosition to [0, 1) range for curve lookups
+        // Clamp trackPosition to [0, 1) range for curve lookups (a sprint's open curve keeps 1)
         // Don't wrap negative values - clamp to 0 so AI behind start line targets the start
         let targetT = ai.trackPosition;
         if (targetT < 0) targetT = 0;  // Behind start line - target the start
-        while (targetT >= 1) targetT -= 1;
-        const lookAheadT = (targetT + lookaheadT) % 1;
+        while (route.curve.closed && targetT >= 1) targetT -= 1;
+        const lookAheadT = advanceT(route.curve, targetT, lookaheadT);
 
         let trackPoint, trackTangent, targetSpeed;
 
+        const racingLine = route.racingLine;
         if (racingLine) {
             const target = racingLine.getTarget(targetT);
             const lookAheadTarget = racingLine.getTarget(lookAheadT);
@@ -387,16 +468,19 @@ export function updateAICars(delta) {
             targetSpeed *= ai.difficultyMultiplier;
         } else {
             // Fallback to basic curve following
-            trackPoint = state.roadCurve.getPoint(targetT);
-            trackTangent = state.roadCurve.getTangent(targetT);
+            trackPoint = route.curve.getPoint(targetT);
+            trackTangent = route.curve.getTangent(targetT);
 
-            const futureTangent = state.roadCurve.getTangent(lookAheadT);
+            const futureTangent = route.curve.getTangent(lookAheadT);
             const cornerAngle = trackTangent.angleTo(futureTangent);
             const cornerSeverity = Math.min(1, cornerAngle * 6);
             targetSpeed = PHYSICS.maxSpeed * 0.75 * (1 - cornerSeverity * 0.5);
             targetSpeed *= ai.difficultyMultiplier;
         }
 
+        // Past a sprint's finish line there's only run-off left
+        if (state.raceMode === 'sprint' && ai.finished) targetSpeed = 0;
+
         // Apply lane offset for overtaking
         const trackNormal = new THREE.Vector3(-trackTangent.z, 0, trackTangent.x);
         const effectiveLaneOffset = ai.currentLaneOffset || ai.laneOffset;
@@ -456,7 +540,10 @@ export function updateAICars(delta) {
 
         // Drifting allows slightly higher corner speeds
         const driftSpeedBonus = ai.isDrifting ? 1.15 : 1.0;  // 15% faster in corners when drifting
-        const effectiveTargetSpeed = targetSpeed * brakingMod * driftSpeedBonus;
+
+        // Ease off on low-grip surfaces (ice, gravel, wet) measured last frame
+        const gripSpeedFactor = 0.5 + 0.5 * Math.sqrt(ai.surfaceGrip || 1);
+        const effectiveTargetSpeed = targetSpeed * brakingMod * driftSpeedBonus * gripSpeedFactor;
 
         if (ai.speed < effectiveTargetSpeed) {
             ai.speed += aiAccel * delta * ai.difficultyMultiplier;
@@ -499,7 +586,7 @@ export function updateAICars(delta) {
         // === RAYCAST SURFACE DETECTION ===
         const surface = detectSurface(newPos, ai.heading);
         const surfaceType = getSurfaceType(newPos);
-        const gripMultiplier = getGripMultiplier(surfaceType);
+        ai.surfaceGrip = getGripMultiplier(surfaceType);
 
         // Boost pad effect for AI
         if (surfaceType === 'boost') {
@@ -652,14 +739,19 @@ export function updateAICars(delta) {
     updateLeaderboard();
 }
 
-// AI takeover for player car after finishing
+// AI takeover for player car after finishing (keeps to the main line)
 export function updatePlayerAI(delta) {
     if (!state.roadCurve || !state.car) return;
 
     const curveLength = state.roadCurve.getLength();
+    const racingLine = routes[0] ? routes[0].racingLine : null;
 
+    // A sprint is over at the finish, so roll to a stop on the run-off instead of lapping
+    const isSprint = state.raceMode === 'sprint';
     state.playerPhysics.trackPosition += (state.playerPhysics.speed / curveLength) * delta * 0.9;
-    if (state.playerPhysics.trackPosition >= 1) {
+    if (isSprint) {
+        state.playerPhysics.trackPosition = Math.min(state.playerPhysics.trackPosition, 1);
+    } else if (state.playerPhysics.trackPosition >= 1) {
         state.playerPhysics.trackPosition -= 1;
     }
 
@@ -676,12 +768,13 @@ export function updatePlayerAI(delta) {
         trackPoint = state.roadCurve.getPoint(targetT);
         trackTangent = state.roadCurve.getTangent(targetT);
 
-        const lookAheadT = (targetT + 0.05) % 1;
+        const lookAheadT = advanceT(state.roadCurve, targetT, 0.05);
         const futureTangent = state.roadCurve.getTangent(lookAheadT);
         const cornerAngle = trackTangent.angleTo(futureTangent);
         const cornerSeverity = Math.min(1, cornerAngle * 6);
         targetSpeed = PHYSICS.maxSpeed * 0.75 * (1 - cornerSeverity * 0.5);
     }
+    if (isSprint) targetSpeed = 0;
 
     const aiAccel = 8;
     const aiBrake = 12;
@@ -690,7 +783,8 @@ export function updatePlayerAI(delta) {
     } else if (state.playerPhysics.speed > targetSpeed) {
         state.playerPhysics.speed -= aiBrake * delta * 0.4;
     }
-    state.playerPhysics.speed = Math.max(5, Math.min(PHYSICS.maxSpeed * 0.8, state.playerPhysics.speed));
+    const minSpeed = isSprint ? 0 : 5;
+    state.playerPhysics.speed = Math.max(minSpeed, Math.min(PHYSICS.maxSpeed * 0.8, state.playerPhysics.speed));
 
     const targetPos = trackPoint.clone();
     targetPos.y = 0.1;
@@ -723,9 +817,10 @@ export function updatePlayerAI(delta) {
 
 function resolveAllCollisions(delta) {
     const collisionDist = CAR_COLLISION_RADIUS * 2;
-    const allCars = [...state.aiCars];
+    const allCars = state.aiCars.filter(ai => ai.eliminatedLap === null);
 
-    if (state.car && !state.playerPhysics.isAirborne && !state.playerPhysics.inLoop) {
+    if (state.car && !state.playerPhysics.isAirborne && !state.playerPhysics.inLoop &&
+        state.playerPhysics.eliminatedLap === null) {
         allCars.push({
             position: state.playerPhysics.position,
             velocity: state.playerPhysics.velocity,
@@ -740,6 +835,7 @@ function resolveAllCollisions(delta) {
         for (let j = i + 1; j < allCars.length; j++) {
             const car1 = allCars[i];
             const car2 = allCars[j];
+            if (Math.abs(car2.position.y - car1.position.y) > CAR_VERTICAL_CLEARANCE) continue;
 
             const tocar2 = new THREE.Vector3().subVectors(car2.position, car1.position);
             tocar2.y = 0;
@@ -827,13 +923,17 @@ function resolveAllCollisions(delta) {
     }
 }
 
+function getPlayerProgress() {
+    const pp = state.playerPhysics;
+    return getRaceProgress(state.lapCount, pp?.trackPosition || 0, pp?.routeIndex);
+}
+
+function getAIProgress(ai) {
+    return getRaceProgress(ai.lapCount, ai.trackPosition, ai.routeIndex);
+}
+
 export function getPlayerPosition() {
-    const playerProgress = state.lapCount + state.playerPhysics.trackPosition;
-    let position = 1;
-    state.aiCars.forEach(ai => {
-        if (ai.lapCount + ai.trackPosition > playerProgress) position++;
-    });
-    return position;
+    return getClassification().findIndex(racer => racer.isPlayer) + 1;
 }
 
 // Update AI car colors when theme changes
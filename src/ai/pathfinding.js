@@ -1,14 +1,23 @@
 import * as THREE from 'three';
 import { PHYSICS } from '../constants.js';
 
+// Move t along the road curve: wraps round a closed lap, stops at the end of an open sprint
+export function advanceT(roadCurve, t, dt) {
+    return roadCurve.closed ? (t + dt) % 1 : Math.min(1, t + dt);
+}
+
 // Compute curvature at a point on the road curve (handles wrap-around for closed tracks)
 export function getCurvatureAt(roadCurve, t, sampleDist = 0.01) {
-    // Wrap t to [0, 1) for closed loop tracks
     let t1 = t - sampleDist;
     let t2 = t + sampleDist;
-    // Handle wrap-around
-    if (t1 < 0) t1 += 1;
-    if (t2 >= 1) t2 -= 1;
+    if (roadCurve.closed) {
+        // Wrap t to [0, 1) for closed loop tracks
+        if (t1 < 0) t1 += 1;
+        if (t2 >= 1) t2 -= 1;
+    } else {
+        t1 = Math.max(0, t1);
+        t2 = Math.min(1, t2);
+    }
     const tangent1 = roadCurve.getTangent(t1);
     const tangent2 = roadCurve.getTangent(t2);
     return tangent1.angleTo(tangent2) / (2 * sampleDist);
@@ -44,7 +53,7 @@ export class RacingLine {
             const tangent = this.curve.getTangent(t);
 
             // Look ahead to find upcoming corner direction
-            const lookAhead = (t + 0.1) % 1;
+            const lookAhead = advanceT(this.curve, t, 0.1);
             const futureTangent = this.curve.getTangent(lookAhead);
             const cross = tangent.x * futureTangent.z - tangent.z * futureTangent.x;
             const cornerDirection = Math.sign(cross);  // -1 = right, 1 = left
@@ -102,7 +111,7 @@ export class RacingLine {
         let distance = maxLookAhead;
 
         for (let i = 1; i <= 15; i++) {
-            const checkT = (t + i * 0.01) % 1;
+            const checkT = advanceT(this.curve, t, i * 0.01);
             const idx = Math.floor(checkT * resolution);
             if (idx < this.waypoints.length && this.waypoints[idx].curvature > highestCurvature) {
                 highestCurvature = this.waypoints[idx].curvature;
@@ -110,7 +119,7 @@ export class RacingLine {
 
                 // Determine corner direction
                 const tangent = this.curve.getTangent(checkT);
-                const nextT = (checkT + 0.02) % 1;
+                const nextT = advanceT(this.curve, checkT, 0.02);
                 const nextTangent = this.curve.getTangent(nextT);
                 const cross = tangent.x * nextTangent.z - tangent.z * nextTangent.x;
                 direction = Math.sign(cross);
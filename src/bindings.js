@@ -0,0 +1,137 @@
+// Control bindings - the keys and gamepad buttons for every action, changed on the controls
+// screen and kept in localStorage. Only changes from the defaults are stored, so new actions
+// pick up their defaults.
+
+import { CONTROLS, GAMEPAD } from './constants.js';
+
+const STORAGE_KEY = 'road-racer-controls';
+
+// Each action's { keys, buttons }; keys is null for actions the keyboard can't rebind
+let bindings = loadBindings();
+
+function getDefaults(action) {
+    return {
+        keys: action.keys ? action.keys.slice() : null,
+        buttons: action.buttons.slice()
+    };
+}
+
+// Stored as { [actionId]: { keys, buttons } } for the actions changed from their defaults
+function loadBindings() {
+    let saved = {};
+    try {
+        const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (data && typeof data === 'object') saved = data;
+    } catch (e) {
+        console.warn('Ignoring saved controls:', e.message);
+    }
+
+    const loaded = {};
+    CONTROLS.actions.forEach(action => {
+        const binding = getDefaults(action);
+        const stored = saved[action.id];
+        if (stored && binding.keys && Array.isArray(stored.keys)) {
+            binding.keys = stored.keys.filter(key => typeof key === 'string').slice(0, CONTROLS.slots);
+        }
+        if (stored && Array.isArray(stored.buttons)) {
+            binding.buttons = stored.buttons.filter(Number.isInteger).slice(0, CONTROLS.slots);
+        }
+        loaded[action.id] = binding;
+    });
+    return loaded;
+}
+
+function saveBindings() {
+    const changed = {};
+    CONTROLS.actions.forEach(action => {
+        const binding = bindings[action.id];
+        const defaults = getDefaults(action);
+        if (JSON.stringify(binding) !== JSON.stringify(defaults)) changed[action.id] = binding;
+    });
+
+    if (Object.keys(changed).length === 0) {
+        localStorage.removeItem(STORAGE_KEY);
+    } else {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(changed));
+    }
+}
+
+export function getAction(actionId) {
+    return CONTROLS.actions.find(action => action.id === actionId) || null;
+}
+
+// Keys bound to an action (empty for actions the keyboard can't rebind)
+export function getActionKeys(actionId) {
+    return bindings[actionId].keys || [];
+}
+
+export function getActionButtons(actionId) {
+    return bindings[actionId].buttons;
+}
+
+// Bind slot of an action to a key (device 'keys') or gamepad button ('buttons'); a null
+// input clears the slot
+export function setBinding(actionId, device, slot, input) {
+    const list = bindings[actionId][device];
+    if (!list) return;
+
+    list[Math.min(slot, list.length)] = input;
+    bindings[actionId][device] = list.filter((value, i) => value !== null && value !== undefined && list.indexOf(value) === i);
+    saveBindings();
+}
+
+export function resetBindings() {
+    localStorage.removeItem(STORAGE_KEY);
+    bindings = loadBindings();
+}
+
+// Actions that respond to a key or button in a context, in priority order
+export function getActionsFor(device, input, context) {
+    return CONTROLS.actions.filter(action =>
+        action.contexts.includes(context) && (bindings[action.id][device] || []).includes(input));
+}
+
+// Bindings that do two different things at once: the same key or button on two actions that
+// respond in a shared context. Returns [{ device, input, actions: [actionId, actionId] }].
+export function findConflicts() {
+    const conflicts = [];
+    CONTROLS.actions.forEach((action, i) => {
+        CONTROLS.actions.slice(i + 1).forEach(other => {
+            if (!action.contexts.some(context => other.contexts.includes(context))) return;
+            ['keys', 'buttons'].forEach(device => {
+                const mine = bindings[action.id][device] || [];
+                const theirs = bindings[other.id][device] || [];
+                mine.filter(input => theirs.includes(input)).forEach(input => {
+                    conflicts.push({ device, input, actions: [action.id, other.id] });
+                });
+            });
+        });
+    });
+    return conflicts;
+}
+
+// Display names for keys and buttons
+const KEY_NAMES = {
+    ' ': 'Space',
+    'arrowup': '↑',
+    'arrowdown': '↓',
+    'arrowleft': '←',
+    'arrowright': '→',
+    'escape': 'Esc',
+    'enter': 'Enter',
+    'shift': 'Shift',
+    'control': 'Ctrl',
+    'tab': 'Tab'
+};
+
+export function getInputName(device, input) {
+    if (device === 'buttons') return GAMEPAD.buttonNames[input] || `Button ${input}`;
+    if (KEY_NAMES[input]) return KEY_NAMES[input];
+    return input.length === 1 ? input.toUpperCase() : input.charAt(0).toUpperCase() + input.slice(1);
+}
+
+// The keys for an action, for hints: "W or ↑"
+export function describeActionKeys(actionId) {
+    const keys = getActionKeys(actionId);
+    return keys.length > 0 ? keys.map(key => getInputName('keys', key)).join(' or ') : 'unbound';
+}
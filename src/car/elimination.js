@@ -0,0 +1,61 @@
+// Elimination races - each time the leader completes a lap, the car in last place is
+// knocked out, until one car is left to win
+
+import * as state from '../state.js';
+import { getClassification } from '../ui/leaderboard.js';
+import { createPoofEffect, notifyParticleTrigger } from '../effects/particles.js';
+import { getRaceTime } from './lapTiming.js';
+
+export function isEliminationRace() {
+    return state.raceConfig.type === 'elimination';
+}
+
+// Laps the leader has to run: one knockout per lap until a single car remains
+export function getEliminationLaps() {
+    return state.aiCars.length;
+}
+
+// A car completed a lap; called from the lap handlers once its lap count is up to date.
+// The first car to complete each lap knocks out the last car still running.
+export function checkElimination(lapCount) {
+    if (!isEliminationRace()) return;
+
+    const racers = getClassification();
+    const running = racers.filter(racer => racer.eliminatedLap === null);
+    const knockedOut = racers.length - running.length;
+    if (running.length < 2 || lapCount <= knockedOut) return;
+
+    eliminate(running[running.length - 1].car, lapCount);
+
+    // Last car left wins; the player's finish is picked up by their physics
+    const winner = running[0].car;
+    if (running.length === 2 && winner !== state.playerPhysics) {
+        winner.finished = true;
+        winner.finishTime = getRaceTime();
+    }
+}
+
+// Take the car off the track in a puff of smoke
+function eliminate(car, lapCount) {
+    car.eliminatedLap = lapCount;
+
+    const mesh = car === state.playerPhysics ? state.car : car.mesh;
+    notifyParticleTrigger('poof', { position: car.position.clone() });
+    createPoofEffect(car.position);
+    mesh.visible = false;
+}
+
+// Whether the player is last of the cars still running, so is out at the end of the lap
+export function isPlayerInDangerZone() {
+    if (!isEliminationRace() || state.playerPhysics.eliminatedLap !== null) return false;
+    const running = getClassification().filter(racer => racer.eliminatedLap === null);
+    return running.length > 1 && running[running.length - 1].isPlayer;
+}
+
+// Cars knocked out so far, first out first: [{ name, isPlayer, lap }]
+export function getEliminationOrder() {
+    return getClassification()
+        .filter(racer => racer.eliminatedLap !== null)
+        .sort((a, b) => a.eliminatedLap - b.eliminatedLap)
+        .map(racer => ({ name: racer.name, isPlayer: racer.isPlayer, lap: racer.eliminatedLap }));
+}
@@ -0,0 +1,298 @@
+// Ghost car - records time trial laps and replays the best one on each track
+
+import * as THREE from 'three';
+import * as state from '../state.js';
+import { scene } from '../scene.js';
+import { createCar } from './car.js';
+import { getTrackId } from '../track/serialize.js';
+import { getRaceTime } from './lapTiming.js';
+
+const STORAGE_PREFIX = 'road-racer-ghost-';
+
+// Track ids with a stored ghost, least recently saved first. Every edit to a track makes
+// a new id, so only the most recent MAX_STORED_GHOSTS are kept.
+const INDEX_KEY = 'road-racer-ghosts';
+const MAX_STORED_GHOSTS = 20;
+
+// Ghost files: { format, version, trackId, lapTime, interval, frames }
+const GHOST_FORMAT = 'road-racer-ghost';
+const GHOST_VERSION = 1;
+
+// Seconds between recorded frames
+const SAMPLE_INTERVAL = 0.05;
+
+const GHOST_OPACITY = 0.35;
+
+// Values per frame: [time, x, y, z, heading, qx, qy, qz, qw], time from the lap start
+const FRAME_SIZE = 9;
+
+let isActive = false;       // Recording and playing back (time trials only)
+let lapStart = 0;           // Race time the current lap started, as the player's lap timer has it
+let recording = [];         // Frames of the lap in progress
+let bestGhost = null;       // Best lap on this track: stored ghost data, or null
+let ghostMesh = null;
+let playbackIndex = 0;      // Frame the ghost is at or just past
+
+// ==================== RACE HOOKS ====================
+
+// Start of a race: time trials load this track's best lap and start recording; other races drop the ghost
+export function setupGhost() {
+    if (ghostMesh) {
+        scene.remove(ghostMesh);
+        ghostMesh = null;
+    }
+
+    isActive = state.raceConfig.type === 'trial';
+    bestGhost = isActive ? loadGhost(getTrackId()) : null;
+    resetLap();
+
+    if (bestGhost) {
+        ghostMesh = createGhostMesh();
+        applyFrame(bestGhost.frames, 0, 0);
+        scene.add(ghostMesh);
+    }
+}
+
+// Seconds into the current lap on the race clock, so ghost laps time the same as the lap timer
+function getLapClock() {
+    return Math.max(0, getRaceTime() - lapStart);
+}
+
+// Record the player and move the ghost; called every physics frame while driving
+export function updateGhost() {
+    if (!isActive) return;
+
+    const lapClock = getLapClock();
+    if (recording.length === 0 || lapClock - recording[recording.length - 1][0] >= SAMPLE_INTERVAL) {
+        recordFrame(lapClock);
+    }
+
+    updatePlayback(lapClock);
+}
+
+// The player crossed the line, and lapTimer has just timed the lap: keep it if it's the
+// best yet and start the next. Returns { lapTime, isBest } or null outside time trials.
+export function completeGhostLap(lapTime) {
+    if (!isActive) return null;
+
+    recordFrame(lapTime);
+    const isBest = !bestGhost || lapTime < bestGhost.lapTime;
+    if (isBest) {
+        bestGhost = makeGhost(getTrackId(), lapTime, recording);
+        saveGhost(bestGhost);
+        if (!ghostMesh) {
+            ghostMesh = createGhostMesh();
+            scene.add(ghostMesh);
+        }
+    }
+
+    resetLap();
+    return { lapTime, isBest };
+}
+
+// The race is over for the player: stop recording and take the ghost off the track
+export function stopGhost() {
+    isActive = false;
+    if (ghostMesh) ghostMesh.visible = false;
+}
+
+function resetLap() {
+    lapStart = state.playerPhysics && state.playerPhysics.lapTimer ? state.playerPhysics.lapTimer.lapStart : 0;
+    playbackIndex = 0;
+    recording = [];
+    if (isActive && state.car) recordFrame(0);
+}
+
+// ==================== RECORDING & PLAYBACK ====================
+
+function recordFrame(lapClock) {
+    const pp = state.playerPhysics;
+    const q = state.car.quaternion;
+    recording.push([
+        round(lapClock, 3),
+        round(pp.position.x, 2), round(pp.position.y, 2), round(pp.position.z, 2),
+        round(pp.heading, 3),
+        round(q.x, 4), round(q.y, 4), round(q.z, 4), round(q.w, 4)
+    ]);
+}
+
+function round(value, places) {
+    const scale = 10 ** places;
+    return Math.round(value * scale) / scale;
+}
+
+// Put the ghost where the best lap was at the same point in its lap
+function updatePlayback(lapClock) {
+    if (!ghostMesh || !bestGhost) return;
+
+    const frames = bestGhost.frames;
+    const last = frames.length - 1;
+    while (playbackIndex < last && frames[playbackIndex + 1][0] <= lapClock) playbackIndex++;
+
+    // Finished its lap ahead of the player
+    if (playbackIndex >= last) {
+        ghostMesh.visible = false;
+        return;
+    }
+
+    const from = frames[playbackIndex][0];
+    const to = frames[playbackIndex + 1][0];
+    const blend = to > from ? Math.min(1, Math.max(0, (lapClock - from) / (to - from))) : 0;
+    applyFrame(frames, playbackIndex, blend);
+    ghostMesh.visible = true;
+}
+
+const fromQuat = new THREE.Quaternion();
+const toQuat = new THREE.Quaternion();
+
+// Blend between frame index and the one after it
+function applyFrame(frames, index, blend) {
+    const a = frames[index];
+    const b = frames[Math.min(index + 1, frames.length - 1)];
+    ghostMesh.position.set(
+        a[1] + (b[1] - a[1]) * blend,
+        a[2] + (b[2] - a[2]) * blend,
+        a[3] + (b[3] - a[3]) * blend
+    );
+    fromQuat.set(a[5], a[6], a[7], a[8]);
+    toQuat.set(b[5], b[6], b[7], b[8]);
+    ghostMesh.quaternion.slerpQuaternions(fromQuat, toQuat, blend);
+}
+
+// Translucent copy of the player's car with no lights or shadows
+function createGhostMesh() {
+    const mesh = createCar(null, true);
+    mesh.traverse(child => {
+        if (child.isLight) {
+            child.visible = false;
+        } else if (child.isMesh) {
+            child.material = child.material.clone();
+            child.material.transparent = true;
+            child.material.opacity = GHOST_OPACITY;
+            child.material.depthWrite = false;
+            child.castShadow = false;
+        }
+    });
+    return mesh;
+}
+
+// ==================== STORAGE & FILES ====================
+
+function makeGhost(trackId, lapTime, frames) {
+    return {
+        format: GHOST_FORMAT,
+        version: GHOST_VERSION,
+        trackId,
+        lapTime: round(lapTime, 3),
+        interval: SAMPLE_INTERVAL,
+        frames
+    };
+}
+
+// Store a ghost, dropping the oldest to stay under the cap or to make room when storage is
+// full. Returns false if it still couldn't be stored.
+function saveGhost(ghost) {
+    const index = loadGhostIndex().filter(trackId => trackId !== ghost.trackId);
+    index.push(ghost.trackId);
+    while (index.length > MAX_STORED_GHOSTS) {
+        localStorage.removeItem(STORAGE_PREFIX + index.shift());
+    }
+
+    const json = JSON.stringify(ghost);
+    for (;;) {
+        try {
+            localStorage.setItem(STORAGE_PREFIX + ghost.trackId, json);
+            localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+            return true;
+        } catch (e) {
+            if (index.length <= 1) {
+                console.warn('Could not save ghost:', e.message);
+                localStorage.removeItem(INDEX_KEY);
+                return false;
+            }
+            localStorage.removeItem(STORAGE_PREFIX + index.shift());
+        }
+    }
+}
+
+// Ghosts stored before there was an index are found by their key
+function loadGhostIndex() {
+    try {
+        const index = JSON.parse(localStorage.getItem(INDEX_KEY));
+        if (Array.isArray(index)) return index.filter(trackId => typeof trackId === 'string');
+    } catch (e) {
+        console.warn('Rebuilding ghost index:', e.message);
+    }
+
+    const index = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(STORAGE_PREFIX)) index.push(key.slice(STORAGE_PREFIX.length));
+    }
+    return index;
+}
+
+// Stored ghost for a track, or null if there isn't a usable one
+function loadGhost(trackId) {
+    const raw = localStorage.getItem(STORAGE_PREFIX + trackId);
+    if (!raw) return null;
+    try {
+        return parseGhost(raw);
+    } catch (e) {
+        console.warn('Ignoring saved ghost:', e.message);
+        return null;
+    }
+}
+
+// Check a ghost file, throwing with the reason if it can't be used
+function parseGhost(jsonString) {
+    let data;
+    try {
+        data = JSON.parse(jsonString);
+    } catch (e) {
+        throw new Error('Not valid JSON');
+    }
+
+    if (!data || data.format !== GHOST_FORMAT) throw new Error('Not a ghost file');
+    if (data.version !== GHOST_VERSION) throw new Error(`Unsupported ghost version ${data.version}`);
+    if (typeof data.trackId !== 'string') throw new Error('Ghost has no track id');
+    if (!Number.isFinite(data.lapTime) || data.lapTime <= 0) throw new Error('Ghost has no lap time');
+
+    const isFrame = frame => Array.isArray(frame) && frame.length === FRAME_SIZE && frame.every(Number.isFinite);
+    if (!Array.isArray(data.frames) || data.frames.length < 2 || !data.frames.every(isFrame)) {
+        throw new Error('Ghost recording is damaged');
+    }
+
+    return makeGhost(data.trackId, data.lapTime, data.frames);
+}
+
+// Best lap time on the current track, or null if there's no ghost yet
+export function getBestLapTime() {
+    const ghost = loadGhost(getTrackId());
+    return ghost ? ghost.lapTime : null;
+}
+
+// Download the current track's ghost as a JSON file (false if there isn't one)
+export function exportGhostFile() {
+    const ghost = loadGhost(getTrackId());
+    if (!ghost) return false;
+
+    const blob = new Blob([JSON.stringify(ghost)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ghost-${ghost.trackId}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    return true;
+}
+
+// Make a ghost file the one to race on the current track. Throws if it's unusable
+// or was recorded on another track. Returns the ghost's lap time.
+export function importGhostFile(jsonString) {
+    const ghost = parseGhost(jsonString);
+    if (ghost.trackId !== getTrackId()) throw new Error('Ghost was recorded on a different track');
+
+    if (!saveGhost(ghost)) throw new Error('Not enough storage space for the ghost');
+    return ghost.lapTime;
+}
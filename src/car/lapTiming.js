@@ -0,0 +1,90 @@
+// Lap timing - lap and sector times for every car, in race seconds (pauses don't count)
+
+import * as state from '../state.js';
+import { CHECKPOINTS } from '../constants.js';
+
+// Each checkpoint ends a sector, and the line ends the last one
+export const SECTOR_COUNT = CHECKPOINTS.length + 1;
+
+// Steps per lap at which the time is noted, for the live delta to the best lap
+const PROFILE_STEPS = 200;
+
+// Fastest sectors by anyone this race
+let raceBestSectors = new Array(SECTOR_COUNT).fill(null);
+
+// Seconds since the start, not counting time paused
+export function getRaceTime() {
+    return (Date.now() - state.raceStartTime - state.totalPausedTime) / 1000;
+}
+
+// Start of a race: nobody has set a sector yet
+export function resetLapTiming() {
+    raceBestSectors = new Array(SECTOR_COUNT).fill(null);
+}
+
+// Timing for one car, starting from the race start
+export function createLapTimer() {
+    return {
+        lapStart: 0,
+        sectorStart: 0,
+        sectors: new Array(SECTOR_COUNT).fill(null),   // This lap's sector times so far
+        profile: [],                                     // Lap time at each profile step reached
+        laps: [],                                        // [{ time, sectors }]
+        bestLap: null,
+        bestProfile: null,
+        bestSectors: new Array(SECTOR_COUNT).fill(null)
+    };
+}
+
+// The car reached the end of a sector. Returns { index, time, rating } where rating is
+// 'purple' (fastest this race), 'green' (personal best) or 'yellow' (slower).
+export function completeSector(timer, index) {
+    const now = getRaceTime();
+    const time = now - timer.sectorStart;
+    timer.sectorStart = now;
+    timer.sectors[index] = time;
+
+    let rating = 'yellow';
+    if (raceBestSectors[index] === null || time < raceBestSectors[index]) {
+        raceBestSectors[index] = time;
+        rating = 'purple';
+    } else if (timer.bestSectors[index] === null || time < timer.bestSectors[index]) {
+        rating = 'green';
+    }
+    if (timer.bestSectors[index] === null || time < timer.bestSectors[index]) timer.bestSectors[index] = time;
+
+    return { index, time, rating };
+}
+
+// The car crossed the line: close the last sector and the lap.
+// Returns { lapTime, isBest, sector } with the last sector's completeSector result.
+export function completeLap(timer) {
+    const sector = completeSector(timer, SECTOR_COUNT - 1);
+    const lapTime = timer.sectorStart - timer.lapStart;
+    const isBest = timer.bestLap === null || lapTime < timer.bestLap;
+
+    timer.laps.push({ time: lapTime, sectors: timer.sectors });
+    if (isBest) {
+        timer.bestLap = lapTime;
+        timer.bestProfile = timer.profile;
+    }
+
+    timer.lapStart = timer.sectorStart;
+    timer.sectors = new Array(SECTOR_COUNT).fill(null);
+    timer.profile = [];
+    return { lapTime, isBest, sector };
+}
+
+// Note how far round the lap (0-1) the car is, for the delta
+export function trackLapProgress(timer, fraction) {
+    const step = Math.floor(Math.max(0, Math.min(1, fraction)) * PROFILE_STEPS);
+    const lapTime = getRaceTime() - timer.lapStart;
+    while (timer.profile.length <= step) timer.profile.push(lapTime);
+}
+
+// Seconds ahead (negative) or behind the best lap at the same point, or null without one
+export function getLapDelta(timer) {
+    if (!timer.bestProfile || timer.profile.length === 0) return null;
+    const step = Math.min(timer.profile.length, timer.bestProfile.length) - 1;
+    return timer.profile[step] - timer.bestProfile[step];
+}
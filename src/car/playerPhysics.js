@@ -1,9 +1,10 @@
 import * as THREE from 'three';
 import * as state from '../state.js';
-import { PHYSICS } from '../constants.js';
-import { camera } from '../scene.js';
-import { formatTime, getOrdinal } from '../ui/leaderboard.js';
+import { PHYSICS, CHECKPOINTS, RACE_SETUP } from '../constants.js';
+import { followCarCamera } from '../ui/camera.js';
+import { formatTime, formatLapTime, formatLapDelta, getOrdinal, getClassification } from '../ui/leaderboard.js';
 import { getPlayerPosition, updatePlayerAI } from '../ai/aiCars.js';
+import { getDistanceToFinish } from '../track/trackState.js';
 import {
     detectSurface,
     orientToSurface,
@@ -16,6 +17,26 @@ import {
 } from './surfacePhysics.js';
 import { checkObstacleCollision, applyObstacleCollision } from '../obstacles/obstaclePhysics.js';
 import { emitDriftSmoke } from '../effects/particles.js';
+import { updateGhost, completeGhostLap, stopGhost } from './ghost.js';
+import { getRaceTime, completeSector, completeLap, trackLapProgress, getLapDelta } from './lapTiming.js';
+import { submitRaceRecords } from '../track/records.js';
+import { checkElimination, isEliminationRace, isPlayerInDangerZone, getEliminationOrder } from './elimination.js';
+import { completeCupRace } from '../track/cup.js';
+import { getDrivingInput } from '../input.js';
+import { updateCupResults } from '../ui/cupScreen.js';
+
+// How much closer another route's curve must be before the player is counted on it
+const ROUTE_SWITCH_MARGIN = 3;
+
+// Analog handbrakes past this count as pulled; below it the car drives normally
+const HANDBRAKE_ENGAGED = 0.5;
+
+// Pedals below this count as released, so a resting trigger doesn't keep the car creeping
+const PEDAL_AT_REST = 0.05;
+
+// Where the lap passes over itself (crossings), prefer the part of the curve the car
+// was already on: each unit of track between them counts this much extra distance
+const TRACK_CONTINUITY_WEIGHT = 0.5;
 
 // === ADVANCED PHYSICS HELPERS ===
 
@@ -99,7 +120,7 @@ function updateABS(pp, delta, brakeForce, speed, frontLoad, rearLoad, grip) {
     return brakeForce;
 }
 
-function showFinishScreen(position, totalTime) {
+function showFinishScreen(position, totalTime, records) {
     const finishScreen = document.getElementById('finish-screen');
     const celebration = document.getElementById('finish-celebration');
 
@@ -110,11 +131,8 @@ function showFinishScreen(position, totalTime) {
     document.getElementById('speedometer').style.display = 'none';
     document.getElementById('instructions').style.display = 'none';
 
-    // Get final standings
-    const standings = getStandings(totalTime);
-
-    // Top 3 get celebration
-    if (position <= 3) {
+    // Top 3 finishers get celebration
+    if (totalTime !== null && position <= 3) {
         const trophies = ['🏆', '🥈', '🥉'];
         const colors = ['gold', 'silver', 'bronze'];
         const messages = ['WINNER!', '2ND PLACE!', '3RD PLACE!'];
@@ -133,94 +151,226 @@ function showFinishScreen(position, totalTime) {
             celebration.classList.add('slide-up');
             setTimeout(() => {
                 celebration.style.display = 'none';
-                showSummary(position, totalTime, standings);
+                showSummary(position, totalTime, records);
             }, 800);
         }, 2500);
     } else {
         // No celebration, show summary directly
         celebration.style.display = 'none';
-        showSummary(position, totalTime, standings);
+        showSummary(position, totalTime, records);
     }
 }
 
-function showSummary(position, totalTime, standings) {
+function showSummary(position, totalTime, records) {
     const summary = document.getElementById('finish-summary');
+    const bestLap = state.playerPhysics.lapTimer.bestLap;
+    const eliminatedLap = state.playerPhysics.eliminatedLap;
+    const formatSpeed = speed => Math.round(speed) + ' MPH';
+
+    // Knocked out of an elimination race still places you
+    let timeText = totalTime !== null ? formatLapTime(totalTime) : 'DNF';
+    if (eliminatedLap !== null) timeText = `Out on lap ${eliminatedLap}`;
+    document.getElementById('summary-position').textContent =
+        totalTime !== null || eliminatedLap !== null ? getOrdinal(position) : 'DNF';
+    document.getElementById('summary-time').textContent = timeText;
+    document.getElementById('summary-best-lap').textContent = bestLap !== null ? formatLapTime(bestLap) : '--';
+    document.getElementById('summary-speed').textContent = formatSpeed(state.topSpeed);
+
+    showRecord('summary-time-record', records, 'raceTime', formatLapTime);
+    showRecord('summary-best-lap-record', records, 'bestLap', formatLapTime);
+    showRecord('summary-speed-record', records, 'topSpeed', formatSpeed);
+
+    standingsKey = '';
+    updateFinalStandings();
+    showLapTimes(state.playerPhysics.lapTimer);
+    showEliminations();
 
-    document.getElementById('summary-position').textContent = getOrdinal(position);
-    document.getElementById('summary-time').textContent = formatTime(totalTime);
-    document.getElementById('summary-speed').textContent = Math.round(state.topSpeed) + ' MPH';
+    summary.classList.add('show');
+}
+
+// Flag a new personal record on this track, or show the one still standing
+function showRecord(id, records, key, format) {
+    const el = document.getElementById(id);
+    const previous = records.previous[key];
+    if (records.isNew[key]) {
+        el.textContent = previous !== null ? `New record! Was ${format(previous)}` : 'New record!';
+    } else {
+        el.textContent = previous !== null ? `Best: ${format(previous)}` : '';
+    }
+    el.classList.toggle('new', records.isNew[key]);
+}
 
-    // Build standings list
+// Standings as last rendered, to redraw only when they change
+let standingsKey = '';
+
+// Called every frame once the player has finished, while the rest of the field comes home
+function updateFinalStandings() {
+    const racers = getClassification();
+    const key = racers.map(racer => `${racer.name}:${racer.finishTime}:${racer.eliminatedLap}`).join() + state.raceOver;
+    if (key !== standingsKey) {
+        standingsKey = key;
+        renderStandings(racers);
+        showEliminations();
+        updateCupResults();
+    }
+
+    // Count down to the cutoff while cars are still racing
+    const waiting = racers.filter(racer => racer.finishTime === null && racer.eliminatedLap === null).length;
+    const winner = racers[0];
+    let status = '';
+    if (!state.raceOver && waiting > 0) {
+        status = `Waiting for ${waiting} car${waiting === 1 ? '' : 's'} to finish`;
+        if (winner.finishTime !== null) {
+            const cutoffLeft = winner.finishTime + RACE_SETUP.finishCutoff - getRaceTime();
+            status += ` (${Math.max(0, Math.ceil(cutoffLeft))}s)`;
+        }
+    }
+    document.getElementById('standings-status').textContent = status;
+}
+
+function renderStandings(racers) {
     const standingsList = document.getElementById('standings-list');
     standingsList.innerHTML = '';
 
-    standings.forEach((entry, idx) => {
+    racers.forEach((racer, idx) => {
         const row = document.createElement('div');
-        row.className = 'standing-row' + (entry.isPlayer ? ' player-row' : '');
+        row.className = 'standing-row' + (racer.isPlayer ? ' player-row' : '');
         row.innerHTML = `
             <span class="standing-position">${idx + 1}.</span>
-            <span class="standing-name">${entry.name}</span>
-            <span class="standing-time">${entry.time}</span>
+            <span class="standing-name">${racer.name}</span>
+            <span class="standing-time">${getStandingTime(racer, racers[0])}</span>
+            <span class="standing-best">${formatBestLap(racer.lapTimer)}</span>
         `;
         standingsList.appendChild(row);
     });
+}
 
-    summary.classList.add('show');
+// The winner's time, everyone else's gap to it
+function getStandingTime(racer, winner) {
+    if (racer.eliminatedLap !== null) return `Out lap ${racer.eliminatedLap}`;
+    if (racer.finishTime === null) return state.raceOver ? 'DNF' : 'Racing';
+    if (racer === winner) return formatLapTime(racer.finishTime);
+
+    // Timed races finish everyone together, so the gap is how far behind they were
+    if (racer.finishTime === winner.finishTime) return `-${Math.round(winner.progress - racer.progress)}m`;
+    return `+${(racer.finishTime - winner.finishTime).toFixed(3)}`;
 }
 
-function getStandings(playerTime) {
-    const standings = [];
+// Every lap the player finished, with its sectors; the best one is highlighted
+function showLapTimes(timer) {
+    const lapList = document.getElementById('lap-times-list');
+    lapList.innerHTML = '';
+    document.getElementById('summary-laps').style.display = timer.laps.length > 0 ? 'block' : 'none';
 
-    // Add player
-    standings.push({
-        name: 'You',
-        progress: state.lapCount + state.playerPhysics.trackPosition,
-        time: formatTime(playerTime),
-        isPlayer: true
+    timer.laps.forEach((lap, idx) => {
+        const row = document.createElement('div');
+        row.className = 'lap-row' + (lap.time === timer.bestLap ? ' best' : '');
+        const sectors = lap.sectors.map(time => time !== null ? time.toFixed(3) : '--');
+        row.innerHTML = `
+            <span class="lap-row-number">${state.raceMode === 'sprint' ? 'Run' : `Lap ${idx + 1}`}</span>
+            <span class="lap-row-time">${formatLapTime(lap.time)}</span>
+            <span class="lap-row-sectors">${sectors.join(' | ')}</span>
+        `;
+        lapList.appendChild(row);
     });
+}
 
-    // Add AI cars
-    state.aiCars.forEach(ai => {
-        standings.push({
-            name: ai.name,
-            progress: ai.lapCount + ai.trackPosition,
-            time: ai.finished ? formatTime(playerTime * (0.9 + Math.random() * 0.3)) : 'DNF',
-            isPlayer: false
-        });
-    });
+// Who went out on which lap, in an elimination race
+function showEliminations() {
+    const order = isEliminationRace() ? getEliminationOrder() : [];
+    const list = document.getElementById('elimination-list');
+    list.innerHTML = '';
+    document.getElementById('summary-eliminations').style.display = order.length > 0 ? 'block' : 'none';
 
-    // Sort by progress (descending)
-    standings.sort((a, b) => b.progress - a.progress);
+    order.forEach(({ name, isPlayer, lap }) => {
+        const row = document.createElement('div');
+        row.className = 'standing-row' + (isPlayer ? ' player-row' : '');
+        row.innerHTML = `
+            <span class="standing-position">Lap ${lap}</span>
+            <span class="standing-name">${name}</span>
+        `;
+        list.appendChild(row);
+    });
+}
 
-    return standings;
+function formatBestLap(timer) {
+    return timer.bestLap !== null ? formatLapTime(timer.bestLap) : '--';
 }
 
-// Get track position for lap counting (doesn't handle collision - just finds position on track)
-export function getTrackPosition(position) {
-    if (!state.roadCurve) return { trackT: 0, lateralOffset: 0 };
+// Get track position for lap counting (doesn't handle collision - just finds position on track).
+// nearT is the car's last track position, if known, to stay on the right pass through a crossing.
+export function getTrackPosition(position, curve = state.roadCurve, nearT = null) {
+    if (!curve) return { trackT: 0, lateralOffset: 0, distance: 0 };
 
     let closestT = 0;
     let closestDist = Infinity;
+    let closestScore = Infinity;
     const samples = 200;
+    const curveLength = nearT === null ? 0 : curve.getLength();
 
     for (let i = 0; i < samples; i++) {
         const t = i / samples;
-        const point = state.roadCurve.getPoint(t);
+        const point = curve.getPoint(t);
         const dist = new THREE.Vector2(position.x - point.x, position.z - point.z).length();
-        if (dist < closestDist) {
+
+        // Capped so a car that's really somewhere else (e.g. respawned) still finds it
+        let score = dist;
+        if (nearT !== null) {
+            const gap = Math.abs(t - nearT);
+            const trackGap = curve.closed ? Math.min(gap, 1 - gap) : gap;
+            score += Math.min(trackGap * curveLength * TRACK_CONTINUITY_WEIGHT, PHYSICS.trackWidth * 2);
+        }
+        if (score < closestScore) {
+            closestScore = score;
             closestDist = dist;
             closestT = t;
         }
     }
 
-    const trackPoint = state.roadCurve.getPoint(closestT);
-    const tangent = state.roadCurve.getTangent(closestT);
+    const trackPoint = curve.getPoint(closestT);
+    const tangent = curve.getTangent(closestT);
     const normal = new THREE.Vector3(-tangent.z, 0, tangent.x).normalize();
 
     const toPosition = new THREE.Vector3().subVectors(position, trackPoint);
     const lateralOffset = toPosition.dot(normal);
 
-    return { trackT: closestT, lateralOffset: lateralOffset };
+    return { trackT: closestT, lateralOffset: lateralOffset, distance: closestDist };
+}
+
+// Curve of the route the player is on (the main road curve without junctions)
+function getPlayerCurve(pp) {
+    const route = state.trackRoutes[pp.routeIndex || 0];
+    return route ? route.curve : state.roadCurve;
+}
+
+// Checkpoints along the player's route; a sprint spreads them out before its finish line
+function getCheckpoints(pp) {
+    const route = state.trackRoutes[pp.routeIndex || 0];
+    if (state.raceMode !== 'sprint' || !route) return CHECKPOINTS;
+    return CHECKPOINTS.map(cp => cp * route.finishT);
+}
+
+// Where junctions split the lap, follow whichever route the car is clearly driving on.
+// Track fractions differ between routes, so checkpoints are carried over by position:
+// if the lap was on pace, everything behind the car on the new route counts as passed.
+function updatePlayerRoute(pp, trackPos) {
+    if (state.trackRoutes.length < 2) return trackPos;
+
+    let best = { index: pp.routeIndex || 0, trackPos };
+    state.trackRoutes.forEach((route, index) => {
+        if (index === best.index) return;
+        const candidate = getTrackPosition(pp.position, route.curve);
+        if (candidate.distance < best.trackPos.distance - ROUTE_SWITCH_MARGIN) best = { index, trackPos: candidate };
+    });
+    if (best.index === (pp.routeIndex || 0)) return trackPos;
+
+    const oldT = pp.trackPosition;
+    const newT = best.trackPos.trackT;
+    const onPace = getCheckpoints(pp).every((cp, i) => cp >= oldT || state.checkpointsPassed[i]);
+    pp.routeIndex = best.index;
+    state.setCheckpointsPassed(getCheckpoints(pp).map(cp => onPace && cp < newT));
+    state.setLastCheckpoint(newT);
+    return best.trackPos;
 }
 
 // Initialize track mesh cache when race starts
@@ -233,23 +383,32 @@ export function updatePlayerPhysics(delta) {
     if (state.gameState !== 'racing' && state.gameState !== 'finished') return;
     if (state.isPaused || state.isCountingDown) return; // Don't update physics while paused or counting down
 
-    // If player has finished, let AI take over
+    // Timed races end when the clock runs out
+    if (state.raceConfig.type === 'timed' && !state.raceOver && getRaceTime() >= state.raceConfig.timeLimit) {
+        endTimedRace();
+    }
+    checkRaceOver();
+    checkPlayerElimination();
+
+    // If player has finished, let AI take over while the rest of the field finishes.
+    // Knocked out of an elimination race, the player's car is gone, so watch the leader.
     if (state.playerFinished) {
-        updatePlayerAI(delta);
-        updatePlayerCamera();
+        if (state.playerPhysics.eliminatedLap !== null) {
+            followRaceLeader();
+        } else {
+            updatePlayerAI(delta);
+            updatePlayerCamera();
+        }
+        updateFinalStandings();
         return;
     }
 
     const pp = state.playerPhysics;
     const P = PHYSICS;
 
-    const input = {
-        throttle: state.keys['arrowup'] || state.keys['w'] ? 1 : 0,
-        brake: state.keys['arrowdown'] || state.keys['s'] ? 1 : 0,
-        steerLeft: state.keys['arrowleft'] || state.keys['a'] ? 1 : 0,
-        steerRight: state.keys['arrowright'] || state.keys['d'] ? 1 : 0,
-        handbrake: state.keys[' '] ? 1 : 0
-    };
+    // Every control runs from 0 to 1 (analog triggers and sticks give anything between)
+    const input = getDrivingInput();
+    const handbrakeOn = input.handbrake >= HANDBRAKE_ENGAGED;
 
     // Handle crash state - respawn after timer
     if (pp.isCrashed) {
@@ -281,7 +440,7 @@ export function updatePlayerPhysics(delta) {
     }
 
     // Track position for lap counting
-    const trackPos = getTrackPosition(pp.position);
+    const trackPos = updatePlayerRoute(pp, getTrackPosition(pp.position, getPlayerCurve(pp), pp.trackPosition));
     pp.trackPosition = trackPos.trackT;
 
     // === RAYCAST SURFACE DETECTION ===
@@ -337,8 +496,8 @@ export function updatePlayerPhysics(delta) {
     const frontSlipAngle = effectiveSteerAngle - velocityAngle;
     let rearSlipAngle = -velocityAngle;
 
-    if (input.handbrake && Math.abs(currentSpeed) > 5) {
-        rearSlipAngle += steerInput * 0.3;
+    if (handbrakeOn && Math.abs(currentSpeed) > 5) {
+        rearSlipAngle += steerInput * 0.3 * input.handbrake;
     }
 
     // === WEIGHT TRANSFER ===
@@ -354,7 +513,7 @@ export function updatePlayerPhysics(delta) {
     // === LATERAL FORCES (cornering) with advanced tire model ===
     const baseGrip = P.gripCoefficient * gripMultiplier;
     const handbrakeGrip = P.handbrakeGripMult || 0.15;
-    const rearGripMod = input.handbrake ? handbrakeGrip : 1.0;
+    const rearGripMod = handbrakeOn ? 1 - (1 - handbrakeGrip) * input.handbrake : 1.0;
 
     // Calculate load-sensitive grip coefficients (1.1)
     const frontGripCoeff = calculateLoadSensitiveGrip(frontLoad) * baseGrip;
@@ -386,7 +545,7 @@ export function updatePlayerPhysics(delta) {
             if (pp.speed >= -REVERSE_THRESHOLD) {
                 // Moving forward or stopped - apply forward throttle
                 // No acceleration while drifting (handbrake + turning)
-                const isDrifting = input.handbrake && Math.abs(steerInput) > 0.2;
+                const isDrifting = handbrakeOn && Math.abs(steerInput) > 0.2;
                 if (!isDrifting) {
                     const engineForce = onBoostPad ? P.engineForce * P.boostMultiplier : P.engineForce;
                     tractionForce = engineForce * input.throttle;
@@ -398,7 +557,7 @@ export function updatePlayerPhysics(delta) {
             }
         }
 
-        if (input.brake > 0 && !input.handbrake) {
+        if (input.brake > 0 && !handbrakeOn) {
             if (pp.speed > REVERSE_THRESHOLD) {
                 // Moving forward - apply brakes with bias (1.4)
                 const totalBrakeForce = P.brakeForce * input.brake;
@@ -416,7 +575,7 @@ export function updatePlayerPhysics(delta) {
                 brakeForceApplied = Math.min(frontBrakeForce, maxFrontBrake) +
                                    Math.min(rearBrakeForce, maxRearBrake);
 
-                // Apply ABS (1.5)
+                // Apply ABS (1.5) - a light pedal may never slip enough to need it
                 brakeForceApplied = updateABS(pp, delta, brakeForceApplied, pp.speed, frontLoad, rearLoad, effectiveGrip);
             } else {
                 // Stopped or nearly stopped - apply reverse throttle
@@ -425,12 +584,12 @@ export function updatePlayerPhysics(delta) {
         }
 
         // Handbrake - strong braking that can initiate drift when turning
-        if (input.handbrake && Math.abs(pp.speed) > REVERSE_THRESHOLD) {
+        if (handbrakeOn && Math.abs(pp.speed) > REVERSE_THRESHOLD) {
             pp.rearWheelLocked = true;
             pp.handbrakeEngaged = true;
 
             // Strong braking force - handbrake should stop car quickly
-            const handbrakeForce = P.brakeForce * 1.5; // 150% of normal brake force
+            const handbrakeForce = P.brakeForce * 1.5 * input.handbrake; // Up to 150% of normal brake force
             brakeForceApplied += handbrakeForce;
 
             // If turning while handbraking at speed, reduce braking to allow drift
@@ -460,7 +619,7 @@ export function updatePlayerPhysics(delta) {
     pp.speed = (pp.speed || 0) + longAccel * delta;
 
     pp.speed = Math.max(-P.maxSpeed * 0.1, Math.min(P.maxSpeed, pp.speed));
-    if (Math.abs(pp.speed) < 0.3 && input.throttle === 0 && input.brake === 0) pp.speed = 0;
+    if (Math.abs(pp.speed) < 0.3 && input.throttle < PEDAL_AT_REST && input.brake < PEDAL_AT_REST) pp.speed = 0;
 
     // === STEERING ===
     const speedFactor = Math.min(1, Math.abs(currentSpeed) / 15);
@@ -470,10 +629,11 @@ export function updatePlayerPhysics(delta) {
     let turnRate = steerInput * (1.5 + lowSpeedBonus) * speedFactor;
 
     // Handbrake behavior depends on steering input
-    if (input.handbrake && Math.abs(currentSpeed) > 3) {
+    if (handbrakeOn && Math.abs(currentSpeed) > 3) {
         if (Math.abs(steerInput) > 0.2) {
-            // Turning while handbraking - initiate/continue drift with faster rotation
-            turnRate = steerInput * 3.5;
+            // Turning while handbraking - initiate/continue drift with faster rotation,
+            // blending in as far as the handbrake is pulled
+            turnRate += (steerInput * 3.5 - turnRate) * input.handbrake;
         } else {
             // Handbrake without steering - car tries to stay straight while stopping
             turnRate *= 0.3;
@@ -495,7 +655,7 @@ export function updatePlayerPhysics(delta) {
 
     let slideRetention, turnSlideForce;
 
-    if (input.handbrake && Math.abs(currentSpeed) > 3) {
+    if (handbrakeOn && Math.abs(currentSpeed) > 3) {
         if (Math.abs(steerInput) > 0.2) {
             // Handbrake + turning = drift slide
             slideRetention = 0.25 + speedFactor2 * 0.25; // High slide retention during drift
@@ -732,7 +892,7 @@ export function updatePlayerPhysics(delta) {
     // === OFF-TRACK DETECTION ===
     // Check if car is too far from track center
     if (state.roadCurve && !pp.isCrashed) {
-        const trackPoint = state.roadCurve.getPoint(trackPos.trackT);
+        const trackPoint = getPlayerCurve(pp).getPoint(trackPos.trackT);
         const distFromTrack = new THREE.Vector2(
             newPosition.x - trackPoint.x,
             newPosition.z - trackPoint.z
@@ -792,6 +952,9 @@ export function updatePlayerPhysics(delta) {
         state.car.wheels.forEach(wheel => wheel.rotation.x += pp.speed * delta * 2);
     }
 
+    // Time trial ghost recording and playback
+    updateGhost();
+
     // === TRACK PROGRESS & UI ===
     const currentSpeedMph = Math.abs(pp.speed * 2.237);
     if (currentSpeedMph > state.topSpeed) {
@@ -817,10 +980,8 @@ export function updatePlayerPhysics(delta) {
     // Skip if delta is too large (teleport/initialization) or if we moved backward
     const movingForward = forwardDelta > 0 && forwardDelta < 0.1;
 
-    // Checkpoint positions at 25%, 50%, 75% of track
-    const checkpoints = [0.25, 0.5, 0.75];
-
     // Update checkpoints only if moving forward normally
+    const checkpoints = getCheckpoints(pp);
     if (movingForward) {
         for (let i = 0; i < checkpoints.length; i++) {
             const cp = checkpoints[i];
@@ -828,28 +989,47 @@ export function updatePlayerPhysics(delta) {
             // Need to handle the wrap-around case where we cross from high to low
             const crossedNormally = lastT < cp && currentT >= cp && currentT < cp + 0.1;
             if (crossedNormally) {
+                if (!state.checkpointsPassed[i]) showSector(completeSector(pp.lapTimer, i));
                 state.checkpointsPassed[i] = true;
             }
         }
     }
 
-    // Lap completion: crossed start/finish going forward with all checkpoints passed
-    const crossedFinishLine = lastT > 0.9 && currentT < 0.1 && forwardDelta > 0 && forwardDelta < 0.2;
     const allCheckpointsPassed = state.checkpointsPassed.every(cp => cp);
 
-    if (crossedFinishLine && allCheckpointsPassed) {
-        state.setLapCount(state.lapCount + 1);
-        document.getElementById('lap-num').textContent = state.lapCount;
+    if (state.raceMode === 'sprint') {
+        // Sprint completion: reached the finish line going forward with all checkpoints passed
+        const finishT = state.trackRoutes[pp.routeIndex || 0].finishT;
+        const crossedFinishLine = movingForward && lastT < finishT && currentT >= finishT;
+        document.getElementById('distance-num').textContent = Math.round(getDistanceToFinish(currentT, pp.routeIndex));
 
-        // Reset checkpoints for next lap
-        state.resetCheckpoints();
-
-        if (state.lapCount >= 3 && !state.playerFinished) {
-            const position = getPlayerPosition();
-            const totalTime = (Date.now() - state.raceStartTime) / 1000;
-            state.setPlayerFinished(true);
-            showFinishScreen(position, totalTime);
+        if (crossedFinishLine && allCheckpointsPassed && !state.playerFinished) {
+            completePlayerLap();
+            finishPlayerRace();
+        } else {
+            trackLapProgress(pp.lapTimer, currentT / finishT);
+        }
+    } else {
+        // Lap completion: crossed start/finish going forward with all checkpoints passed
+        const crossedFinishLine = lastT > 0.9 && currentT < 0.1 && forwardDelta > 0 && forwardDelta < 0.2;
+
+        if (crossedFinishLine && allCheckpointsPassed) {
+            state.setLapCount(state.lapCount + 1);
+            document.getElementById('lap-num').textContent = state.lapCount;
+
+            // Reset checkpoints for next lap
+            state.resetCheckpoints();
+            completePlayerLap();
+            checkElimination(state.lapCount);
+            checkPlayerElimination();
+
+            const config = state.raceConfig;
+            if (config.type !== 'timed' && !isEliminationRace() && state.lapCount >= config.laps && !state.playerFinished) {
+                finishPlayerRace();
+            }
         }
+        trackLapProgress(pp.lapTimer, currentT);
+        updateLapTimeDisplay(pp.lapTimer);
     }
 
     state.setLastCheckpoint(currentT);
@@ -860,53 +1040,110 @@ export function updatePlayerPhysics(delta) {
     const driftIndicator = pp.isDrifting ? ' DRIFT!' : '';
     document.getElementById('gear-indicator').textContent = gearText + driftIndicator;
     document.getElementById('gear-indicator').style.color = pp.isDrifting ? '#ff6600' : '#ff0';
-    // Account for paused time in race timer
-    const elapsedTime = (Date.now() - state.raceStartTime - state.totalPausedTime) / 1000;
-    document.getElementById('race-time').textContent = formatTime(elapsedTime);
+    // Timed races count down to the limit
+    const elapsedTime = getRaceTime();
+    const raceTime = state.raceConfig.type === 'timed'
+        ? Math.ceil(Math.max(0, state.raceConfig.timeLimit - elapsedTime))
+        : elapsedTime;
+    document.getElementById('race-time').textContent = formatTime(raceTime);
+    document.getElementById('danger-zone').style.display = isPlayerInDangerZone() ? 'block' : 'none';
 
     // Camera
     updatePlayerCamera();
 }
 
-function updatePlayerCamera() {
-    const heading = state.playerPhysics.heading;
-    const pos = state.playerPhysics.position;
-    let dist, height, lookHeight, lerpSpeed;
-
-    switch (state.cameraMode) {
-        case 'far':
-            dist = 30;
-            height = 15;
-            lookHeight = 1;
-            lerpSpeed = 0.06;
-            break;
-        case 'first-person':
-            dist = -1;
-            height = 2.5;
-            lookHeight = 2;
-            lerpSpeed = 0.25;
-            break;
-        case 'near':
-        default:
-            dist = 15;
-            height = 8;
-            lookHeight = 1;
-            lerpSpeed = 0.08;
-            break;
+// totalTime is null if the player didn't make it (cut off after the winner, or out of time on a sprint)
+function finishPlayerRace(totalTime = getRaceTime()) {
+    state.setPlayerFinishTime(totalTime);
+    state.setPlayerFinished(true);
+    stopGhost();
+
+    // Timed races all last the limit, so only their lap and speed can be records
+    const records = submitRaceRecords({
+        raceTime: state.raceConfig.type === 'timed' ? null : totalTime,
+        bestLap: state.playerPhysics.lapTimer.bestLap,
+        topSpeed: state.topSpeed
+    });
+    showFinishScreen(getPlayerPosition(), totalTime, records);
+}
+
+// The player crossed the line: time the lap, and in time trials keep the best lap as a ghost
+function completePlayerLap() {
+    const lap = completeLap(state.playerPhysics.lapTimer);
+    showSector(lap.sector);
+
+    // Time trials measure against the ghost's lap, which may be from an earlier race
+    const ghostLap = completeGhostLap(lap.lapTime);
+    const isBest = ghostLap ? ghostLap.isBest : lap.isBest;
+    if (isBest) document.getElementById('best-lap').textContent = formatLapTime(lap.lapTime);
+}
+
+// Sector time coloured against the race's and your own bests
+function showSector({ index, time, rating }) {
+    const sector = document.getElementById(`sector-${index}`);
+    sector.textContent = `S${index + 1} ${time.toFixed(3)}`;
+    sector.className = `sector ${rating}`;
+}
+
+function updateLapTimeDisplay(timer) {
+    document.getElementById('lap-time').textContent = formatLapTime(getRaceTime() - timer.lapStart);
+
+    const delta = getLapDelta(timer);
+    const deltaEl = document.getElementById('lap-delta');
+    deltaEl.textContent = delta !== null ? formatLapDelta(delta) : '';
+    deltaEl.className = delta !== null && delta <= 0 ? 'ahead' : 'behind';
+}
+
+// Out of time: on a circuit everyone is classified where they are; a sprint
+// still needs the finish line, so cars short of it don't finish
+function endTimedRace() {
+    const timeLimit = state.raceConfig.timeLimit;
+    if (state.raceMode !== 'sprint') {
+        state.aiCars.forEach(ai => {
+            if (ai.finished) return;
+            ai.finished = true;
+            ai.finishTime = timeLimit;
+        });
+        if (!state.playerFinished) finishPlayerRace(timeLimit);
+    }
+    endRace();
+}
+
+// The race is over once everyone has finished, or finishCutoff seconds after the winner
+function checkRaceOver() {
+    if (state.raceOver) return;
+
+    const racers = getClassification();
+    const winner = racers[0];
+    if (winner.finishTime === null) return;
+
+    const everyoneFinished = racers.every(racer => racer.finishTime !== null || racer.eliminatedLap !== null);
+    if (everyoneFinished || getRaceTime() >= winner.finishTime + RACE_SETUP.finishCutoff) endRace();
+}
+
+// In an elimination race the player is done once knocked out, or wins as the last car left
+function checkPlayerElimination() {
+    if (state.playerFinished || !isEliminationRace()) return;
+
+    if (state.playerPhysics.eliminatedLap !== null) {
+        finishPlayerRace(null);
+    } else if (getClassification().every(racer => racer.isPlayer || racer.eliminatedLap !== null)) {
+        finishPlayerRace();
     }
+}
 
-    const cameraOffset = new THREE.Vector3(
-        -Math.sin(heading) * dist,
-        height,
-        -Math.cos(heading) * dist
-    );
-    camera.position.lerp(pos.clone().add(cameraOffset), lerpSpeed);
-
-    // First person looks further ahead
-    const lookAhead = state.cameraMode === 'first-person' ? 10 : 0;
-    camera.lookAt(
-        pos.x + Math.sin(heading) * lookAhead,
-        pos.y + lookHeight,
-        pos.z + Math.cos(heading) * lookAhead
-    );
+function followRaceLeader() {
+    const leader = getClassification()[0].car;
+    followCarCamera(leader.position, leader.heading);
+}
+
+// Make the classification final; anyone still going doesn't finish, the player included
+function endRace() {
+    state.setRaceOver(true);
+    if (!state.playerFinished) finishPlayerRace(null);
+    completeCupRace(getClassification());
+}
+
+function updatePlayerCamera() {
+    followCarCamera(state.playerPhysics.position, state.playerPhysics.heading);
 }
@@ -0,0 +1,255 @@
+// Race replay - records every car, crate and particle burst, then plays them back
+// by moving meshes only; the race's physics state is never touched
+
+import * as THREE from 'three';
+import * as state from '../state.js';
+import { scene } from '../scene.js';
+import { obstacles } from '../obstacles/obstacleState.js';
+import { spawnDebris } from '../obstacles/obstaclePhysics.js';
+import { onParticleTrigger, spawnDriftSmoke, createPoofEffect } from '../effects/particles.js';
+
+// Seconds between recorded frames
+const SAMPLE_INTERVAL = 0.05;
+
+// Stop recording after this long so very long races don't eat memory
+const MAX_DURATION = 600;
+
+// Car values per frame: [x, y, z, heading, qx, qy, qz, qw, wheelSpin, visible]
+// Crate values per frame: [x, y, z, rx, ry, rz], or null once destroyed
+
+let cars = [];              // [{ name, mesh, source }] - source is the physics object read while recording
+let crates = [];            // Obstacles present at the start, in recording order
+let frames = [];            // [{ time, cars, crates }]
+let events = [];            // Particle bursts: [{ time, type, data }]
+let clock = 0;              // Seconds of racing recorded, not counting pauses or the countdown
+let sinceLastSample = 0;
+
+let eventIndex = 0;         // Next event to play
+let carHeadings = [];       // Each car's heading at the time shown
+let liveScene = null;       // Mesh transforms to put back when the replay closes
+
+// Particle bursts are recorded as they happen while racing
+onParticleTrigger((type, data) => {
+    if (!isRecording()) return;
+    events.push({ time: clock, type, data });
+});
+
+// ==================== RECORDING ====================
+
+// Start of a race: forget the last replay and track this race's cars and crates
+export function startReplayRecording() {
+    cars = [{ name: 'You', mesh: state.car, source: state.playerPhysics }];
+    state.aiCars.forEach(ai => cars.push({ name: ai.name, mesh: ai.mesh, source: ai }));
+    crates = obstacles.slice();
+    frames = [];
+    events = [];
+    clock = 0;
+    sinceLastSample = 0;
+    recordFrame();
+}
+
+// Called every frame; only records while the race is actually running
+export function recordReplay(delta) {
+    if (!isRecording()) return;
+
+    clock += delta;
+    sinceLastSample += delta;
+    if (sinceLastSample >= SAMPLE_INTERVAL) {
+        sinceLastSample %= SAMPLE_INTERVAL;
+        recordFrame();
+    }
+}
+
+function isRecording() {
+    return state.gameState === 'racing' && !state.isPaused && !state.isCountingDown &&
+        cars.length > 0 && clock < MAX_DURATION;
+}
+
+function recordFrame() {
+    frames.push({
+        time: clock,
+        cars: cars.map(({ mesh, source }) => {
+            const q = mesh.quaternion;
+            const wheelSpin = mesh.wheels ? mesh.wheels[0].rotation.x : 0;
+            return [
+                source.position.x, source.position.y, source.position.z, source.heading,
+                q.x, q.y, q.z, q.w, wheelSpin, mesh.visible ? 1 : 0
+            ];
+        }),
+        crates: crates.map(crate => crate.destroyed ? null : [
+            crate.position.x, crate.position.y, crate.position.z,
+            crate.rotation.x, crate.rotation.y, crate.rotation.z
+        ])
+    });
+}
+
+// ==================== PLAYBACK ====================
+
+export function hasReplay() {
+    return frames.length >= 2;
+}
+
+// Length of the recording in seconds
+export function getReplayDuration() {
+    return frames.length > 0 ? frames[frames.length - 1].time : 0;
+}
+
+export function getReplayCarNames() {
+    return cars.map(car => car.name);
+}
+
+// Remember where everything is in the live race before the replay moves it
+export function openReplay() {
+    liveScene = {
+        cars: cars.map(({ mesh }) => ({
+            position: mesh.position.clone(),
+            quaternion: mesh.quaternion.clone(),
+            wheelSpin: mesh.wheels ? mesh.wheels[0].rotation.x : 0,
+            visible: mesh.visible
+        })),
+        crates: crates.map(({ mesh }) => mesh && {
+            position: mesh.position.clone(),
+            rotation: mesh.rotation.clone(),
+            inScene: mesh.parent === scene
+        })
+    };
+    eventIndex = 0;
+    carHeadings = [];
+}
+
+// Put every mesh back where the live race left it
+export function closeReplay() {
+    if (!liveScene) return;
+
+    cars.forEach(({ mesh }, i) => {
+        const live = liveScene.cars[i];
+        mesh.position.copy(live.position);
+        mesh.quaternion.copy(live.quaternion);
+        setWheelSpin(mesh, live.wheelSpin);
+        mesh.visible = live.visible;
+    });
+    crates.forEach(({ mesh }, i) => {
+        const live = liveScene.crates[i];
+        if (!live) return;
+        mesh.position.copy(live.position);
+        mesh.rotation.copy(live.rotation);
+        setCrateInScene(mesh, live.inScene);
+    });
+    liveScene = null;
+}
+
+// Show the race as it was at a time. Playing forward fires the particle bursts
+// passed on the way; jumping (scrubbing) skips them.
+export function showReplayTime(time, playEvents) {
+    if (!hasReplay()) return;
+
+    const index = findFrame(time);
+    const a = frames[index];
+    const b = frames[Math.min(index + 1, frames.length - 1)];
+    const blend = b.time > a.time ? Math.min(1, Math.max(0, (time - a.time) / (b.time - a.time))) : 0;
+
+    cars.forEach(({ mesh }, i) => {
+        carHeadings[i] = applyCarFrame(mesh, a.cars[i], b.cars[i], blend);
+    });
+    crates.forEach(({ mesh }, i) => {
+        if (mesh) applyCrateFrame(mesh, a.crates[i], b.crates[i], blend);
+    });
+
+    if (playEvents) {
+        while (eventIndex < events.length && events[eventIndex].time <= time) {
+            playEvent(events[eventIndex]);
+            eventIndex++;
+        }
+    } else {
+        eventIndex = events.findIndex(event => event.time > time);
+        if (eventIndex === -1) eventIndex = events.length;
+    }
+}
+
+// Where a car is in the replay, for the camera
+export function getReplayCarView(index) {
+    return { position: cars[index].mesh.position, heading: carHeadings[index] || 0 };
+}
+
+// Car positions in the replay, so the scenery reacts to them
+export function getReplayCarPositions() {
+    return cars.filter(car => car.mesh.visible).map(car => car.mesh.position);
+}
+
+// Last frame at or before a time
+function findFrame(time) {
+    let low = 0;
+    let high = frames.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (frames[mid].time <= time) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
+
+const fromQuat = new THREE.Quaternion();
+const toQuat = new THREE.Quaternion();
+
+// Returns the car's heading, which takes the short way round between frames
+function applyCarFrame(mesh, a, b, blend) {
+    mesh.position.set(
+        a[0] + (b[0] - a[0]) * blend,
+        a[1] + (b[1] - a[1]) * blend,
+        a[2] + (b[2] - a[2]) * blend
+    );
+    fromQuat.set(a[4], a[5], a[6], a[7]);
+    toQuat.set(b[4], b[5], b[6], b[7]);
+    mesh.quaternion.slerpQuaternions(fromQuat, toQuat, blend);
+
+    setWheelSpin(mesh, a[8] + (b[8] - a[8]) * blend);
+    mesh.visible = (blend < 1 ? a : b)[9] === 1;
+
+    const turn = Math.atan2(Math.sin(b[3] - a[3]), Math.cos(b[3] - a[3]));
+    return a[3] + turn * blend;
+}
+
+// A crate is hidden from the frame it was destroyed
+function applyCrateFrame(mesh, a, b, blend) {
+    const from = blend < 1 ? a : b;
+    setCrateInScene(mesh, !!from);
+    if (!from) return;
+
+    const to = b || from;
+    mesh.position.set(
+        from[0] + (to[0] - from[0]) * blend,
+        from[1] + (to[1] - from[1]) * blend,
+        from[2] + (to[2] - from[2]) * blend
+    );
+    mesh.rotation.set(
+        from[3] + (to[3] - from[3]) * blend,
+        from[4] + (to[4] - from[4]) * blend,
+        from[5] + (to[5] - from[5]) * blend
+    );
+}
+
+function setWheelSpin(mesh, spin) {
+    if (mesh.wheels) mesh.wheels.forEach(wheel => wheel.rotation.x = spin);
+}
+
+function setCrateInScene(mesh, inScene) {
+    if (inScene && mesh.parent !== scene) {
+        scene.add(mesh);
+    } else if (!inScene && mesh.parent === scene) {
+        scene.remove(mesh);
+    }
+}
+
+function playEvent(event) {
+    const { data } = event;
+    if (event.type === 'smoke') {
+        spawnDriftSmoke(data.position, data.heading, data.speed, data.slipIntensity);
+    } else if (event.type === 'debris') {
+        spawnDebris(data.position, data.velocity);
+    } else if (event.type === 'poof') {
+        createPoofEffect(data.position);
+    }
+}
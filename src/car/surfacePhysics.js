@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import * as state from '../state.js';
 import { PHYSICS } from '../constants.js';
+import { SURFACE_TYPES, getPieceAtPosition } from '../track/surfaces.js';
 
 // Raycaster for surface detection
 const raycaster = new THREE.Raycaster();
@@ -516,6 +517,10 @@ export function applyBarrierCollision(position, velocity, speed, heading, collis
 
 // Get surface type at a point (for grip modifiers and boost)
 export function getSurfaceType(position) {
+    // A painted surface replaces whatever the piece would normally be
+    const piece = getPieceAtPosition(position, state.placedPieces);
+    if (piece && piece.surface) return piece.surface;
+
     // Check obstacle zones for special surfaces
     for (const zone of state.obstacleZones) {
         if (zone.type !== 'sand' && zone.type !== 'ice' && zone.type !== 'boost') continue;
@@ -539,6 +544,11 @@ export function getGripMultiplier(surfaceType) {
     switch (surfaceType) {
         case 'sand': return PHYSICS.sandGripMultiplier;
         case 'ice': return PHYSICS.iceGripMultiplier;
-        default: return 1.0;
+        default:
+            // Painted surfaces grip relative to plain asphalt
+            if (SURFACE_TYPES[surfaceType]) {
+                return SURFACE_TYPES[surfaceType].friction / SURFACE_TYPES.asphalt.friction;
+            }
+            return 1.0;
     }
 }
@@ -192,6 +192,71 @@ export const AI_CONFIG = {
     aiPersonalities: ['aggressive', 'cautious', 'balanced']  // Maps to car indices
 };
 
+// Race setup: lap races run minLaps-maxLaps laps, timed races pick a limit from timeLimits (seconds).
+// Cars that haven't finished finishCutoff seconds after the winner are out (DNF).
+export const RACE_SETUP = {
+    defaultLaps: 3,
+    minLaps: 1,
+    maxLaps: 50,
+    defaultTimeLimit: 180,
+    timeLimits: [60, 120, 180, 300, 600],
+    finishCutoff: 60
+};
+
+// Championship cup: a run of saved tracks, with points for each finishing position (non-finishers score none)
+export const CUP = {
+    minTracks: 3,
+    maxTracks: 6,
+    points: [10, 6, 4, 3]
+};
+
+// Gamepad (standard mapping): analog triggers, a stick with a deadzone and response curve
+export const GAMEPAD = {
+    deadzone: 0.15,                // Stick travel ignored around the centre
+    steerCurve: 1.6,               // >1 softens small stick movements, full lock is unchanged
+    triggerDeadzone: 0.05,
+    steerAxis: 0,                  // Left stick, horizontal - always steers, whatever the bindings
+    buttonNames: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L Stick', 'R Stick',
+        'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right', 'Home']
+};
+
+// Rebindable actions with their default keys (as KeyboardEvent.key, lower case) and gamepad
+// buttons, up to two of each. An action only responds in its contexts, so one key can do
+// different things in different places: driving, paused, replay, building or menus.
+// keys: null means the keyboard uses the browser's own keys for it, named by keyHint.
+export const CONTROLS = {
+    slots: 2,
+    actions: [
+        { id: 'throttle', label: 'Accelerate', group: 'Driving', contexts: ['driving'], keys: ['w', 'arrowup'], buttons: [7] },
+        { id: 'brake', label: 'Brake / Reverse', group: 'Driving', contexts: ['driving'], keys: ['s', 'arrowdown'], buttons: [6] },
+        { id: 'steerLeft', label: 'Steer Left', group: 'Driving', contexts: ['driving'], keys: ['a', 'arrowleft'], buttons: [14] },
+        { id: 'steerRight', label: 'Steer Right', group: 'Driving', contexts: ['driving'], keys: ['d', 'arrowright'], buttons: [15] },
+        { id: 'handbrake', label: 'Handbrake', group: 'Driving', contexts: ['driving'], keys: [' '], buttons: [0] },
+        { id: 'camera', label: 'Change Camera', group: 'Driving', contexts: ['driving'], keys: ['c', 'v'], buttons: [3] },
+        { id: 'pause', label: 'Pause / Resume', group: 'Driving', contexts: ['driving', 'paused'], keys: ['escape'], buttons: [9] },
+        { id: 'replayPlay', label: 'Play / Pause Replay', group: 'Replay', contexts: ['replay'], keys: [' '], buttons: [0] },
+        { id: 'raise', label: 'Raise Piece', group: 'Builder', contexts: ['building'], keys: ['q'], buttons: [] },
+        { id: 'lower', label: 'Lower Piece', group: 'Builder', contexts: ['building'], keys: ['e'], buttons: [] },
+        { id: 'rotate', label: 'Rotate Piece', group: 'Builder', contexts: ['building'], keys: ['r'], buttons: [] },
+        { id: 'menuConfirm', label: 'Select', group: 'Menus', contexts: ['paused', 'building', 'menus'], keys: null, keyHint: 'Enter', buttons: [0] },
+        { id: 'back', label: 'Back', group: 'Menus', contexts: ['paused', 'replay', 'building', 'menus'], keys: null, keyHint: 'Esc', buttons: [1] },
+        { id: 'menuUp', label: 'Up', group: 'Menus', contexts: ['paused', 'building', 'menus'], keys: null, keyHint: 'Shift+Tab', buttons: [12] },
+        { id: 'menuDown', label: 'Down', group: 'Menus', contexts: ['paused', 'building', 'menus'], keys: null, keyHint: 'Tab', buttons: [13] },
+        { id: 'menuLeft', label: 'Left / Less', group: 'Menus', contexts: ['paused', 'building', 'menus'], keys: null, keyHint: 'Arrow keys', buttons: [14] },
+        { id: 'menuRight', label: 'Right / More', group: 'Menus', contexts: ['paused', 'building', 'menus'], keys: null, keyHint: 'Arrow keys', buttons: [15] }
+    ]
+};
+
+// Touch HUD for racing on phones and tablets
+export const TOUCH = {
+    steerRadius: 70,               // Finger travel from where it landed to full lock (px)
+    tiltRange: 25,                 // Degrees of tilt for full lock when steering by tilt
+    tiltDeadzone: 3                // Degrees of tilt ignored around level
+};
+
+// Checkpoint positions at 25%, 50%, 75% of a lap - all must be passed to count it, and they split it into sectors
+export const CHECKPOINTS = [0.25, 0.5, 0.75];
+
 // Decoration pieces - placed on grid but cannot overlap track
 export const DECORATION_DATA = {
     'grandstand': { width: 20, depth: 10, hasTrigger: true, triggerType: 'cheer', triggerRadius: 25 },
@@ -216,6 +281,7 @@ export const ELEVATION = {
 // Curve radius = straight length so loops close on the grid
 export const PIECE_DATA = {
     'start':          { length: 40, curveAngle: 0, curveRadius: 0, isStart: true },
+    'finish':         { length: 40, curveAngle: 0, curveRadius: 0, isFinish: true, finishLineZ: 10 },
     'straight-short': { length: 20, curveAngle: 0, curveRadius: 0 },
     'straight-long':  { length: 40, curveAngle: 0, curveRadius: 0 },
     'straight-extra': { length: 60, curveAngle: 0, curveRadius: 0 },
@@ -229,5 +295,44 @@ export const PIECE_DATA = {
     'boost-pad':      { length: 20, curveAngle: 0, curveRadius: 0, isObstacle: true, obstacleType: 'boost' },
     'loop':           { length: 80, curveAngle: 0, curveRadius: 0, isObstacle: true, obstacleType: 'loop', loopRadius: 25 },
     'ramp':           { length: 40, curveAngle: 0, curveRadius: 0, isRamp: true, elevationDelta: 1 },
-    'ramp-steep':     { length: 20, curveAngle: 0, curveRadius: 0, isRamp: true, elevationDelta: 1 }
+    'ramp-steep':     { length: 20, curveAngle: 0, curveRadius: 0, isRamp: true, elevationDelta: 1 },
+    // Junctions: a straight main line plus a branch that S-bends out to run parallel,
+    // branchOffset to the side (direction 1 = right, like curves). A fork's branch
+    // leaves at its start and ends level with its end; a merge is the reverse.
+    'fork-right':     { length: 80, curveAngle: 0, curveRadius: 0, junction: 'fork', branchOffset: 40, branchDirection: 1 },
+    'fork-left':      { length: 80, curveAngle: 0, curveRadius: 0, junction: 'fork', branchOffset: 40, branchDirection: -1 },
+    'merge-right':    { length: 80, curveAngle: 0, curveRadius: 0, junction: 'merge', branchOffset: 40, branchDirection: 1 },
+    'merge-left':     { length: 80, curveAngle: 0, curveRadius: 0, junction: 'merge', branchOffset: 40, branchDirection: -1 },
+    // Crossings: a straight plus a second road across its middle, left to right.
+    // The flyover lifts the cross road crossElevation levels over the main one.
+    'crossing':        { length: 40, curveAngle: 0, curveRadius: 0, crossing: 'flat' },
+    'crossing-bridge': { length: 40, curveAngle: 0, curveRadius: 0, crossing: 'bridge', crossElevation: 1 }
+};
+
+// Curve picker: radii in units and angles in degrees. Every pair (flat and banked) is a
+// piece type of its own, named by getCurveType; the original curves keep their names.
+export const CURVE_RADII = [20, 40, 60];
+export const CURVE_ANGLES = [15, 30, 45, 60, 75, 90, 105, 120, 135, 150, 165, 180];
+
+const LEGACY_CURVE_TYPES = {
+    'flat-20-45': 'curve-45',
+    'flat-20-90': 'curve-90',
+    'banked-20-90': 'curve-banked',
+    'banked-20-180': 'curve-banked-180'
 };
+
+export function getCurveType(radius, degrees, banked = false) {
+    const legacy = LEGACY_CURVE_TYPES[`${banked ? 'banked' : 'flat'}-${radius}-${degrees}`];
+    if (legacy) return legacy;
+    return `curve-${banked ? 'banked-' : ''}r${radius}-${degrees}`;
+}
+
+for (const radius of CURVE_RADII) {
+    for (const degrees of CURVE_ANGLES) {
+        const curve = { length: 0, curveAngle: degrees * Math.PI / 180, curveRadius: radius, direction: 1 };
+        const flatType = getCurveType(radius, degrees);
+        const bankedType = getCurveType(radius, degrees, true);
+        if (!PIECE_DATA[flatType]) PIECE_DATA[flatType] = curve;
+        if (!PIECE_DATA[bankedType]) PIECE_DATA[bankedType] = { ...curve, banked: true, bankAngle: 0.3 };
+    }
+}
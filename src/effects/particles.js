@@ -132,6 +132,17 @@ export function updatePoofParticles(delta) {
     }
 }
 
+// Particle trigger listeners, told about each burst as it's emitted (replays record them)
+const triggerListeners = [];
+
+export function onParticleTrigger(listener) {
+    triggerListeners.push(listener);
+}
+
+export function notifyParticleTrigger(type, data) {
+    triggerListeners.forEach(listener => listener(type, data));
+}
+
 // Tire smoke trail system
 let lastSmokeTime = 0;
 
@@ -145,6 +156,17 @@ export function emitDriftSmoke(carPosition, carHeading, speed, slipIntensity) {
     if (now - lastSmokeTime < smokeInterval) return;
     lastSmokeTime = now;
 
+    notifyParticleTrigger('smoke', {
+        position: carPosition.clone(),
+        heading: carHeading,
+        speed,
+        slipIntensity
+    });
+    spawnDriftSmoke(carPosition, carHeading, speed, slipIntensity);
+}
+
+// One puff of smoke from both rear wheels, without the emission rate limit
+export function spawnDriftSmoke(carPosition, carHeading, speed, slipIntensity) {
     // Emit from both rear wheels
     const rearOffset = -1.5;
     const wheelSpread = 1.2;
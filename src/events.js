@@ -7,7 +7,7 @@ import { startDrag, updateDragPosition, endDrag, onCanvasMouseDown, getClickedPi
 import { clearTrack } from './track/trackState.js';
 import { clearObstacles, obstacles, resetObstacles } from './obstacles/obstacleState.js';
 import { createCrateMesh } from './obstacles/obstacleMeshes.js';
-import { buildRoadCurve } from './track/trackState.js';
+import { buildRoadCurve, getDistanceToFinish } from './track/trackState.js';
 import { placePiece } from './track/placement.js';
 import { createCar, updatePlayerCarTheme } from './car/car.js';
 import { setupAICars } from './ai/aiCars.js';
@@ -15,8 +15,31 @@ import { updateTrackStatus } from './track/trackState.js';
 import { rebuildTrackMeshCache } from './car/surfacePhysics.js';
 import { playMenuMusic, playBuilderMusic, stopAllMusic, playWhoosh, toggleMute, getMuted, playDelete } from './audio/audioManager.js';
 import { initGalleryUI, showGallery } from './ui/galleryUI.js';
+import { initTrackLibrary, refreshTrackLibrary } from './ui/trackLibrary.js';
+import { initTrackImport } from './ui/trackImport.js';
+import { initTrackGenerator } from './ui/trackGenerator.js';
+import { initTrackDiagnostics } from './ui/trackDiagnostics.js';
+import { initRecordsScreen } from './ui/records.js';
+import { initCupScreen, raceNextCupTrack, showCupPodium, hideCupPodium } from './ui/cupScreen.js';
+import { isCupOver, leaveCupRace } from './track/cup.js';
+import { initRaceSetup, showRaceSetup } from './ui/raceSetup.js';
+import { formatTime, formatLapTime } from './ui/leaderboard.js';
+import { setupGhost, getBestLapTime } from './car/ghost.js';
+import { startReplayRecording } from './car/replay.js';
+import { SECTOR_COUNT, resetLapTiming, createLapTimer } from './car/lapTiming.js';
+import { getEliminationLaps } from './car/elimination.js';
+import { initReplayViewer, openReplayViewer, closeReplayViewer, toggleReplayPlaying } from './ui/replayViewer.js';
+import { cancelAutoClose } from './ui/autoClosePreview.js';
+import { handleSelectionPointerDown, handleSelectionPointerMove, handleSelectionPointerUp, isSelectionDragActive, rotateGroup, cancelGroupDrag, clearSelection, pruneSelection, copySelection, startPaste, deleteSelection } from './ui/selection.js';
+import { handlePaintPointerDown, isPaintModeActive, exitPaintMode } from './ui/paintTool.js';
+import { getShareCodeFromHash, loadShareCode } from './track/serialize.js';
+import { undo, redo, canUndo, canRedo, onHistoryChange, captureSnapshot, recordChange } from './track/history.js';
 import { setTheme, getCurrentThemeName, onThemeChange } from './theme/themeManager.js';
 import { ELEVATION } from './constants.js';
+import { onAction, isEditableTarget } from './input.js';
+import { describeActionKeys } from './bindings.js';
+import { initControlsScreen } from './ui/controlsScreen.js';
+import { initTouchControls } from './ui/touchControls.js';
 
 export function setupEventListeners() {
     // Splash screen - click to unlock audio and show title screen
@@ -97,6 +120,7 @@ export function setupEventListeners() {
     function enterBuildMode() {
         state.setGameState('building');
         state.setCameraMode('near'); // Reset camera mode for next race
+        leaveCupRace(); // Races from the builder don't count for a cup
 
         // Initialize gallery UI if first time
         initGalleryUI();
@@ -130,6 +154,33 @@ export function setupEventListeners() {
 
     document.getElementById('start-game-btn').addEventListener('click', startBuilding);
 
+    // Shared track link - skip the splash and title screens and open the track in build mode
+    const shareCode = getShareCodeFromHash();
+    if (shareCode) {
+        // A broken link still opens the builder, saying why the track isn't there
+        let loadError = null;
+        try {
+            loadShareCode(shareCode);
+        } catch (e) {
+            console.warn('Could not load shared track:', e.message);
+            loadError = e.message;
+        }
+        splashScreen.style.display = 'none';
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        enterBuildMode();
+        if (loadError) {
+            const indicator = document.getElementById('drop-indicator');
+            indicator.textContent = `Couldn't open the shared track: ${loadError}`;
+            indicator.style.display = 'block';
+            indicator.style.background = 'rgba(244, 67, 54, 0.9)';
+            clearTimeout(indicator._historyTimeout);
+            indicator._historyTimeout = setTimeout(() => { indicator.style.display = 'none'; }, 5000);
+        }
+
+        // Browsers block audio until the first interaction
+        window.addEventListener('pointerdown', () => playBuilderMusic(), { once: true });
+    }
+
     // Race menu pause functions
     function pauseRace() {
         if (state.gameState !== 'racing' || state.isPaused) return;
@@ -146,47 +197,92 @@ export function setupEventListeners() {
         document.getElementById('race-menu-overlay').style.display = 'none';
     }
 
-    // Keyboard support for title screen and modals
+    // Back (Escape or the gamepad's B) closes whatever is open
+    onAction('back', () => {
+        const howToPlayModal = document.getElementById('how-to-play-modal');
+        const menuOverlay = document.getElementById('menu-overlay');
+
+        // Cancel a group move/paste, then drop the selection
+        if (state.gameState === 'building' && menuOverlay.style.display !== 'flex') {
+            if (cancelGroupDrag()) return;
+            if (cancelAutoClose()) return;
+            if (exitPaintMode()) return;
+            clearSelection();
+        }
+        // Close how to play modal
+        if (howToPlayModal.style.display === 'flex') {
+            howToPlayModal.style.display = 'none';
+            return;
+        }
+        // Close build menu
+        if (menuOverlay.style.display === 'flex') {
+            menuOverlay.style.display = 'none';
+            return;
+        }
+        // Leave the replay for the results
+        if (state.gameState === 'replay') {
+            closeReplayViewer();
+            return;
+        }
+        // Close the race menu
+        if (state.gameState === 'racing') resumeRace();
+    });
+
+    // Toggle race menu during race
+    onAction('pause', () => {
+        if (state.isPaused) {
+            resumeRace();
+        } else if (!state.playerFinished) {
+            pauseRace();
+        }
+    });
+
+    // Play and pause the replay
+    onAction('replayPlay', toggleReplayPlaying);
+
+    // Cycle camera mode during race
+    onAction('camera', () => {
+        const newMode = state.cycleCameraMode();
+        // Brief on-screen indicator
+        const indicator = document.getElementById('drop-indicator');
+        indicator.textContent = state.CAMERA_MODE_LABELS[newMode];
+        indicator.style.display = 'block';
+        indicator.style.background = 'rgba(0, 0, 0, 0.7)';
+        clearTimeout(indicator._camTimeout);
+        indicator._camTimeout = setTimeout(() => { indicator.style.display = 'none'; }, 1500);
+    });
+
+    // Keyboard support for title screen and builder shortcuts
     document.addEventListener('keydown', (e) => {
         const titleScreen = document.getElementById('title-screen');
         const howToPlayModal = document.getElementById('how-to-play-modal');
-        const menuOverlay = document.getElementById('menu-overlay');
-        const raceMenuOverlay = document.getElementById('race-menu-overlay');
 
-        // Handle Escape key
-        if (e.key === 'Escape') {
-            // Close how to play modal
-            if (howToPlayModal.style.display === 'flex') {
-                howToPlayModal.style.display = 'none';
+        // Copy/paste and delete the builder selection, unless typing in a field
+        if (state.gameState === 'building' && canEditHistory() && !isEditableTarget(e.target)) {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'c') {
+                if (copySelection()) showHistoryIndicator('Copied selection');
                 return;
             }
-            // Close build menu
-            if (menuOverlay.style.display === 'flex') {
-                menuOverlay.style.display = 'none';
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'v') {
+                e.preventDefault();
+                startPaste();
                 return;
             }
-            // Toggle race menu during race
-            if (state.gameState === 'racing') {
-                if (raceMenuOverlay.style.display === 'flex') {
-                    resumeRace();
-                } else if (!state.playerFinished) {
-                    pauseRace();
-                }
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                deleteSelection();
                 return;
             }
         }
 
-        // Cycle camera mode during race with C or V key
-        if ((e.key.toLowerCase() === 'c' || e.key.toLowerCase() === 'v') && state.gameState === 'racing' && !state.isPaused) {
-            const newMode = state.cycleCameraMode();
-            // Brief on-screen indicator
-            const indicator = document.getElementById('drop-indicator');
-            const modeLabels = { 'near': 'Chase Cam', 'far': 'Wide Cam', 'first-person': 'Hood Cam' };
-            indicator.textContent = modeLabels[newMode];
-            indicator.style.display = 'block';
-            indicator.style.background = 'rgba(0, 0, 0, 0.7)';
-            clearTimeout(indicator._camTimeout);
-            indicator._camTimeout = setTimeout(() => { indicator.style.display = 'none'; }, 1500);
+        // Undo with Ctrl+Z, redo with Ctrl+Shift+Z (or Ctrl+Y); text fields keep their own undo
+        if ((e.ctrlKey || e.metaKey) && (e.key.toLowerCase() === 'z' || e.key.toLowerCase() === 'y') &&
+            canEditHistory() && !isEditableTarget(e.target)) {
+            e.preventDefault();
+            if (e.shiftKey || e.key.toLowerCase() === 'y') {
+                redoBuild();
+            } else {
+                undoBuild();
+            }
             return;
         }
 
@@ -231,9 +327,31 @@ export function setupEventListeners() {
 
     // Menu button - show menu overlay
     document.getElementById('menu-btn').addEventListener('click', () => {
+        refreshTrackLibrary();
         document.getElementById('menu-overlay').style.display = 'flex';
     });
 
+    // Track library (save/load named tracks) inside the menu
+    initTrackLibrary();
+
+    // Track file import/export, including .json dropped on the canvas
+    initTrackImport();
+
+    // Seeded random track generator
+    initTrackGenerator();
+
+    // Track check overlay explaining why the loop isn't closed
+    initTrackDiagnostics();
+
+    // Personal records per track, opened from the menu
+    initRecordsScreen();
+
+    // Key and gamepad bindings, opened from the menu
+    initControlsScreen();
+
+    // Steering, pedals and drift on touch screens while racing
+    initTouchControls();
+
     // Menu close button (X)
     document.getElementById('menu-close').addEventListener('click', () => {
         document.getElementById('menu-overlay').style.display = 'none';
@@ -261,8 +379,9 @@ export function setupEventListeners() {
         });
     }
 
-    // Initial update
+    // Initial update, and keep in sync when a loaded track switches theme
     updateThemeButtons();
+    onThemeChange(updateThemeButtons);
 
     // Add click handlers
     themeButtons.forEach(btn => {
@@ -291,8 +410,8 @@ export function setupEventListeners() {
 
     document.getElementById('race-restart-btn').addEventListener('click', () => {
         resumeRace();
-        // Trigger restart by clicking the race button
-        document.getElementById('race-btn').click();
+        // Restart with the same race setup
+        startRace();
     });
 
     document.getElementById('race-build-btn').addEventListener('click', () => {
@@ -334,6 +453,7 @@ export function setupEventListeners() {
 
     // Clear track and reset function
     function clearTrackAndReset() {
+        const before = captureSnapshot();
         clearTrack();
         // Clear obstacles and their meshes
         for (const obstacle of obstacles) {
@@ -345,11 +465,60 @@ export function setupEventListeners() {
 
         // Stay in build mode, just reset the track
         updateTrackStatus();
+        recordChange('Clear track', before);
+    }
+
+    // Undo/redo only apply to the builder, and never mid-drag
+    function canEditHistory() {
+        return state.gameState === 'building' &&
+            !state.isDragging && !state.isDraggingExisting &&
+            !isDraggingDecorationActive() && !isDraggingExistingDecorationActive() && !isDraggingObstacleActive() &&
+            !isSelectionDragActive();
     }
 
-    // Race button
+    function showHistoryIndicator(text) {
+        const indicator = document.getElementById('drop-indicator');
+        indicator.textContent = text;
+        indicator.style.display = 'block';
+        indicator.style.background = 'rgba(0, 0, 0, 0.7)';
+        clearTimeout(indicator._historyTimeout);
+        indicator._historyTimeout = setTimeout(() => { indicator.style.display = 'none'; }, 1200);
+    }
+
+    function undoBuild() {
+        if (!canEditHistory() || !canUndo()) return;
+        showHistoryIndicator(`Undo: ${undo()}`);
+    }
+
+    function redoBuild() {
+        if (!canEditHistory() || !canRedo()) return;
+        showHistoryIndicator(`Redo: ${redo()}`);
+    }
+
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    undoBtn.addEventListener('click', undoBuild);
+    redoBtn.addEventListener('click', redoBuild);
+    onHistoryChange(() => {
+        undoBtn.disabled = !canUndo();
+        redoBtn.disabled = !canRedo();
+        // Undo, loads and clears replace the objects the selection points at
+        pruneSelection();
+    });
+
+    // Race button opens the setup screen, which starts the race
     document.getElementById('race-btn').addEventListener('click', () => {
-        if (!state.trackClosed || !state.hasStart) return;
+        if (!state.raceMode || !state.hasStart) return;
+        showRaceSetup();
+    });
+    initRaceSetup(startRace);
+
+    // Championship cup over several saved tracks, opened from the menu
+    initCupScreen(startRace);
+
+    // Start a race with the current state.raceConfig (restarts reuse it)
+    function startRace() {
+        if (!state.raceMode || !state.hasStart) return;
 
         // Stop builder music for race
         stopAllMusic();
@@ -387,6 +556,7 @@ export function setupEventListeners() {
             scene.add(state.car);
         }
 
+        resetLapTiming();
         setupAICars();
 
         // Find start piece and position car in starting grid (pole position - front left)
@@ -410,6 +580,7 @@ export function setupEventListeners() {
             heading: startPiece.heading,
             angularVelocity: 0,
             trackPosition: initialTrackPosition,
+            routeIndex: 0,
             isAirborne: false,
             airborneTime: 0,
             verticalVelocity: 0,
@@ -432,17 +603,27 @@ export function setupEventListeners() {
             lastSafePosition: startPosition.clone(),
             lastSafeHeading: startPiece.heading,
             lastSafeTrackT: 0,
-            offTrackTimer: 0
+            offTrackTimer: 0,
+            // Lap and sector times
+            lapTimer: createLapTimer(),
+            eliminatedLap: null
         });
 
         state.car.position.copy(state.playerPhysics.position);
         state.car.rotation.y = state.playerPhysics.heading;
+        state.car.visible = true; // Hidden if knocked out of the last elimination race
+
+        // Time trials race the best lap on this track
+        setupGhost();
+        startReplayRecording();
 
         state.setLapCount(0);
         state.setLastCheckpoint(0); // Start at 0, first physics frame will update to actual position
         state.resetCheckpoints(); // Reset checkpoint tracking for new race
         state.setTopSpeed(0);
         state.setPlayerFinished(false);
+        state.setPlayerFinishTime(null);
+        state.setRaceOver(false);
         state.setIsPaused(false);
         state.setTotalPausedTime(0);
         state.setIsCountingDown(true);
@@ -452,16 +633,43 @@ export function setupEventListeners() {
             document.activeElement.blur();
         }
 
-        document.getElementById('instructions').textContent = 'Arrow keys/WASD to drive. SPACE for handbrake (drift when turning)! Complete 3 laps to win!';
+        const config = state.raceConfig;
+        const isSprint = state.raceMode === 'sprint';
+        const isTimed = config.type === 'timed';
+        const isTrial = config.type === 'trial';
+        const isElimination = config.type === 'elimination';
+        const laps = isElimination ? getEliminationLaps() : config.laps;
+        let goal = isSprint ? 'First to the finish line wins!' : `Complete ${config.laps} lap${config.laps === 1 ? '' : 's'} to win!`;
+        if (isTimed) goal = isSprint ? `Reach the finish within ${formatTime(config.timeLimit)}!` : `Get furthest in ${formatTime(config.timeLimit)}!`;
+        if (isTrial) goal = 'Beat your ghost!';
+        if (isElimination) goal = 'Last car is out every lap - be the one left!';
+        const drive = ['throttle', 'brake', 'steerLeft', 'steerRight'].map(describeActionKeys).join(', ');
+        document.getElementById('instructions').textContent =
+            `${drive} or a gamepad to drive. ${describeActionKeys('handbrake')} for handbrake (drift when turning)! ` + goal;
         document.getElementById('race-info').style.display = 'block';
         document.getElementById('speedometer').style.display = 'block';
         document.getElementById('lap-num').textContent = '0';
+        document.getElementById('lap-total').textContent = isTimed ? '' : ` / ${laps}`;
+        document.getElementById('danger-zone').style.display = 'none';
+        document.getElementById('lap-display').style.display = isSprint ? 'none' : 'block';
+        document.getElementById('distance-display').style.display = isSprint ? 'block' : 'none';
+        document.getElementById('distance-num').textContent = Math.round(getDistanceToFinish(initialTrackPosition));
+        document.getElementById('race-time-label').textContent = isTimed ? 'Time left' : 'Time';
+        document.getElementById('race-time').textContent = formatTime(isTimed ? config.timeLimit : 0);
+        const bestLap = isTrial ? getBestLapTime() : null;
+        document.getElementById('best-lap-display').style.display = isTrial || !isSprint ? 'block' : 'none';
+        document.getElementById('best-lap').textContent = bestLap !== null ? formatLapTime(bestLap) : '--';
+        document.getElementById('lap-time-display').style.display = isSprint ? 'none' : 'block';
+        document.getElementById('lap-time').textContent = formatLapTime(0);
+        document.getElementById('lap-delta').textContent = '';
+        document.getElementById('sector-display').innerHTML = Array.from({ length: SECTOR_COUNT },
+            (_, i) => `<span id="sector-${i}" class="sector">S${i + 1}</span>`).join('');
 
         // Animate camera to player view, then start countdown
         animateCameraToPlayer(() => {
             startRaceCountdown();
         });
-    });
+    }
 
     // Camera fly-in animation
     function animateCameraToPlayer(onComplete) {
@@ -550,27 +758,64 @@ export function setupEventListeners() {
     }
 
 
-    // Restart button (on finish screen)
-    document.getElementById('restart-btn').addEventListener('click', () => {
-        // Hide finish screen
+    // Hide finish screen, ready for the next race's celebration
+    function hideFinishScreen() {
         document.getElementById('finish-screen').style.display = 'none';
         const celebration = document.getElementById('finish-celebration');
         celebration.classList.remove('show', 'slide-up');
         celebration.style.display = 'block';
         document.getElementById('finish-summary').classList.remove('show');
+    }
 
-        // Go back to build mode first to show the race button
+    // Restart button (on finish screen)
+    document.getElementById('restart-btn').addEventListener('click', () => {
+        hideFinishScreen();
+
+        // Go back to build mode first to reset the builder view
         enterBuildMode();
 
-        // Then start the race
-        document.getElementById('race-btn').click();
+        // Then start the race again with the same setup
+        startRace();
     });
 
+    // Next cup race (on finish screen), or the podium after the last one
+    document.getElementById('cup-next-btn').addEventListener('click', () => {
+        const cupOver = isCupOver();
+        hideFinishScreen();
+        enterBuildMode();
+        if (cupOver) {
+            showCupPodium();
+        } else {
+            raceNextCupTrack();
+        }
+    });
+    document.getElementById('cup-finish-btn').addEventListener('click', hideCupPodium);
+
+    // Replay button (on finish screen) - the race stays frozen, counted as paused, while it plays
+    document.getElementById('replay-btn').addEventListener('click', () => {
+        if (state.gameState !== 'racing') return;
+        state.setGameState('replay');
+        state.setPauseStartTime(Date.now());
+        document.getElementById('finish-screen').style.display = 'none';
+        if (document.activeElement) document.activeElement.blur();
+        if (!openReplayViewer()) returnToResults();
+    });
+    initReplayViewer(returnToResults);
+
+    // Back from the replay to the results
+    function returnToResults() {
+        state.setTotalPausedTime(state.totalPausedTime + Date.now() - state.pauseStartTime);
+        state.setGameState('racing');
+        document.getElementById('finish-screen').style.display = 'flex';
+    }
+
     // Piece selection events are now handled by galleryUI.js
 
     // Global mouse/touch move and up for drag
     document.addEventListener('mousemove', (e) => {
-        if (state.isDragging) {
+        if (handleSelectionPointerMove(e)) {
+            e.preventDefault();
+        } else if (state.isDragging) {
             e.preventDefault();
             updateDragPosition(e);
         } else if (state.isDraggingExisting) {
@@ -599,6 +844,8 @@ export function setupEventListeners() {
             endDragExistingDecoration(e);
         } else if (isDraggingObstacleActive()) {
             endDragObstacle(e);
+        } else {
+            handleSelectionPointerUp(e);
         }
     });
 
@@ -646,9 +893,15 @@ export function setupEventListeners() {
     });
 
     // Canvas mouse/touch for picking up existing pieces
-    renderer.domElement.addEventListener('pointerdown', onCanvasMouseDown);
+    renderer.domElement.addEventListener('pointerdown', (e) => {
+        if (state.isDragging || state.isDraggingExisting || isDraggingDecorationActive() ||
+            isDraggingExistingDecorationActive() || isDraggingObstacleActive()) return;
+        if (handlePaintPointerDown(e)) return;
+        if (handleSelectionPointerDown(e)) return;
+        onCanvasMouseDown(e);
+    });
     renderer.domElement.addEventListener('touchstart', (e) => {
-        if (state.gameState !== 'building') return;
+        if (state.gameState !== 'building' || isPaintModeActive()) return;
         const touch = e.touches[0];
 
         // Check for track piece first
@@ -667,44 +920,44 @@ export function setupEventListeners() {
         }
     }, { passive: false });
 
-    // R key rotation during drag, Q/E for elevation
-    window.addEventListener('keydown', (e) => {
-        // Q = raise elevation, E = lower elevation (during drag, free placement)
-        if (e.key.toLowerCase() === 'q' && (state.isDragging || state.isDraggingExisting)) {
-            state.setDragElevation(Math.min(state.dragElevation + 1, ELEVATION.MAX_LEVEL));
-            const lastPos = getLastMousePosition();
-            if (state.isDragging) updateDragPosition(lastPos);
-            else if (state.isDraggingExisting) updateDragExisting(lastPos);
-            return;
-        }
-        if (e.key.toLowerCase() === 'e' && (state.isDragging || state.isDraggingExisting)) {
-            state.setDragElevation(Math.max(state.dragElevation - 1, ELEVATION.MIN_LEVEL));
-            const lastPos = getLastMousePosition();
-            if (state.isDragging) updateDragPosition(lastPos);
-            else if (state.isDraggingExisting) updateDragExisting(lastPos);
+    // Rotation during drag, raise/lower for elevation (R, Q and E by default)
+    onAction('raise', () => {
+        // Raise elevation during drag (free placement)
+        if (!state.isDragging && !state.isDraggingExisting) return;
+        state.setDragElevation(Math.min(state.dragElevation + 1, ELEVATION.MAX_LEVEL));
+        const lastPos = getLastMousePosition();
+        if (state.isDragging) updateDragPosition(lastPos);
+        else if (state.isDraggingExisting) updateDragExisting(lastPos);
+    });
+    onAction('lower', () => {
+        if (!state.isDragging && !state.isDraggingExisting) return;
+        state.setDragElevation(Math.max(state.dragElevation - 1, ELEVATION.MIN_LEVEL));
+        const lastPos = getLastMousePosition();
+        if (state.isDragging) updateDragPosition(lastPos);
+        else if (state.isDraggingExisting) updateDragExisting(lastPos);
+    });
+    onAction('rotate', () => {
+        const lastPos = getLastMousePosition();
+        if (rotateGroup()) {
             return;
-        }
-        if (e.key.toLowerCase() === 'r') {
-            const lastPos = getLastMousePosition();
-            if (state.isDragging) {
-                state.setDragRotation(state.dragRotation + Math.PI / 4);
-                if (state.dragRotation >= Math.PI * 2) state.setDragRotation(state.dragRotation - Math.PI * 2);
-                updateDragPosition(lastPos);
-            } else if (state.isDraggingExisting && state.previewMesh3D) {
-                state.setDragRotation(state.dragRotation + Math.PI / 4);
-                if (state.dragRotation >= Math.PI * 2) state.setDragRotation(state.dragRotation - Math.PI * 2);
-                state.previewMesh3D.rotation.y = state.dragRotation;
-                updateDragExisting(lastPos);
-            } else if (isDraggingDecorationActive()) {
-                rotateDecorationPreview();
-                updateDragDecoration(lastPos);
-            } else if (isDraggingExistingDecorationActive()) {
-                rotateDecorationPreview();
-                updateDragExistingDecoration(lastPos);
-            } else if (isDraggingObstacleActive()) {
-                rotateObstaclePreview();
-                updateDragObstacle(lastPos);
-            }
+        } else if (state.isDragging) {
+            state.setDragRotation(state.dragRotation + Math.PI / 4);
+            if (state.dragRotation >= Math.PI * 2) state.setDragRotation(state.dragRotation - Math.PI * 2);
+            updateDragPosition(lastPos);
+        } else if (state.isDraggingExisting && state.previewMesh3D) {
+            state.setDragRotation(state.dragRotation + Math.PI / 4);
+            if (state.dragRotation >= Math.PI * 2) state.setDragRotation(state.dragRotation - Math.PI * 2);
+            state.previewMesh3D.rotation.y = state.dragRotation;
+            updateDragExisting(lastPos);
+        } else if (isDraggingDecorationActive()) {
+            rotateDecorationPreview();
+            updateDragDecoration(lastPos);
+        } else if (isDraggingExistingDecorationActive()) {
+            rotateDecorationPreview();
+            updateDragExistingDecoration(lastPos);
+        } else if (isDraggingObstacleActive()) {
+            rotateObstaclePreview();
+            updateDragObstacle(lastPos);
         }
     });
 
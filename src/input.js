@@ -1,16 +1,220 @@
-import { keys, gameState } from './state.js';
+import { keys, gameState, isPaused, playerFinished } from './state.js';
+import { GAMEPAD } from './constants.js';
+import { getActionKeys, getActionButtons, getActionsFor } from './bindings.js';
+
+// Handlers for actions that happen once per press, by action id
+const actionHandlers = {};
+
+// Called with (device, input) for every key or button while a control is being bound
+let captureCallback = null;
+
+// Driving controls from the on-screen touch HUD, steer from -1 (left) to 1 (right)
+let touchInput = { throttle: 0, brake: 0, steer: 0, handbrake: 0 };
 
 export function setupInputListeners() {
+    // Binding a control takes the next key before anything else can act on it
     window.addEventListener('keydown', (e) => {
-        keys[e.key.toLowerCase()] = true;
-        // Prevent default for game controls (arrows, WASD, and space during racing)
-        if (['arrowup', 'arrowdown', 'arrowleft', 'arrowright', 'w', 'a', 's', 'd'].includes(e.key.toLowerCase())) {
-            e.preventDefault();
-        }
-        // Prevent space from clicking focused buttons during race
-        if (e.key === ' ' && gameState === 'racing') {
+        if (!captureCallback) return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        captureCallback('keys', e.key.toLowerCase());
+    }, true);
+
+    window.addEventListener('keydown', (e) => {
+        const key = e.key.toLowerCase();
+        keys[key] = true;
+
+        // Keys typed into a field are for the field
+        if (isEditableTarget(e.target)) return;
+
+        const actions = getActionsFor('keys', key, getInputContext());
+        if (actions.length > 0) {
+            // Bound keys don't scroll the page or click the focused button
             e.preventDefault();
+            triggerFirst(actions);
+        } else if (key === 'escape') {
+            // Escape always backs out when nothing else has it
+            triggerAction('back');
         }
     });
     window.addEventListener('keyup', (e) => keys[e.key.toLowerCase()] = false);
 }
+
+// Whether a key press is typing into a field, which shortcuts should leave alone
+export function isEditableTarget(target) {
+    if (!target || !target.tagName) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+}
+
+// Run handler each time an action is pressed (once per press, not while held)
+export function onAction(actionId, handler) {
+    actionHandlers[actionId] = handler;
+}
+
+export function triggerAction(actionId) {
+    if (actionHandlers[actionId]) actionHandlers[actionId]();
+}
+
+// One key can be bound to several actions; the first with a handler wins
+function triggerFirst(actions) {
+    const action = actions.find(candidate => actionHandlers[candidate.id]);
+    if (action) triggerAction(action.id);
+}
+
+// Send every key and gamepad button to callback(device, input) instead of their actions,
+// until stopCapture
+export function captureInput(callback) {
+    captureCallback = callback;
+}
+
+export function stopCapture() {
+    captureCallback = null;
+}
+
+// Where the player is, which decides the actions keys and buttons can trigger
+function getInputContext() {
+    if (gameState === 'racing') {
+        if (isPaused) return 'paused';
+        return playerFinished ? 'menus' : 'driving';
+    }
+    if (gameState === 'replay' || gameState === 'building') return gameState;
+    return 'menus';
+}
+
+// How far an action is held, from 0 to 1: a bound key counts fully, triggers partly
+function getActionValue(actionId, pad) {
+    const keyDown = getActionKeys(actionId).some(key => keys[key]);
+    const buttonValues = pad ? getActionButtons(actionId).map(button => getButtonValue(pad, button)) : [];
+    return Math.max(keyDown ? 1 : 0, ...buttonValues);
+}
+
+// Set by the touch HUD whenever a touch changes
+export function setTouchInput(input) {
+    touchInput = input;
+}
+
+// Driving controls from 0 to 1, from the keyboard, gamepad and touch HUD together
+export function getDrivingInput() {
+    const pad = getGamepad();
+    const steer = pad ? shapeAxis(pad.axes[GAMEPAD.steerAxis] || 0) : 0;
+
+    return {
+        throttle: Math.max(getActionValue('throttle', pad), touchInput.throttle),
+        brake: Math.max(getActionValue('brake', pad), touchInput.brake),
+        steerLeft: Math.max(getActionValue('steerLeft', pad), -steer, -touchInput.steer),
+        steerRight: Math.max(getActionValue('steerRight', pad), steer, touchInput.steer),
+        handbrake: Math.max(getActionValue('handbrake', pad), touchInput.handbrake)
+    };
+}
+
+// ==================== GAMEPAD ====================
+
+// Which buttons were down at the last poll, to act once per press
+let previousButtons = [];
+
+// Element focused with the D-pad, outlined while it has focus
+let padFocus = null;
+
+function getGamepad() {
+    if (!navigator.getGamepads) return null;
+    return Array.from(navigator.getGamepads()).find(pad => pad && pad.connected) || null;
+}
+
+// Stick position with the deadzone cut out and the response curve applied, so small
+// movements steer gently and full lock is still reachable
+function shapeAxis(value) {
+    const magnitude = Math.abs(value);
+    if (magnitude < GAMEPAD.deadzone) return 0;
+    const scaled = Math.min(1, (magnitude - GAMEPAD.deadzone) / (1 - GAMEPAD.deadzone));
+    return Math.sign(value) * Math.pow(scaled, GAMEPAD.steerCurve);
+}
+
+// Analog for triggers, 0 or 1 for plain buttons
+function getButtonValue(pad, index) {
+    const button = pad.buttons[index];
+    if (!button) return 0;
+    const value = button.value || (button.pressed ? 1 : 0);
+    return value < GAMEPAD.triggerDeadzone ? 0 : value;
+}
+
+// Called every frame: newly pressed buttons trigger their actions, the same as keys
+export function pollGamepad() {
+    const pad = getGamepad();
+    if (!pad) {
+        previousButtons = [];
+        return;
+    }
+
+    const pressed = pad.buttons.map(button => button.pressed);
+    const justPressed = pressed.map((down, button) => down && !previousButtons[button]);
+    previousButtons = pressed;
+
+    for (let button = 0; button < justPressed.length; button++) {
+        if (!justPressed[button]) continue;
+        if (captureCallback) {
+            captureCallback('buttons', button);
+            return;
+        }
+        triggerFirst(getActionsFor('buttons', button, getInputContext()));
+    }
+}
+
+// Off the track the gamepad works the menus: the D-pad moves between controls and changes
+// dropdowns and numbers, Select clicks
+onAction('menuUp', () => moveFocus(-1));
+onAction('menuDown', () => moveFocus(1));
+onAction('menuLeft', () => adjustFocused(-1) || moveFocus(-1));
+onAction('menuRight', () => adjustFocused(1) || moveFocus(1));
+onAction('menuConfirm', () => {
+    if (padFocus && document.activeElement === padFocus) padFocus.click();
+});
+
+// Controls that can be seen and reached: not disabled, and not under an overlay
+function getFocusableControls() {
+    return Array.from(document.querySelectorAll('button, select, input:not([type="file"])')).filter(el => {
+        if (el.disabled || el.offsetParent === null) return false;
+        const rect = el.getBoundingClientRect();
+        const hit = document.elementFromPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+        return hit !== null && (el === hit || el.contains(hit) || hit.contains(el));
+    });
+}
+
+function moveFocus(step) {
+    const controls = getFocusableControls();
+    if (controls.length === 0) return;
+
+    const index = controls.indexOf(padFocus);
+    const next = index === -1
+        ? controls[step > 0 ? 0 : controls.length - 1]
+        : controls[(index + step + controls.length) % controls.length];
+
+    padFocus = next;
+    next.classList.add('gamepad-focus');
+    next.addEventListener('blur', () => next.classList.remove('gamepad-focus'), { once: true });
+    next.focus();
+}
+
+// Left/right change a focused dropdown or number field; returns whether it did
+function adjustFocused(step) {
+    const el = padFocus;
+    if (!el || document.activeElement !== el) return false;
+
+    if (el.tagName === 'SELECT') {
+        const index = Math.max(0, Math.min(el.options.length - 1, el.selectedIndex + step));
+        if (index !== el.selectedIndex) {
+            el.selectedIndex = index;
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        return true;
+    }
+    if (el.tagName === 'INPUT' && (el.type === 'number' || el.type === 'range')) {
+        if (step > 0) {
+            el.stepUp();
+        } else {
+            el.stepDown();
+        }
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        return true;
+    }
+    return false;
+}
@@ -1,13 +1,16 @@
 import * as state from './state.js';
 import { init as initScene, scene, camera, renderer, controls, initCustomGrid, composer, setDOFEnabled, updateGodraysLightPosition } from './scene.js';
 import { initEnvironment } from './effects/environment.js';
-import { setupInputListeners } from './input.js';
+import { setupInputListeners, pollGamepad } from './input.js';
+import { updateTouchControls } from './ui/touchControls.js';
 import { setupEventListeners } from './events.js';
 import { updatePlayerPhysics } from './car/playerPhysics.js';
 import { updateAICars } from './ai/aiCars.js';
 import { updatePoofParticles, updateDriftSmoke } from './effects/particles.js';
 import { updateDecorationTriggers } from './track/decorationTriggers.js';
-import { updateObstaclePhysics } from './obstacles/obstaclePhysics.js';
+import { updateObstaclePhysics, updateDebris } from './obstacles/obstaclePhysics.js';
+import { recordReplay, getReplayCarPositions } from './car/replay.js';
+import { updateReplayViewer } from './ui/replayViewer.js';
 import { clampBuildCamera } from './ui/camera.js';
 
 
@@ -27,20 +30,33 @@ function animate(time) {
     const delta = Math.min((time - lastTime) / 1000, 0.05);
     lastTime = time;
 
+    pollGamepad();
+    updateTouchControls();
+
     if (state.gameState === 'idle' || state.gameState === 'building') {
         controls.update();
         clampBuildCamera();
     }
 
-    updatePlayerPhysics(delta);
-    updateAICars(delta);
-    updatePoofParticles(delta);
-    updateDriftSmoke(delta);
-    updateObstaclePhysics(delta);
+    if (state.gameState === 'replay') {
+        // Replays only move meshes; the race itself stays frozen
+        const replayDelta = updateReplayViewer(delta);
+        updatePoofParticles(replayDelta);
+        updateDriftSmoke(replayDelta);
+        updateDebris(replayDelta);
+        updateDecorationTriggers(replayDelta, getReplayCarPositions());
+    } else {
+        updatePlayerPhysics(delta);
+        updateAICars(delta);
+        updatePoofParticles(delta);
+        updateDriftSmoke(delta);
+        updateObstaclePhysics(delta);
+        recordReplay(delta);
 
-    // Update decoration triggers during racing
-    if (state.gameState === 'racing' || state.gameState === 'finished') {
-        updateDecorationTriggers(delta);
+        // Update decoration triggers during racing
+        if (state.gameState === 'racing' || state.gameState === 'finished') {
+            updateDecorationTriggers(delta);
+        }
     }
 
     updateGodraysLightPosition();
@@ -1,8 +1,9 @@
 import * as THREE from 'three';
 import { PHYSICS } from '../constants.js';
-import { obstacles, debrisParticles, removeObstacleByRef, addDebris, cleanupDebris } from './obstacleState.js';
+import { obstacles, debrisParticles, breakObstacle, addDebris, cleanupDebris } from './obstacleState.js';
 import { createDebrisParticles } from './obstacleMeshes.js';
 import { scene, raycaster } from '../scene.js';
+import { notifyParticleTrigger } from '../effects/particles.js';
 import { barrierMeshCache, rebuildTrackMeshCache, cacheValid } from '../car/surfacePhysics.js';
 
 const GRAVITY = 9.8;
@@ -82,7 +83,11 @@ export function updateObstaclePhysics(delta) {
         }
     }
 
-    // Update debris particles
+    updateDebris(delta);
+}
+
+// Fly, bounce and fade out crate debris
+export function updateDebris(delta) {
     for (const debris of debrisParticles) {
         debris.lifetime -= delta;
 
@@ -225,16 +230,25 @@ function destroyObstacle(obstacle, impactVelocity) {
     }
 
     // Create debris particles
-    const debris = createDebrisParticles(obstacle.position, impactVelocity);
+    notifyParticleTrigger('debris', {
+        position: obstacle.position.clone(),
+        velocity: impactVelocity.clone()
+    });
+    spawnDebris(obstacle.position, impactVelocity);
+
+    // Out of play until the race restarts
+    breakObstacle(obstacle);
+}
+
+// Scatter a crate's debris from a position
+export function spawnDebris(position, impactVelocity) {
+    const debris = createDebrisParticles(position, impactVelocity);
 
     // Add debris to scene and state
     for (const d of debris) {
         scene.add(d.mesh);
         addDebris(d);
     }
-
-    // Remove from obstacles array
-    removeObstacleByRef(obstacle);
 }
 
 // Check if obstacle collides with barriers
@@ -13,24 +13,34 @@ export const debrisParticles = [];
 export function addObstacle(obstacle) {
     obstacles.push(obstacle);
     // Store original state for race reset
-    originalObstacles.push({
+    obstacle.original = {
         type: obstacle.type,
         position: obstacle.position.clone(),
         rotation: obstacle.rotation.clone(),
         size: obstacle.size,
         mass: obstacle.mass
-    });
+    };
+    originalObstacles.push(obstacle.original);
 }
 
-// Remove an obstacle by index
+// Remove an obstacle from the layout by index (its original goes too, so it stays deleted)
 export function removeObstacle(index) {
     if (index >= 0 && index < obstacles.length) {
-        obstacles.splice(index, 1);
+        removeObstacleByRef(obstacles[index]);
     }
 }
 
-// Remove an obstacle by reference
+// Remove an obstacle from the layout by reference
 export function removeObstacleByRef(obstacle) {
+    breakObstacle(obstacle);
+    const originalIndex = originalObstacles.indexOf(obstacle.original);
+    if (originalIndex >= 0) {
+        originalObstacles.splice(originalIndex, 1);
+    }
+}
+
+// Take a crate smashed during a race out of play; resetObstacles brings it back
+export function breakObstacle(obstacle) {
     const index = obstacles.indexOf(obstacle);
     if (index >= 0) {
         obstacles.splice(index, 1);
@@ -78,7 +88,8 @@ export function resetObstacles(scene, createMeshFn) {
             mass: original.mass,
             mesh: null,
             destroyed: false,
-            isStatic: false
+            isStatic: false,
+            original
         };
 
         // Create mesh
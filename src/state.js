@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { RACE_SETUP } from './constants.js';
 
 // Game flow
 export let gameState = 'idle';
@@ -19,14 +20,26 @@ export let obstacleZones = [];
 export function setObstacleZones(zones) { obstacleZones = zones; }
 export let roadCurve = null;
 export function setRoadCurve(c) { roadCurve = c; }
+// Every lap (or sprint) through fork/merge junctions: [{ ordered, curve, finishT }], main line
+// first. finishT is the curve fraction at the finish line: 1 on circuits, which finish at the wrap.
+export let trackRoutes = [];
+export function setTrackRoutes(routes) { trackRoutes = routes; }
 export let hasStart = false;
 export function setHasStart(v) { hasStart = v; }
 export let trackClosed = false;
 export function setTrackClosed(v) { trackClosed = v; }
+export let raceMode = null; // 'circuit' (closed loop), 'sprint' (start to a finish piece) or null (can't race)
+export function setRaceMode(mode) { raceMode = mode; }
 
 // Player
 export let car = null;
 export function setCar(c) { car = c; }
+// How the race is run, chosen on the race setup screen and read by the HUD, finish logic and AI.
+// type 'laps' races `laps` laps (a sprint runs once to the finish instead);
+// type 'timed' ends the race when `timeLimit` seconds are up.
+export let raceConfig = { type: 'laps', laps: RACE_SETUP.defaultLaps, timeLimit: RACE_SETUP.defaultTimeLimit };
+export function setRaceConfig(config) { raceConfig = config; }
+
 export let lapCount = 0;
 export function setLapCount(v) { lapCount = v; }
 export let raceStartTime = 0;
@@ -44,6 +57,12 @@ export function resetCheckpoints() { checkpointsPassed = [false, false, false];
 
 export let playerFinished = false;
 export function setPlayerFinished(v) { playerFinished = v; }
+// Race seconds when the player finished, or null if they didn't (DNF)
+export let playerFinishTime = null;
+export function setPlayerFinishTime(v) { playerFinishTime = v; }
+// Everyone has finished or the cutoff after the winner has passed: the classification is final
+export let raceOver = false;
+export function setRaceOver(v) { raceOver = v; }
 
 export let playerPhysics = {
     position: new THREE.Vector3(),
@@ -52,6 +71,7 @@ export let playerPhysics = {
     heading: 0,
     angularVelocity: 0,
     trackPosition: 0,
+    routeIndex: 0,            // Which of state.trackRoutes the car is on
     isAirborne: false,
     airborneTime: 0,
     verticalVelocity: 0,
@@ -116,6 +136,7 @@ export function setDragElevation(v) { dragElevation = v; }
 
 // Camera mode (race)
 export const CAMERA_MODES = ['near', 'far', 'first-person'];
+export const CAMERA_MODE_LABELS = { 'near': 'Chase Cam', 'far': 'Wide Cam', 'first-person': 'Hood Cam' };
 export let cameraMode = 'near';
 export function setCameraMode(v) { cameraMode = v; }
 export function cycleCameraMode() {
@@ -0,0 +1,135 @@
+// Auto-close - search for a short run of pieces that bridges the gap in an open track
+//
+// Iterative deepening over straights, 45/90 curves and ramps, each laid either
+// forwards or reversed (reversed curves turn the other way, reversed ramps go
+// down). Candidates are checked with checkPlacementValid as they're laid, with
+// the run so far temporarily in placedPieces so it can't overlap itself.
+
+import * as state from '../state.js';
+import { PIECE_DATA, ELEVATION } from '../constants.js';
+import { getPieceEndpoint, getPieceEndpoints, calcPlacementForEndAtTarget, checkPlacementValid } from './placement.js';
+import { findTrackGap } from './trackState.js';
+
+const CANDIDATE_TYPES = ['straight-short', 'straight-long', 'straight-extra', 'curve-45', 'curve-90', 'ramp', 'ramp-steep'];
+const MAX_PIECES = 6;
+const MAX_NODES = 200000;       // Search budget so a hopeless gap can't hang the builder
+const POSITION_TOLERANCE = 1;
+const HEADING_TOLERANCE = 0.01;
+const JOINT_DISTANCE = 8;       // Matches the connection snap distance
+
+// Longest single step and sharpest turn, for pruning
+const MAX_STEP = Math.max(...CANDIDATE_TYPES.map(type => getChordLength(PIECE_DATA[type])));
+const MAX_TURN = Math.max(...CANDIDATE_TYPES.map(type => PIECE_DATA[type].curveAngle));
+
+function getChordLength(def) {
+    return def.curveAngle > 0 ? 2 * def.curveRadius * Math.sin(def.curveAngle / 2) : def.length;
+}
+
+function angleBetween(a, b) {
+    return Math.abs(Math.atan2(Math.sin(a - b), Math.cos(a - b)));
+}
+
+// Lay a piece forwards or reversed at a travel state ({ position, heading, elevation });
+// returns the piece and the travel state after it, or null if it leaves the elevation range
+export function layPiece(type, reversed, travel) {
+    const def = PIECE_DATA[type];
+    const delta = def.elevationDelta || 0;
+    if (reversed && def.curveAngle === 0 && !def.isRamp) return null; // Reversed straights are duplicates
+
+    let piece;
+    if (reversed) {
+        // Piece end meets us, facing back the way we came
+        const placement = calcPlacementForEndAtTarget(travel.position, travel.heading + Math.PI, type);
+        piece = { type, position: placement.position, heading: placement.heading, elevation: travel.elevation - delta };
+    } else {
+        piece = { type, position: travel.position.clone(), heading: travel.heading, elevation: travel.elevation };
+    }
+
+    const endElevation = piece.elevation + delta;
+    if (piece.elevation < ELEVATION.MIN_LEVEL || endElevation > ELEVATION.MAX_LEVEL) return null;
+    piece.position.y = piece.elevation * ELEVATION.HEIGHT_PER_LEVEL;
+
+    let next;
+    if (reversed) {
+        next = { position: piece.position.clone(), heading: piece.heading + Math.PI, elevation: piece.elevation };
+    } else {
+        const end = getPieceEndpoint(piece);
+        next = { position: end.position, heading: end.heading, elevation: end.elevation };
+    }
+    return { piece, next };
+}
+
+function reachesTarget(travel, target) {
+    return travel.elevation === target.elevation &&
+        angleBetween(travel.heading, target.heading) < HEADING_TOLERANCE &&
+        Math.hypot(travel.position.x - target.position.x, travel.position.z - target.position.z) < POSITION_TOLERANCE;
+}
+
+// Placement check, plus the piece's far end mustn't land on another piece's end
+// (unless that's the target) or it would form a junction with it. checkRug as for checkPlacementValid.
+export function isLaidClear(laid, previous, target = null, checkRug = true) {
+    const { piece, next } = laid;
+    if (!checkPlacementValid(piece.position, piece.heading, piece.type, previous, piece.elevation, checkRug)) return false;
+    if (target && reachesTarget(next, target)) return true;
+
+    return !state.placedPieces.some(other => {
+        const ends = getPieceEndpoints(other);
+        return ends.start.position.distanceTo(next.position) < JOINT_DISTANCE ||
+            ends.end.position.distanceTo(next.position) < JOINT_DISTANCE;
+    });
+}
+
+// Could the target still be reached with this many pieces left?
+function canStillReach(travel, target, remaining) {
+    const distance = Math.hypot(travel.position.x - target.position.x, travel.position.z - target.position.z);
+    return distance <= MAX_STEP * remaining + POSITION_TOLERANCE &&
+        angleBetween(travel.heading, target.heading) <= MAX_TURN * remaining + HEADING_TOLERANCE &&
+        Math.abs(travel.elevation - target.elevation) <= remaining;
+}
+
+// Fewest pieces leading from one travel state ({ position, heading, elevation }) to
+// another. neighbour is the piece the run starts from (exempt from the overlap
+// check). Returns pieces in driving order, or null.
+function findClosingRun(from, to, neighbour) {
+    const run = [];
+    let nodes = 0;
+
+    function search(travel, remaining) {
+        if (reachesTarget(travel, to)) return true;
+        if (remaining === 0 || nodes >= MAX_NODES) return false;
+
+        for (const type of CANDIDATE_TYPES) {
+            for (const reversed of [false, true]) {
+                nodes++;
+                const laid = layPiece(type, reversed, travel);
+                // Cheap geometric pruning before the overlap check
+                if (!laid || !canStillReach(laid.next, to, remaining - 1)) continue;
+
+                const { piece } = laid;
+                const previous = run.length > 0 ? run[run.length - 1] : neighbour;
+                if (!isLaidClear(laid, previous, to)) continue;
+
+                run.push(piece);
+                state.placedPieces.push(piece);
+                const found = search(laid.next, remaining - 1);
+                state.placedPieces.pop();
+                if (found) return true;
+                run.pop();
+            }
+        }
+        return false;
+    }
+
+    const startTravel = { position: from.position.clone(), heading: from.heading, elevation: from.elevation };
+    for (let depth = 1; depth <= MAX_PIECES && nodes < MAX_NODES; depth++) {
+        if (search(startTravel, depth) && run.length > 0) return run;
+    }
+    return null;
+}
+
+// Find the fewest pieces that close the current track, or null if nothing fits
+export function findClosingPieces() {
+    const gap = findTrackGap();
+    if (!gap) return null;
+    return findClosingRun(gap.from, gap.to, gap.from.piece);
+}
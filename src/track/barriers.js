@@ -360,6 +360,26 @@ export function addWallsToRamp(group, length, width, heightDelta, color) {
     });
 }
 
+// Thin colored walls along { from, to } pairs of local points, for outlines that
+// aren't a single straight or arc (e.g. the edges around a junction's split)
+export function addWallSegments(group, segments, color) {
+    const wallHeight = getColor('road.wallHeight') || 1.5;
+    const wallMat = new THREE.MeshStandardMaterial({ color });
+    wallMat.userData.wallColor = color;
+    wallMaterials.add(wallMat);
+
+    segments.forEach(({ from, to }) => {
+        const segLen = Math.hypot(to.x - from.x, to.z - from.z);
+        const wallGeom = new THREE.BoxGeometry(0.4, wallHeight, segLen + 0.05);
+        const wall = new THREE.Mesh(wallGeom, wallMat);
+        wall.position.set((from.x + to.x) / 2, (from.y + to.y) / 2 + wallHeight / 2, (from.z + to.z) / 2);
+        wall.rotation.y = Math.atan2(to.x - from.x, to.z - from.z);
+        wall.castShadow = true;
+        wall.userData.isBarrier = true;
+        group.add(wall);
+    });
+}
+
 // Inner racing stripes for straight pieces
 export function addStripesToStraight(group, length, width, baseColor) {
     const stripe = getThemeObject('road.stripe') || { darken: 0.15, roughness: 0.2, metalness: 0.4 };
@@ -398,7 +418,7 @@ export function addStripesToCurve(group, radius, angle, dir, width, baseColor) {
     });
     stripeMaterials.add(stripeMat);
 
-    const segments = 24;
+    const segments = Math.max(24, Math.ceil(angle * radius / 4));
 
     [-1, 1].forEach(side => {
         const r = radius + side * stripeOffset;
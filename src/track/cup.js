@@ -0,0 +1,125 @@
+// Championship cup - a run of saved tracks raced in order, with points carried from race
+// to race. Progress is kept in localStorage so a cup survives a reload.
+
+import * as state from '../state.js';
+import { AI_CONFIG, CUP } from '../constants.js';
+
+const STORAGE_KEY = 'road-racer-cup';
+
+// Same name the standings give the player
+const PLAYER_NAME = 'You';
+
+// Stored as { tracks: [saved track names], laps, results: [per race: [{ name, position, points }]] }.
+// The next race is the one after the last result.
+let cup = loadCup();
+
+// Race of the cup being driven now, or null in a normal race
+let cupRaceIndex = null;
+
+// Race setup from before the cup race, put back afterwards
+let previousRaceConfig = null;
+
+function loadCup() {
+    try {
+        const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!data || !Array.isArray(data.tracks) || !Array.isArray(data.results)) return null;
+        return data;
+    } catch (e) {
+        console.warn('Ignoring saved cup:', e.message);
+        return null;
+    }
+}
+
+function saveCup() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(cup));
+}
+
+// Cup in progress or just finished, or null
+export function getCup() {
+    return cup;
+}
+
+// Start a new cup over the given saved tracks, replacing any cup in progress. Throws if
+// the number of tracks is out of range.
+export function startCup(tracks, laps) {
+    if (tracks.length < CUP.minTracks || tracks.length > CUP.maxTracks) {
+        throw new Error(`Pick ${CUP.minTracks} to ${CUP.maxTracks} tracks for a cup`);
+    }
+    cup = { tracks: tracks.slice(), laps, results: [] };
+    saveCup();
+}
+
+export function abandonCup() {
+    cup = null;
+    leaveCupRace();
+    localStorage.removeItem(STORAGE_KEY);
+}
+
+// Next race as { index, track }, or null once every track has been raced
+export function getNextCupRace() {
+    if (!cup || cup.results.length >= cup.tracks.length) return null;
+    return { index: cup.results.length, track: cup.tracks[cup.results.length] };
+}
+
+export function isCupOver() {
+    return !!cup && cup.results.length >= cup.tracks.length;
+}
+
+// The next race's track has been loaded: race it with the cup's laps
+export function beginCupRace() {
+    const next = getNextCupRace();
+    if (!next) return;
+    if (cupRaceIndex === null) previousRaceConfig = state.raceConfig;
+    cupRaceIndex = next.index;
+    state.setRaceConfig({ type: 'laps', laps: cup.laps, timeLimit: state.raceConfig.timeLimit });
+}
+
+// Whether the race being driven counts for the cup
+export function isCupRace() {
+    return cupRaceIndex !== null;
+}
+
+// Back to normal races, with the setup they had before
+export function leaveCupRace() {
+    if (cupRaceIndex === null) return;
+    cupRaceIndex = null;
+    state.setRaceConfig(previousRaceConfig);
+    previousRaceConfig = null;
+}
+
+// The cup race is over: score the final classification. Only the first result for a race
+// counts, so restarting a race that's already scored can't score it again.
+export function completeCupRace(classification) {
+    if (cupRaceIndex === null || cup.results.length !== cupRaceIndex) return;
+
+    cup.results.push(classification.map((racer, i) => ({
+        name: racer.name,
+        position: i + 1,
+        points: racer.finishTime !== null ? CUP.points[i] || 0 : 0
+    })));
+    saveCup();
+}
+
+// Whether this race's result is in, so the standings include it
+export function isCupRaceScored() {
+    return cupRaceIndex !== null && cup.results.length > cupRaceIndex;
+}
+
+// Every driver's points so far, leader first: [{ name, isPlayer, points, positions }].
+// Ties go to the driver with more wins.
+export function getCupStandings() {
+    if (!cup) return [];
+
+    const drivers = [PLAYER_NAME, ...AI_CONFIG.names.slice(0, AI_CONFIG.count)].map(name => {
+        const finishes = cup.results.map(race => race.find(result => result.name === name) || null);
+        return {
+            name,
+            isPlayer: name === PLAYER_NAME,
+            points: finishes.reduce((sum, result) => sum + (result ? result.points : 0), 0),
+            positions: finishes.map(result => result ? result.position : null)
+        };
+    });
+
+    const wins = driver => driver.positions.filter(position => position === 1).length;
+    return drivers.sort((a, b) => b.points - a.points || wins(b) - wins(a));
+}
@@ -2,25 +2,10 @@ import * as THREE from 'three';
 import * as state from '../state.js';
 import { DECORATION_DATA } from '../constants.js';
 
-// Update all decoration triggers based on car positions
-export function updateDecorationTriggers(delta) {
+// Update all decoration triggers based on car positions (the racing cars unless given others, e.g. a replay's)
+export function updateDecorationTriggers(delta, carPositions = getRacingCarPositions()) {
     if (!state.placedDecorations || state.placedDecorations.length === 0) return;
 
-    // Collect all car positions (player + AI)
-    const carPositions = [];
-
-    if (state.playerPhysics && state.playerPhysics.position) {
-        carPositions.push(state.playerPhysics.position);
-    }
-
-    if (state.aiCars) {
-        state.aiCars.forEach(ai => {
-            if (ai.position) {
-                carPositions.push(ai.position);
-            }
-        });
-    }
-
     // Check each decoration with triggers
     state.placedDecorations.forEach(deco => {
         const decoData = DECORATION_DATA[deco.type];
@@ -51,6 +36,25 @@ export function updateDecorationTriggers(delta) {
     });
 }
 
+// All car positions (player + AI), leaving out cars knocked out of an elimination race
+function getRacingCarPositions() {
+    const carPositions = [];
+
+    if (state.playerPhysics && state.playerPhysics.position && !state.playerPhysics.eliminatedLap) {
+        carPositions.push(state.playerPhysics.position);
+    }
+
+    if (state.aiCars) {
+        state.aiCars.forEach(ai => {
+            if (ai.position && !ai.eliminatedLap) {
+                carPositions.push(ai.position);
+            }
+        });
+    }
+
+    return carPositions;
+}
+
 // Animate fans cheering in grandstand
 function updateCheerTrigger(mesh, triggered, delta) {
     const fanGroup = mesh.getObjectByName('fans');
@@ -0,0 +1,463 @@
+// Procedural track generator - seeded random layouts built from the piece catalogue
+//
+// A layout starts as a blob of cells grown on a coarse grid over the board. The
+// blob's outline is always a simple closed loop, so the road follows it: runs
+// along cell edges become straights (and specials), and every corner becomes a
+// 90° turn of the catalogue's 20-unit radius. Every piece still goes through the
+// placement checks. All randomness comes from the seed, so the same seed and
+// options always give the same track.
+
+import * as THREE from 'three';
+import * as state from '../state.js';
+import { PIECE_DATA, DECORATION_DATA, ELEVATION, PHYSICS } from '../constants.js';
+import { checkDecorationPlacementValid } from './placement.js';
+import { layPiece, isLaidClear } from './autoClose.js';
+
+const CELL_SIZE = 40;           // Two curve radii, so each corner uses half a cell edge per side
+const GRID_CELLS = 9;           // 360 units across, inside the 420-unit board
+const GRID_ORIGIN = -GRID_CELLS * CELL_SIZE / 2;
+const CORNER_RADIUS = PIECE_DATA['curve-90'].curveRadius;
+const MAX_ATTEMPTS = 40;
+
+// Outline directions in grid steps, anticlockwise from +x
+const DIRECTIONS = [{ x: 1, z: 0 }, { x: 0, z: 1 }, { x: -1, z: 0 }, { x: 0, z: -1 }];
+
+// Per difficulty: how twisty the outline grows (positive favours compact blobs
+// with long straights, negative favours spindly ones with lots of corners),
+// piece weights, and crate density (crates per 100 units of track)
+export const DIFFICULTIES = {
+    easy:   { compactness: 2, special: 0.15, banked: 0.5, ramps: 0.2, crates: 0 },
+    medium: { compactness: 0, special: 0.3, banked: 0.3, ramps: 0.5, crates: 0.4 },
+    hard:   { compactness: -2, special: 0.5, banked: 0.1, ramps: 0.8, crates: 1 }
+};
+
+export const GENERATOR_DEFAULTS = {
+    seed: 'road-racer',
+    length: 800,
+    pieces: Object.keys(PIECE_DATA).filter(type => type !== 'start' && type !== 'finish'),
+    difficulty: 'medium',
+    decorations: true,
+    crates: true
+};
+
+// Seeded PRNG (string hash into mulberry32) returning floats in [0, 1)
+function createRandom(seed) {
+    const text = String(seed);
+    let h = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+        h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    let a = h >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function pickWeighted(random, entries) {
+    const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    let roll = random() * total;
+    for (const entry of entries) {
+        roll -= entry.weight;
+        if (roll < 0) return entry;
+    }
+    return entries[entries.length - 1];
+}
+
+function getPathLength(def) {
+    return def.curveAngle > 0 ? def.curveAngle * def.curveRadius : def.length;
+}
+
+// ==================== OUTLINE ====================
+
+function cellKey(x, z) {
+    return x + ',' + z;
+}
+
+function isOnGrid(x, z) {
+    return x >= 0 && z >= 0 && x < GRID_CELLS && z < GRID_CELLS;
+}
+
+function countNeighbours(cells, x, z) {
+    return DIRECTIONS.filter(d => cells.has(cellKey(x + d.x, z + d.z))).length;
+}
+
+// Adding a cell mustn't leave two cells touching only at a corner, or the
+// outline would pinch into a figure of eight there
+function wouldPinch(cells, x, z) {
+    for (const dx of [-1, 1]) {
+        for (const dz of [-1, 1]) {
+            const diagonal = cells.has(cellKey(x + dx, z + dz));
+            const sideX = cells.has(cellKey(x + dx, z));
+            const sideZ = cells.has(cellKey(x, z + dz));
+            if (diagonal && !sideX && !sideZ) return true;
+        }
+    }
+    return false;
+}
+
+// Outline length in cell edges
+function getPerimeter(cells) {
+    let edges = 0;
+    cells.forEach(key => {
+        const [x, z] = key.split(',').map(Number);
+        edges += 4 - countNeighbours(cells, x, z);
+    });
+    return edges;
+}
+
+// Grow a blob of cells until its outline is long enough (or the grid fills up)
+function growCells(random, targetEdges, compactness) {
+    const centre = Math.floor(GRID_CELLS / 2);
+    const cells = new Set([cellKey(centre, centre)]);
+
+    while (cells.size < 2 || getPerimeter(cells) < targetEdges) {
+        const candidates = [];
+        cells.forEach(key => {
+            const [x, z] = key.split(',').map(Number);
+            DIRECTIONS.forEach(d => {
+                const nx = x + d.x;
+                const nz = z + d.z;
+                const nkey = cellKey(nx, nz);
+                if (!isOnGrid(nx, nz) || cells.has(nkey) || candidates.some(c => c.key === nkey)) return;
+                if (wouldPinch(cells, nx, nz)) return;
+                const neighbours = countNeighbours(cells, nx, nz);
+                candidates.push({ key: nkey, weight: Math.pow(neighbours, compactness) });
+            });
+        });
+        if (candidates.length === 0) break;
+        cells.add(pickWeighted(random, candidates).key);
+    }
+    return cells;
+}
+
+// Walk the outer edge of the blob anticlockwise (cells on the left). Returns
+// runs of { direction, edges }, where each run ends at a corner.
+function traceOutline(cells) {
+    // Each outline edge keyed by its start vertex; with no pinches every
+    // vertex starts at most one edge
+    const edges = new Map();
+    let first = null;
+    cells.forEach(key => {
+        const [x, z] = key.split(',').map(Number);
+        const sides = [
+            { empty: [x, z - 1], from: [x, z], direction: 0 },
+            { empty: [x + 1, z], from: [x + 1, z], direction: 1 },
+            { empty: [x, z + 1], from: [x + 1, z + 1], direction: 2 },
+            { empty: [x - 1, z], from: [x, z + 1], direction: 3 }
+        ];
+        sides.forEach(side => {
+            if (cells.has(cellKey(...side.empty))) return;
+            edges.set(cellKey(...side.from), side);
+            // The lowest bottom edge is always on the outer loop, not round a hole
+            if (side.direction === 0 && (!first || side.from[1] < first.from[1] ||
+                (side.from[1] === first.from[1] && side.from[0] < first.from[0]))) {
+                first = side;
+            }
+        });
+    });
+
+    const directions = [];
+    let edge = first;
+    do {
+        directions.push(edge.direction);
+        const d = DIRECTIONS[edge.direction];
+        edge = edges.get(cellKey(edge.from[0] + d.x, edge.from[1] + d.z));
+    } while (edge !== first);
+
+    // Rotate so the loop starts on a corner, then merge straight-on edges into runs
+    let offset = 0;
+    while (directions[offset] === directions[(offset + directions.length - 1) % directions.length]) offset++;
+    const ordered = directions.slice(offset).concat(directions.slice(0, offset));
+
+    const runs = [];
+    let vertex = [first.from[0], first.from[1]];
+    // Work out the first run's starting vertex by walking from the traced start
+    for (let i = 0; i < offset; i++) {
+        const d = DIRECTIONS[directions[i]];
+        vertex = [vertex[0] + d.x, vertex[1] + d.z];
+    }
+    ordered.forEach(direction => {
+        const last = runs[runs.length - 1];
+        if (last && last.direction === direction) {
+            last.edges++;
+        } else {
+            runs.push({ direction, edges: 1, vertex: vertex.slice() });
+        }
+        const d = DIRECTIONS[direction];
+        vertex = [vertex[0] + d.x, vertex[1] + d.z];
+    });
+    return runs;
+}
+
+// ==================== PIECES ====================
+
+// Split a straight run into allowed piece types; null if it can't be done exactly
+function fillRun(random, length, options, weights) {
+    const straights = ['straight-short', 'straight-long', 'straight-extra']
+        .filter(type => options.pieces.includes(type))
+        .map(type => ({ type, weight: 1 }));
+    const specials = options.pieces
+        .filter(type => PIECE_DATA[type].isObstacle)
+        .map(type => ({ type, weight: weights.special / 2 }));
+    const choices = straights.concat(specials);
+
+    // Which remainders can still be filled, so a greedy pick never strands us
+    const fillable = [true];
+    for (let l = 1; l <= length; l++) {
+        fillable[l] = choices.some(choice => {
+            const size = PIECE_DATA[choice.type].length;
+            return size <= l && fillable[l - size];
+        });
+    }
+    if (!fillable[length]) return null;
+
+    const types = [];
+    let remaining = length;
+    while (remaining > 0) {
+        const fits = choices.filter(choice => {
+            const size = PIECE_DATA[choice.type].length;
+            return size <= remaining && fillable[remaining - size];
+        });
+        const type = pickWeighted(random, fits).type;
+        types.push({ type, reversed: false });
+        remaining -= PIECE_DATA[type].length;
+    }
+    return types;
+}
+
+// Straights in a filled run that a ramp of the same length could replace
+function getRampSlots(fill, options) {
+    const ramps = ['ramp', 'ramp-steep'].filter(type => options.pieces.includes(type));
+    const slots = [];
+    fill.forEach((entry, index) => {
+        const def = PIECE_DATA[entry.type];
+        if (def.isObstacle || def.isStart) return;
+        ramps.forEach(ramp => {
+            if (PIECE_DATA[ramp].length === def.length) slots.push({ index, ramp });
+        });
+    });
+    return slots;
+}
+
+// Corner pieces for a quarter turn; a pair of quarter turns with no straight
+// between them can be one 180° banked curve
+function pickCorner(random, options, weights) {
+    const corners = [];
+    if (options.pieces.includes('curve-90')) corners.push({ types: ['curve-90'], weight: 1 });
+    if (options.pieces.includes('curve-45')) corners.push({ types: ['curve-45', 'curve-45'], weight: 0.3 });
+    if (options.pieces.includes('curve-banked')) corners.push({ types: ['curve-banked'], weight: weights.banked });
+    return pickWeighted(random, corners).types;
+}
+
+function getHeading(direction) {
+    const d = DIRECTIONS[direction];
+    return Math.atan2(d.x, d.z);
+}
+
+// Turn the outline into a driving-order list of { type, reversed }
+function planPieces(random, runs, options, weights) {
+    // Straight road left on each run once the corners at both ends take their share
+    const fills = [];
+    for (const run of runs) {
+        const fill = fillRun(random, run.edges * CELL_SIZE - 2 * CORNER_RADIUS, options, weights);
+        if (!fill) return null;
+        fills.push(fill);
+    }
+
+    // The start replaces a 40-unit straight, or two short ones, on a run long enough
+    const startSlots = [];
+    fills.forEach((fill, runIndex) => fill.forEach((entry, index) => {
+        if (PIECE_DATA[entry.type].isObstacle) return;
+        if (PIECE_DATA[entry.type].length === PIECE_DATA.start.length) {
+            startSlots.push({ runIndex, index, span: 1 });
+        } else if (entry.type === 'straight-short' && fill[index + 1] && fill[index + 1].type === 'straight-short') {
+            startSlots.push({ runIndex, index, span: 2 });
+        }
+    }));
+    if (startSlots.length === 0) return null;
+    const startSlot = startSlots[Math.floor(random() * startSlots.length)];
+    fills[startSlot.runIndex].splice(startSlot.index, startSlot.span, { type: 'start', reversed: false });
+
+    // Lap order from the start, so an optional raised section can go up and come
+    // back down before the finish line
+    const order = runs.map((_, i) => (startSlot.runIndex + i) % runs.length);
+    const rampRuns = order.slice(1).filter(runIndex => getRampSlots(fills[runIndex], options).length > 0);
+    if (rampRuns.length >= 2 && random() < weights.ramps) {
+        const up = Math.floor(random() * (rampRuns.length - 1));
+        const down = up + 1 + Math.floor(random() * (rampRuns.length - 1 - up));
+        [[rampRuns[up], false], [rampRuns[down], true]].forEach(([runIndex, reversed]) => {
+            const slots = getRampSlots(fills[runIndex], options);
+            const slot = slots[Math.floor(random() * slots.length)];
+            fills[runIndex][slot.index] = { type: slot.ramp, reversed };
+        });
+    }
+
+    const plan = fills[startSlot.runIndex].slice(startSlot.index);
+    for (let i = 0; i < runs.length; i++) {
+        const runIndex = order[i];
+        const nextIndex = (runIndex + 1) % runs.length;
+        if (i > 0) plan.push(...fills[runIndex]);
+
+        // Forward curves turn the heading down, so turns the other way are laid reversed
+        const turn = Math.atan2(
+            Math.sin(getHeading(runs[nextIndex].direction) - getHeading(runs[runIndex].direction)),
+            Math.cos(getHeading(runs[nextIndex].direction) - getHeading(runs[runIndex].direction)));
+        const reversed = turn > 0;
+
+        // Two turns the same way with nothing between make a hairpin
+        const previous = plan[plan.length - 1];
+        if (fills[runIndex].length === 0 && previous && previous.corner && previous.reversed === reversed &&
+            !previous.hairpin && options.pieces.includes('curve-banked-180') && random() < weights.banked) {
+            plan.splice(plan.length - previous.count, previous.count,
+                { type: 'curve-banked-180', reversed, corner: true, hairpin: true, count: 1 });
+            continue;
+        }
+        const types = pickCorner(random, options, weights);
+        types.forEach(type => plan.push({ type, reversed, corner: true, count: types.length }));
+    }
+    plan.push(...fills[startSlot.runIndex].slice(0, startSlot.index));
+    return { plan, startRun: runs[startSlot.runIndex], startOffset: startSlot.index };
+}
+
+// ==================== LAYOUT ====================
+
+// One attempt at a closed layout; returns the pieces or null
+function buildLayout(random, options, weights) {
+    const targetEdges = Math.max(4, Math.round(options.length / CELL_SIZE));
+    const cells = growCells(random, targetEdges, weights.compactness);
+    const runs = traceOutline(cells);
+    const planned = planPieces(random, runs, options, weights);
+    if (!planned) return null;
+
+    // Drive from the start of the start piece's run, past the straights before it
+    const { startRun, startOffset } = planned;
+    const d = DIRECTIONS[startRun.direction];
+    const runFill = planned.plan.slice(planned.plan.length - startOffset);
+    const before = CORNER_RADIUS + runFill.reduce((sum, entry) => sum + PIECE_DATA[entry.type].length, 0);
+    let travel = {
+        position: new THREE.Vector3(
+            GRID_ORIGIN + startRun.vertex[0] * CELL_SIZE + d.x * before, 0,
+            GRID_ORIGIN + startRun.vertex[1] * CELL_SIZE + d.z * before),
+        heading: getHeading(startRun.direction),
+        elevation: 0
+    };
+    const target = { position: travel.position.clone(), heading: travel.heading, elevation: 0 };
+
+    const pieces = state.placedPieces;
+    for (const entry of planned.plan) {
+        const laid = layPiece(entry.type, entry.reversed, travel);
+        // The seed alone decides the layout, so the theme's rug doesn't get a say
+        if (!laid || !isLaidClear(laid, pieces[pieces.length - 1], target, false)) return null;
+        pieces.push(laid.piece);
+        travel = laid.next;
+    }
+    return pieces.slice();
+}
+
+// Crates sit on plain straights, a few units off the centre line
+function placeCrates(random, pieces, perHundred) {
+    const crates = [];
+    pieces.forEach(piece => {
+        const def = PIECE_DATA[piece.type];
+        if (def.curveAngle > 0 || def.isObstacle || def.isRamp || def.isStart) return;
+        if (random() >= perHundred * def.length / 100) return;
+
+        const along = def.length * (0.3 + random() * 0.4);
+        const across = (random() * 2 - 1) * (PHYSICS.trackWidth - 5);
+        const offset = new THREE.Vector3(across, 0, along).applyAxisAngle(new THREE.Vector3(0, 1, 0), piece.heading);
+        const position = piece.position.clone().add(offset);
+        position.y = piece.elevation * ELEVATION.HEIGHT_PER_LEVEL + PHYSICS.obstacle.crateSize / 2 + 0.1;
+        crates.push({ type: 'crate', position, rotation: random() * Math.PI * 2 });
+    });
+    return crates;
+}
+
+// Scenery beside the track, checked with the same rules as hand placement
+function placeDecorations(random, pieces, trackLength) {
+    const types = Object.keys(DECORATION_DATA);
+    const count = Math.round(trackLength / 150);
+    const decorations = state.placedDecorations;
+    const limit = -GRID_ORIGIN + CELL_SIZE / 2;
+
+    for (let i = 0; i < count * 5 && decorations.length < count; i++) {
+        const piece = pieces[Math.floor(random() * pieces.length)];
+        const side = random() < 0.5 ? -1 : 1;
+        const offset = new THREE.Vector3(side * (30 + random() * 25), 0, random() * 20)
+            .applyAxisAngle(new THREE.Vector3(0, 1, 0), piece.heading);
+        const position = piece.position.clone().add(offset);
+        position.y = 0;
+        if (Math.abs(position.x) > limit || Math.abs(position.z) > limit) continue;
+
+        const type = types[Math.floor(random() * types.length)];
+        const heading = Math.floor(random() * 8) * (Math.PI / 4);
+        if (checkDecorationPlacementValid(position, heading, type)) {
+            decorations.push({ type, position, heading });
+        }
+    }
+    return decorations.slice();
+}
+
+// Generate a closed track. Options (see GENERATOR_DEFAULTS): seed, length (units of
+// road), pieces (allowed piece types), difficulty ('easy' | 'medium' | 'hard'),
+// decorations and crates (booleans). Returns load data for loadTrackData.
+export function generateTrack(options = {}) {
+    const opts = { ...GENERATOR_DEFAULTS, ...options };
+    const weights = DIFFICULTIES[opts.difficulty];
+    if (!weights) throw new Error(`Unknown difficulty "${opts.difficulty}"`);
+
+    // Generated tracks are circuits, so they never take a finish piece
+    opts.pieces = opts.pieces.filter(type => PIECE_DATA[type] && type !== 'start' && type !== 'finish');
+    const hasStraight = opts.pieces.includes('straight-short') || opts.pieces.includes('straight-long');
+    const hasCorner = ['curve-45', 'curve-90', 'curve-banked'].some(type => opts.pieces.includes(type));
+    if (!hasStraight || !hasCorner) {
+        throw new Error('Allow a short or long straight and at least one 45° or 90° curve');
+    }
+
+    const random = createRandom(opts.seed);
+
+    // Generate against an empty board, then put the player's build back
+    const savedPieces = state.placedPieces.splice(0);
+    const savedDecorations = state.placedDecorations.splice(0);
+    try {
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            state.placedPieces.length = 0;
+            const pieces = buildLayout(random, opts, weights);
+            if (!pieces) continue;
+
+            const trackLength = pieces.reduce((sum, piece) => sum + getPathLength(PIECE_DATA[piece.type]), 0);
+            const decorations = opts.decorations ? placeDecorations(random, pieces, trackLength) : [];
+            const crates = opts.crates ? placeCrates(random, pieces, weights.crates) : [];
+
+            return {
+                theme: null,
+                pieces: pieces.map(piece => ({
+                    type: piece.type,
+                    position: { x: piece.position.x, y: piece.position.y, z: piece.position.z },
+                    heading: piece.heading,
+                    elevation: piece.elevation
+                })),
+                decorations: decorations.map(deco => ({
+                    type: deco.type,
+                    position: { x: deco.position.x, y: deco.position.y, z: deco.position.z },
+                    heading: deco.heading
+                })),
+                obstacles: crates.map(crate => ({
+                    type: crate.type,
+                    position: { x: crate.position.x, y: crate.position.y, z: crate.position.z },
+                    rotation: { x: 0, y: crate.rotation, z: 0 }
+                }))
+            };
+        }
+    } finally {
+        state.placedPieces.length = 0;
+        state.placedPieces.push(...savedPieces);
+        state.placedDecorations.length = 0;
+        state.placedDecorations.push(...savedDecorations);
+    }
+
+    throw new Error(`Couldn't generate a closed track from seed "${opts.seed}" - try another seed or allow more pieces`);
+}
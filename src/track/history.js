@@ -0,0 +1,88 @@
+// Builder undo/redo history
+//
+// Each entry is a command with undo() and redo(). Builder operations use
+// snapshot commands: the build is serialized before and after the change and
+// restored through loadTrackData, so meshes, ramp variants and banked-curve
+// transitions are rebuilt by the same path as a normal load.
+
+import { serializeTrack, parseTrack, loadTrackData } from './serialize.js';
+
+const MAX_HISTORY = 100;
+
+const undoStack = [];
+const redoStack = [];
+let changeCallbacks = [];
+
+// Push a command that has already been applied
+export function pushCommand(command) {
+    undoStack.push(command);
+    if (undoStack.length > MAX_HISTORY) undoStack.shift();
+    redoStack.length = 0;
+    notifyChange();
+}
+
+// Serialized build state to pass to recordChange once the operation is done
+export function captureSnapshot() {
+    return serializeTrack();
+}
+
+// Record a builder operation as the difference between two snapshots
+export function recordChange(label, before) {
+    const after = captureSnapshot();
+    if (after === before) return;
+
+    pushCommand({
+        label,
+        undo: () => restoreSnapshot(before),
+        redo: () => restoreSnapshot(after)
+    });
+}
+
+function restoreSnapshot(snapshot) {
+    // Theme is a preference, not part of the build being edited
+    loadTrackData({ ...parseTrack(snapshot).data, theme: null });
+}
+
+export function undo() {
+    const command = undoStack.pop();
+    if (!command) return null;
+    command.undo();
+    redoStack.push(command);
+    notifyChange();
+    return command.label;
+}
+
+export function redo() {
+    const command = redoStack.pop();
+    if (!command) return null;
+    command.redo();
+    undoStack.push(command);
+    notifyChange();
+    return command.label;
+}
+
+export function canUndo() {
+    return undoStack.length > 0;
+}
+
+export function canRedo() {
+    return redoStack.length > 0;
+}
+
+export function clearHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    notifyChange();
+}
+
+// Subscribe to history changes (for toolbar button states)
+export function onHistoryChange(callback) {
+    changeCallbacks.push(callback);
+    return () => {
+        changeCallbacks = changeCallbacks.filter(cb => cb !== callback);
+    };
+}
+
+function notifyChange() {
+    changeCallbacks.forEach(callback => callback());
+}
@@ -3,11 +3,12 @@ import { PHYSICS, PIECE_DATA, ELEVATION } from '../constants.js';
 import {
     addBarriersToStraight, addBarriersToCurve, addMarkingsToStraight, addMarkingsToCurve,
     addBarriersToRamp, addMarkingsToRamp,
-    addWallsToStraight, addWallsToCurve, addWallsToRamp,
-    addStripesToRamp
+    addWallsToStraight, addWallsToCurve, addWallsToRamp, addWallSegments,
+    addStripesToCurve, addStripesToRamp
 } from './barriers.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { getColor, getThemeObject, onThemeChange, getCurrentThemeName } from '../theme/themeManager.js';
+import { SURFACE_TYPES } from './surfaces.js';
 
 // Track all piece materials for theme updates
 const pieceMaterials = new Set();
@@ -182,42 +183,53 @@ function createStartPiece(def, isPreview = false, colorIndex = 0) {
     group.add(arrow);
 
     if (!isPreview) {
-        // Start/finish line (checkered pattern) - positioned near exit edge (direction of flow)
-        const startLineZ = length - 5; // 5 units from exit edge
-        const startGeom = new THREE.PlaneGeometry(PHYSICS.trackWidth * 2 - 2, 2.5);
-        const canvas = document.createElement('canvas');
-        canvas.width = 128;
-        canvas.height = 32;
-        const ctx = canvas.getContext('2d');
-        for (let i = 0; i < 16; i++) {
-            for (let j = 0; j < 4; j++) {
-                ctx.fillStyle = (i + j) % 2 === 0 ? 'white' : 'black';
-                ctx.fillRect(i * 8, j * 8, 8, 8);
-            }
+        // Start/finish line - positioned near exit edge (direction of flow)
+        addCheckeredLine(group, length - 5); // 5 units from exit edge
+    }
+
+    return group;
+}
+
+// Checkered line across the road with a gantry over it
+function addCheckeredLine(group, lineZ) {
+    const lineGeom = new THREE.PlaneGeometry(PHYSICS.trackWidth * 2 - 2, 2.5);
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 32;
+    const ctx = canvas.getContext('2d');
+    for (let i = 0; i < 16; i++) {
+        for (let j = 0; j < 4; j++) {
+            ctx.fillStyle = (i + j) % 2 === 0 ? 'white' : 'black';
+            ctx.fillRect(i * 8, j * 8, 8, 8);
         }
-        const texture = new THREE.CanvasTexture(canvas);
-        const startMat = new THREE.MeshBasicMaterial({ map: texture });
-        const startLine = new THREE.Mesh(startGeom, startMat);
-        startLine.rotation.x = -Math.PI / 2;
-        startLine.position.set(0, 0.2, startLineZ);
-        group.add(startLine);
-
-        // Start gantry - positioned at start line
-        const gantryMat = new THREE.MeshStandardMaterial({ color: 0x444444 });
-        [-1, 1].forEach(side => {
-            const poleGeom = new THREE.CylinderGeometry(0.4, 0.4, 10, 8);
-            const pole = new THREE.Mesh(poleGeom, gantryMat);
-            pole.position.set(side * (PHYSICS.trackWidth + 1), 5, startLineZ);
-            pole.castShadow = true;
-            group.add(pole);
-        });
-        const crossbarGeom = new THREE.BoxGeometry(PHYSICS.trackWidth * 2 + 4, 1.5, 1.5);
-        const crossbar = new THREE.Mesh(crossbarGeom, gantryMat);
-        crossbar.position.set(0, 10, startLineZ);
-        crossbar.castShadow = true;
-        group.add(crossbar);
     }
+    const texture = new THREE.CanvasTexture(canvas);
+    const lineMat = new THREE.MeshBasicMaterial({ map: texture });
+    const line = new THREE.Mesh(lineGeom, lineMat);
+    line.rotation.x = -Math.PI / 2;
+    line.position.set(0, 0.2, lineZ);
+    group.add(line);
+
+    // Gantry - positioned at the line
+    const gantryMat = new THREE.MeshStandardMaterial({ color: 0x444444 });
+    [-1, 1].forEach(side => {
+        const poleGeom = new THREE.CylinderGeometry(0.4, 0.4, 10, 8);
+        const pole = new THREE.Mesh(poleGeom, gantryMat);
+        pole.position.set(side * (PHYSICS.trackWidth + 1), 5, lineZ);
+        pole.castShadow = true;
+        group.add(pole);
+    });
+    const crossbarGeom = new THREE.BoxGeometry(PHYSICS.trackWidth * 2 + 4, 1.5, 1.5);
+    const crossbar = new THREE.Mesh(crossbarGeom, gantryMat);
+    crossbar.position.set(0, 10, lineZ);
+    crossbar.castShadow = true;
+    group.add(crossbar);
+}
 
+// Sprint finish: the line sits near the entry so the rest of the piece is run-off
+function createFinishPiece(def, isPreview = false, colorIndex = 0) {
+    const group = createStraightPiece(def, isPreview, colorIndex);
+    if (!isPreview) addCheckeredLine(group, def.finishLineZ);
     return group;
 }
 
@@ -226,6 +238,12 @@ function getCurveModelKey(angle) {
     return 'curve-90';
 }
 
+// Only the original 45° and 90° curves have models; picker curves are built from geometry
+function hasCurveModel(def) {
+    const isModelAngle = Math.abs(def.curveAngle - Math.PI / 4) < 0.01 || Math.abs(def.curveAngle - Math.PI / 2) < 0.01;
+    return def.curveRadius === 20 && isModelAngle;
+}
+
 // Remove non-mesh leaf nodes (e.g. BézierCircle) that can interfere with bounding box or rendering
 function stripNonMeshNodes(model) {
     const toRemove = [];
@@ -327,6 +345,57 @@ function fitCurveModel(model, radius, angle, dir, width) {
 
 }
 
+// Flat road arc with the same walls and stripes the curve models have
+function createCurveGeometryPiece(def, isPreview, pieceColor) {
+    const group = new THREE.Group();
+    const width = PHYSICS.trackWidth * 2;
+    const radius = def.curveRadius;
+    const angle = def.curveAngle;
+    const dir = def.direction;
+    const segments = Math.max(16, Math.ceil(angle * radius / 4));
+
+    const vertices = [];
+    const indices = [];
+    for (let i = 0; i <= segments; i++) {
+        const a = (i / segments) * angle;
+        [radius - width / 2, radius + width / 2].forEach(r => {
+            const x = dir > 0 ? -radius + r * Math.cos(a) : radius - r * Math.cos(a);
+            vertices.push(x, 0, r * Math.sin(a));
+        });
+
+        if (i < segments) {
+            const base = i * 2;
+            indices.push(base, base + 1, base + 2);
+            indices.push(base + 1, base + 3, base + 2);
+        }
+    }
+
+    const roadGeom = new THREE.BufferGeometry();
+    roadGeom.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    roadGeom.setIndex(indices);
+    roadGeom.computeVertexNormals();
+
+    const roadMat = new THREE.MeshStandardMaterial({
+        color: pieceColor,
+        transparent: isPreview,
+        opacity: isPreview ? 0.7 : 1,
+        side: THREE.DoubleSide
+    });
+    if (!isPreview) pieceMaterials.add(roadMat);
+
+    const road = new THREE.Mesh(roadGeom, roadMat);
+    road.position.y = 0.15;
+    road.receiveShadow = true;
+    group.add(road);
+
+    if (!isPreview) {
+        addWallsToCurve(group, radius, angle, dir, width, pieceColor);
+        addStripesToCurve(group, radius, angle, dir, width, pieceColor);
+    }
+
+    return group;
+}
+
 function createCurvePiece(def, isPreview = false, colorIndex = 0) {
     const group = new THREE.Group();
     const width = PHYSICS.trackWidth * 2;
@@ -335,6 +404,8 @@ function createCurvePiece(def, isPreview = false, colorIndex = 0) {
     const dir = def.direction;
     const pieceColor = isPreview ? 0x666666 : getSequenceColor(colorIndex);
 
+    if (!hasCurveModel(def)) return createCurveGeometryPiece(def, isPreview, pieceColor);
+
     const modelKey = getCurveModelKey(angle);
     const placedKey = modelKey + '-placed';
     const gltfData = trackModelCache[placedKey] || trackModelCache[modelKey];
@@ -555,7 +626,20 @@ function createIceSectionPiece(def, isPreview = false, colorIndex = 0) {
     return group;
 }
 
-// Attempt to find if def specifies a larger transition (for 180° curves, use smaller percentage)
+// Banking eases in and out over about the same distance on every banked curve
+// (a fifth of the original 180° curve), up to 35% of the curve at each end
+const BANK_TRANSITION_ARC = 4 * Math.PI;
+
+// Road segments and entry/exit transition (fraction of the curve) for a banked curve.
+// Longer curves get more segments so the banking stays smooth.
+export function getBankedCurveLayout(def) {
+    const arcLength = def.curveAngle * def.curveRadius;
+    return {
+        segments: Math.max(32, Math.ceil(def.curveAngle / Math.PI * 48), Math.ceil(arcLength / 4)),
+        transitionLength: Math.min(0.35, BANK_TRANSITION_ARC / arcLength)
+    };
+}
+
 function createBankedCurvePiece(def, isPreview = false, colorIndex = 0) {
     const group = new THREE.Group();
     const width = PHYSICS.trackWidth * 2;
@@ -564,15 +648,10 @@ function createBankedCurvePiece(def, isPreview = false, colorIndex = 0) {
     const dir = def.direction;
     const maxBankAngle = def.bankAngle || 0.3;
 
-    // More segments for larger curves
-    const segments = angle > Math.PI / 2 ? 48 : 32;
+    const { segments, transitionLength } = getBankedCurveLayout(def);
     const innerR = radius - width / 2;
     const outerR = radius + width / 2;
 
-    // Transition zones - larger percentage for 90° curves, smaller for 180°
-    // This keeps the actual transition arc length similar
-    const transitionLength = angle > Math.PI / 2 ? 0.2 : 0.35;
-
     const vertices = [];
     const indices = [];
 
@@ -650,7 +729,7 @@ function createBankedCurvePiece(def, isPreview = false, colorIndex = 0) {
 
     if (!isPreview) {
         // Add outer wall - offset outward to prevent z-fighting
-        const wallSegments = 16;
+        const wallSegments = Math.max(16, Math.ceil(angle * outerR / 8));
         const wallOffset = 1.2; // Offset wall outward from road edge
 
         for (let i = 0; i < wallSegments; i++) {
@@ -972,9 +1051,212 @@ function createRampPiece(def, isPreview = false, colorIndex = 0, rampVariant = '
     return group;
 }
 
+// ==================== JUNCTIONS ====================
+
+const JUNCTION_SEGMENTS = 24;
+
+// Local point at fraction t (in driving order) along a junction's 'main' line or
+// 'branch', offset sideways by offset (positive = local +x side of the road)
+export function getJunctionPoint(def, path, t, offset = 0) {
+    if (path === 'main') return new THREE.Vector3(offset, 0, def.length * t);
+
+    // A merge's branch is a fork's branch run backwards from the other end
+    if (def.junction === 'merge') {
+        const point = getForkBranchPoint(def, 1 - t, offset);
+        point.z = def.length - point.z;
+        return point;
+    }
+    return getForkBranchPoint(def, t, offset);
+}
+
+// A fork's branch is an S-bend of two equal arcs: out to the side, then back parallel
+function getForkBranchPoint(def, t, offset) {
+    const dir = def.branchDirection;
+    const angle = 2 * Math.atan(def.branchOffset / def.length);
+    const radius = def.length / (2 * Math.sin(angle));
+
+    if (t <= 0.5) {
+        const a = 2 * t * angle;
+        const r = radius + offset * dir;
+        return new THREE.Vector3(dir * (r * Math.cos(a) - radius), 0, r * Math.sin(a));
+    }
+    const a = 2 * (1 - t) * angle;
+    const r = radius - offset * dir;
+    return new THREE.Vector3(dir * (radius - def.branchOffset - r * Math.cos(a)), 0, def.length - r * Math.sin(a));
+}
+
+// Is a local point on the given junction path's road surface?
+function isOnJunctionRoad(def, path, point, halfWidth) {
+    for (let i = 0; i <= JUNCTION_SEGMENTS * 2; i++) {
+        const center = getJunctionPoint(def, path, i / (JUNCTION_SEGMENTS * 2));
+        if (Math.hypot(point.x - center.x, point.z - center.z) < halfWidth) return true;
+    }
+    return false;
+}
+
+// Flat road ribbon following one junction path
+function createJunctionRoadGeometry(def, path, width) {
+    const vertices = [];
+    const indices = [];
+    for (let i = 0; i <= JUNCTION_SEGMENTS; i++) {
+        const t = i / JUNCTION_SEGMENTS;
+        const left = getJunctionPoint(def, path, t, -width / 2);
+        const right = getJunctionPoint(def, path, t, width / 2);
+        vertices.push(left.x, 0, left.z, right.x, 0, right.z);
+
+        if (i < JUNCTION_SEGMENTS) {
+            const base = i * 2;
+            indices.push(base, base + 1, base + 2);
+            indices.push(base + 1, base + 3, base + 2);
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+// Wall pieces along both edges of each path, left open where the other path's road runs
+function getJunctionWallSegments(def, width) {
+    const segments = [];
+    const wallOffset = width / 2 + 0.2;
+
+    ['main', 'branch'].forEach(path => {
+        const other = path === 'main' ? 'branch' : 'main';
+        [-wallOffset, wallOffset].forEach(offset => {
+            for (let i = 0; i < JUNCTION_SEGMENTS; i++) {
+                const from = getJunctionPoint(def, path, i / JUNCTION_SEGMENTS, offset);
+                const to = getJunctionPoint(def, path, (i + 1) / JUNCTION_SEGMENTS, offset);
+                const mid = from.clone().add(to).multiplyScalar(0.5);
+                if (!isOnJunctionRoad(def, other, mid, width / 2)) segments.push({ from, to });
+            }
+        });
+    });
+    return segments;
+}
+
+function createJunctionPiece(def, isPreview = false, colorIndex = 0) {
+    const group = new THREE.Group();
+    const width = PHYSICS.trackWidth * 2;
+    const pieceColor = isPreview ? 0x666666 : getSequenceColor(colorIndex);
+
+    const roadMat = new THREE.MeshStandardMaterial({
+        color: pieceColor,
+        transparent: isPreview,
+        opacity: isPreview ? 0.7 : 1,
+        side: THREE.DoubleSide
+    });
+    // Branch sits just under the main line where they overlap
+    const branchMat = roadMat.clone();
+    branchMat.polygonOffset = true;
+    branchMat.polygonOffsetFactor = 1;
+    branchMat.polygonOffsetUnits = 1;
+    if (!isPreview) {
+        pieceMaterials.add(roadMat);
+        pieceMaterials.add(branchMat);
+    }
+
+    [['main', roadMat], ['branch', branchMat]].forEach(([path, material]) => {
+        const road = new THREE.Mesh(createJunctionRoadGeometry(def, path, width), material);
+        road.position.y = 0.15;
+        road.receiveShadow = true;
+        group.add(road);
+    });
+
+    if (!isPreview) {
+        addWallSegments(group, getJunctionWallSegments(def, width), pieceColor);
+    }
+
+    return group;
+}
+
+// ==================== CROSSINGS ====================
+
+// Wall pieces for a flat crossing: each road's edges, cut where the other road runs through
+function getCrossingWallSegments(def, width) {
+    const half = width / 2 + 0.2;
+    const mid = def.length / 2;
+    const point = (x, z) => new THREE.Vector3(x, 0, z);
+    const segments = [];
+
+    [-1, 1].forEach(side => {
+        // Main road edges, before and after the cross road
+        segments.push({ from: point(side * half, 0), to: point(side * half, mid - half) });
+        segments.push({ from: point(side * half, mid + half), to: point(side * half, def.length) });
+        // Cross road edges, outside the main road
+        [-1, 1].forEach(end => {
+            segments.push({ from: point(end * half, mid + side * half), to: point(end * mid, mid + side * half) });
+        });
+    });
+    return segments;
+}
+
+function createCrossingPiece(def, isPreview = false, colorIndex = 0) {
+    const group = new THREE.Group();
+    const width = PHYSICS.trackWidth * 2;
+    const length = def.length;
+    const pieceColor = isPreview ? 0x666666 : getSequenceColor(colorIndex);
+    const isBridge = def.crossing === 'bridge';
+
+    const roadMat = new THREE.MeshStandardMaterial({
+        color: pieceColor,
+        transparent: isPreview,
+        opacity: isPreview ? 0.7 : 1
+    });
+    // Flat cross road sits just under the main road where they overlap
+    const crossMat = roadMat.clone();
+    crossMat.polygonOffset = true;
+    crossMat.polygonOffsetFactor = 1;
+    crossMat.polygonOffsetUnits = 1;
+    if (!isPreview) {
+        pieceMaterials.add(roadMat);
+        pieceMaterials.add(crossMat);
+    }
+
+    const road = new THREE.Mesh(new THREE.PlaneGeometry(width, length), roadMat);
+    road.rotation.x = -Math.PI / 2;
+    road.position.set(0, 0.15, length / 2);
+    road.receiveShadow = true;
+    group.add(road);
+
+    if (isBridge) {
+        // Deck spanning the main road, its top level with the raised cross road
+        const deckY = def.crossElevation * ELEVATION.HEIGHT_PER_LEVEL + 0.15;
+        const deck = new THREE.Mesh(new THREE.BoxGeometry(length, 1, width), roadMat);
+        deck.position.set(0, deckY - 0.5, length / 2);
+        deck.castShadow = true;
+        deck.receiveShadow = true;
+        group.add(deck);
+
+        if (!isPreview) {
+            addWallsToStraight(group, length, width, pieceColor);
+            const half = width / 2 + 0.2;
+            addWallSegments(group, [-1, 1].map(side => ({
+                from: new THREE.Vector3(-length / 2, deckY - 0.15, length / 2 + side * half),
+                to: new THREE.Vector3(length / 2, deckY - 0.15, length / 2 + side * half)
+            })), pieceColor);
+        }
+    } else {
+        const cross = new THREE.Mesh(new THREE.PlaneGeometry(length, width), crossMat);
+        cross.rotation.x = -Math.PI / 2;
+        cross.position.set(0, 0.15, length / 2);
+        cross.receiveShadow = true;
+        group.add(cross);
+
+        if (!isPreview) {
+            addWallSegments(group, getCrossingWallSegments(def, width), pieceColor);
+        }
+    }
+
+    return group;
+}
+
 // Build PIECE_DEFS by combining PIECE_DATA with createMesh functions
 const meshCreators = {
     'start': createStartPiece,
+    'finish': createFinishPiece,
     'straight-short': createStraightPiece,
     'straight-long': createStraightPiece,
     'straight-extra': createStraightPiece,
@@ -988,12 +1270,122 @@ const meshCreators = {
     'boost-pad': createBoostPadPiece,
     'loop': createLoopPiece,
     'ramp': createRampPiece,
-    'ramp-steep': createRampPiece
+    'ramp-steep': createRampPiece,
+    'fork-right': createJunctionPiece,
+    'fork-left': createJunctionPiece,
+    'merge-right': createJunctionPiece,
+    'merge-left': createJunctionPiece,
+    'crossing': createCrossingPiece,
+    'crossing-bridge': createCrossingPiece
 };
 
 export const PIECE_DEFS = {};
 for (const [key, data] of Object.entries(PIECE_DATA)) {
-    PIECE_DEFS[key] = { ...data, createMesh: meshCreators[key] };
+    // Curve picker types share the curve builders
+    const createMesh = meshCreators[key] || (data.banked ? createBankedCurvePiece : createCurvePiece);
+    PIECE_DEFS[key] = { ...data, createMesh };
+}
+
+// ==================== SURFACE PAINT OVERLAY ====================
+
+const SURFACE_OVERLAY_NAME = 'surfaceOverlay';
+const OVERLAY_LIFT = 0.08;      // Clearance above the road to avoid z-fighting
+const OVERLAY_EDGE = 0.85;      // Fraction of the road half-width covered (stays inside the barriers)
+const OVERLAY_STEP = 2.5;       // Sample spacing along the piece
+const OVERLAY_COLUMNS = 6;      // Samples across the road
+const ROAD_TOP = 2.1;           // Fallback height when a sample misses the road model
+
+const overlayRaycaster = new THREE.Raycaster();
+const overlayDown = new THREE.Vector3(0, -1, 0);
+
+// Local-space point at fraction t along the piece and u (-1 to 1) across the road
+function getRoadPoint(def, t, u) {
+    const offset = u * PHYSICS.trackWidth * OVERLAY_EDGE;
+    if (def.curveAngle > 0) {
+        const angle = def.curveAngle * t;
+        const radius = def.curveRadius + offset;
+        const dir = def.direction > 0 ? 1 : -1;
+        return new THREE.Vector3(dir * (radius * Math.cos(angle) - def.curveRadius), 0, radius * Math.sin(angle));
+    }
+    return new THREE.Vector3(offset, 0, def.length * t);
+}
+
+// Road height under a local point, found by casting down onto the piece's own meshes
+function getRoadHeight(mesh, targets, point) {
+    const origin = mesh.localToWorld(point.clone().setY(60));
+    overlayRaycaster.set(origin, overlayDown);
+    const hit = overlayRaycaster.intersectObjects(targets, false)[0];
+    return hit ? mesh.worldToLocal(hit.point).y : null;
+}
+
+// Thin sheet draped over the road surface so ramps, banking and bumps are followed
+function buildSurfaceOverlay(mesh, def, surface) {
+    mesh.updateMatrixWorld(true);
+    const targets = [];
+    mesh.traverse(child => {
+        if (child.isMesh && !child.userData.isBarrier) targets.push(child);
+    });
+
+    const pathLength = def.curveAngle > 0 ? def.curveAngle * def.curveRadius : def.length;
+    const rows = Math.max(2, Math.ceil(pathLength / OVERLAY_STEP));
+    const stride = OVERLAY_COLUMNS + 1;
+    const positions = [];
+    const indices = [];
+    let lastHeight = ROAD_TOP;
+
+    for (let row = 0; row <= rows; row++) {
+        for (let col = 0; col <= OVERLAY_COLUMNS; col++) {
+            const point = getRoadPoint(def, row / rows, (col / OVERLAY_COLUMNS) * 2 - 1);
+            const height = getRoadHeight(mesh, targets, point);
+            if (height !== null) lastHeight = height;
+            positions.push(point.x, lastHeight + OVERLAY_LIFT, point.z);
+
+            if (row < rows && col < OVERLAY_COLUMNS) {
+                const a = row * stride + col;
+                indices.push(a, a + stride, a + 1, a + 1, a + stride, a + stride + 1);
+            }
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+
+    const glossy = surface === 'ice' || surface === 'wet';
+    const material = new THREE.MeshStandardMaterial({
+        color: SURFACE_TYPES[surface].color,
+        roughness: glossy ? 0.2 : 0.95,
+        metalness: glossy ? 0.1 : 0,
+        side: THREE.DoubleSide,
+        polygonOffset: true,
+        polygonOffsetFactor: -2,
+        polygonOffsetUnits: -2
+    });
+
+    const overlay = new THREE.Mesh(geometry, material);
+    overlay.name = SURFACE_OVERLAY_NAME;
+    overlay.receiveShadow = true;
+    return overlay;
+}
+
+// Show a painted surface on a placed piece's mesh (null removes it)
+export function applySurfaceOverlay(mesh, def, surface) {
+    const existing = mesh.getObjectByName(SURFACE_OVERLAY_NAME);
+    if (existing) {
+        mesh.remove(existing);
+        existing.geometry.dispose();
+        existing.material.dispose();
+    }
+
+    mesh.userData.surface = SURFACE_TYPES[surface] ? surface : null;
+    if (!mesh.userData.surface) return;
+
+    // Road models may still be loading; drape once they're in place
+    preloadTrackModels(() => {
+        if (!mesh.userData.surface || mesh.getObjectByName(SURFACE_OVERLAY_NAME)) return;
+        mesh.add(buildSurfaceOverlay(mesh, def, mesh.userData.surface));
+    });
 }
 
 // Update all tracked materials when theme changes
@@ -1,7 +1,7 @@
 import * as THREE from 'three';
 import * as state from '../state.js';
 import { scene, raycaster, mouseVec, groundPlane, camera } from '../scene.js';
-import { PIECE_DEFS } from './pieces.js';
+import { PIECE_DEFS, applySurfaceOverlay, getJunctionPoint } from './pieces.js';
 import { DECORATION_DATA, PIECE_DATA, PHYSICS, ELEVATION } from '../constants.js';
 import { obstacles } from '../obstacles/obstacleState.js';
 import { getRugBounds } from '../effects/bedroom.js';
@@ -69,6 +69,52 @@ export function getLocalEndpoint(pieceType) {
     return { x: localEndX, z: localEndZ, heading: localEndHeading };
 }
 
+// Local branch endpoint of a junction: where a fork's branch comes out, or where a
+// merge's branch comes in. Either way the branch runs parallel to the main line there.
+function getLocalBranchEndpoint(def) {
+    return {
+        x: -def.branchDirection * def.branchOffset,
+        z: def.junction === 'fork' ? def.length : 0,
+        heading: 0
+    };
+}
+
+// Local endpoints beyond start and end, keyed by name: a junction's branch, or the
+// second road through a crossing (which runs across the piece, rise levels up)
+export function getLocalExtraEndpoints(def) {
+    if (def.junction) return { branch: { ...getLocalBranchEndpoint(def), rise: 0 } };
+    if (def.crossing) {
+        const rise = def.crossElevation || 0;
+        return {
+            crossStart: { x: -def.length / 2, z: def.length / 2, heading: Math.PI / 2, rise },
+            crossEnd: { x: def.length / 2, z: def.length / 2, heading: Math.PI / 2, rise }
+        };
+    }
+    return {};
+}
+
+// World position of a local extra endpoint on a piece at position/heading
+function placeExtraEndpoint(local, position, heading) {
+    const point = new THREE.Vector3(local.x, 0, local.z)
+        .applyAxisAngle(new THREE.Vector3(0, 1, 0), heading)
+        .add(position);
+    point.y = position.y + local.rise * ELEVATION.HEIGHT_PER_LEVEL;
+    return point;
+}
+
+// World midpoint of a junction's branch road, for overlap checks
+function getBranchMidpoint(def, position, heading) {
+    return getJunctionPoint(def, 'branch', 0.5)
+        .applyAxisAngle(new THREE.Vector3(0, 1, 0), heading)
+        .add(position);
+}
+
+// Entry endpoints lead into a piece (its start, a merge's branch or a crossing's
+// crossStart); the rest lead out
+export function isEntryEndpoint(def, which) {
+    return which === 'start' || which === 'crossStart' || (which === 'branch' && def.junction === 'merge');
+}
+
 // Calculate placement so piece's END meets a target connection point
 export function calcPlacementForEndAtTarget(targetPos, targetHeading, pieceType) {
     const localEnd = getLocalEndpoint(pieceType);
@@ -79,26 +125,37 @@ export function calcPlacementForEndAtTarget(targetPos, targetHeading, pieceType)
     return { position: piecePosition, heading: pieceHeading };
 }
 
-// Get both endpoints of a piece (start and end)
+// Get the endpoints of a piece (start and end, plus any extra ones for junctions and crossings)
 export function getPieceEndpoints(piece) {
     const startPos = piece.position.clone();
     const startHeading = piece.heading;
     const startElevation = piece.elevation || 0;
     startPos.y = startElevation * ELEVATION.HEIGHT_PER_LEVEL;
     const end = getPieceEndpoint(piece);
-    return {
+    const endpoints = {
         start: { position: startPos, heading: startHeading, elevation: startElevation },
         end: { position: end.position, heading: end.heading, elevation: end.elevation }
     };
+
+    const extras = getLocalExtraEndpoints(PIECE_DEFS[piece.type]);
+    for (const [which, local] of Object.entries(extras)) {
+        endpoints[which] = {
+            position: placeExtraEndpoint(local, startPos, piece.heading),
+            heading: piece.heading + local.heading,
+            elevation: startElevation + local.rise
+        };
+    }
+    return endpoints;
 }
 
-// Check if a placement would overlap with existing pieces or decorations
-export function checkPlacementValid(position, heading, pieceType, connectingTo = null, elevation = 0) {
+// Check if a placement would overlap with existing pieces or decorations. checkRug false
+// skips the pastel theme's rug bounds, for layouts that mustn't depend on the theme.
+export function checkPlacementValid(position, heading, pieceType, connectingTo = null, elevation = 0, checkRug = true) {
     const def = PIECE_DEFS[pieceType];
     if (!def) return false;
 
     // Reject placement outside rug bounds (pastel theme)
-    const rug = getRugBounds();
+    const rug = checkRug ? getRugBounds() : null;
     if (rug) {
         if (position.x < rug.minX || position.x > rug.maxX ||
             position.z < rug.minZ || position.z > rug.maxZ) {
@@ -112,6 +169,10 @@ export function checkPlacementValid(position, heading, pieceType, connectingTo =
     rotatedEnd.applyAxisAngle(new THREE.Vector3(0, 1, 0), heading);
     const newEnd = position.clone().add(rotatedEnd);
     const newMid = newStart.clone().add(newEnd).multiplyScalar(0.5);
+    const newMids = [newMid];
+    if (def.junction) newMids.push(getBranchMidpoint(def, position, heading));
+    const newPoints = [newStart, newEnd, ...Object.values(getLocalExtraEndpoints(def))
+        .map(local => placeExtraEndpoint(local, position, heading))];
 
     const newElevation = elevation;
     const newEndElevation = newElevation + (def.elevationDelta || 0);
@@ -131,24 +192,21 @@ export function checkPlacementValid(position, heading, pieceType, connectingTo =
         const existingEndpoint = getPieceEndpoint(piece);
         const existingEnd = existingEndpoint.position;
         const existingMid = existingStart.clone().add(existingEnd).multiplyScalar(0.5);
+        const existingMids = [existingMid];
+        if (pieceDef && pieceDef.junction) existingMids.push(getBranchMidpoint(pieceDef, piece.position, piece.heading));
 
-        const startToStart = newStart.distanceTo(existingStart);
-        const startToEnd = newStart.distanceTo(existingEnd);
-        const endToStart = newEnd.distanceTo(existingStart);
-        const endToEnd = newEnd.distanceTo(existingEnd);
-        const midToMid = newMid.distanceTo(existingMid);
+        // Touching at any endpoint (junction branches and crossing roads included) counts as a connection
+        const existingPoints = Object.values(getPieceEndpoints(piece)).map(endpoint => endpoint.position);
 
         const connectionThreshold = 5;
-        const hasValidConnection =
-            startToStart < connectionThreshold ||
-            startToEnd < connectionThreshold ||
-            endToStart < connectionThreshold ||
-            endToEnd < connectionThreshold;
+        const hasValidConnection = newPoints.some(point =>
+            existingPoints.some(other => point.distanceTo(other) < connectionThreshold));
 
         if (hasValidConnection) continue;
 
+        // Junction branches are checked like a piece of their own
         const overlapThreshold = 18;
-        if (midToMid < overlapThreshold) {
+        if (newMids.some(mid => existingMids.some(other => mid.distanceTo(other) < overlapThreshold))) {
             return false;
         }
     }
@@ -230,32 +288,19 @@ export function getConnectedEndpoints() {
     const connectionThreshold = 5;
 
     for (let i = 0; i < state.placedPieces.length; i++) {
-        connectedPoints.set(i, { startConnected: false, endConnected: false });
+        connectedPoints.set(i, { startConnected: false, endConnected: false, branchConnected: false });
     }
 
-    for (let i = 0; i < state.placedPieces.length; i++) {
-        const pieceA = state.placedPieces[i];
-        const endpointsA = getPieceEndpoints(pieceA);
-
-        for (let j = i + 1; j < state.placedPieces.length; j++) {
-            const pieceB = state.placedPieces[j];
-            const endpointsB = getPieceEndpoints(pieceB);
-
-            if (endpointsA.start.position.distanceTo(endpointsB.start.position) < connectionThreshold) {
-                connectedPoints.get(i).startConnected = true;
-                connectedPoints.get(j).startConnected = true;
-            }
-            if (endpointsA.start.position.distanceTo(endpointsB.end.position) < connectionThreshold) {
-                connectedPoints.get(i).startConnected = true;
-                connectedPoints.get(j).endConnected = true;
-            }
-            if (endpointsA.end.position.distanceTo(endpointsB.start.position) < connectionThreshold) {
-                connectedPoints.get(i).endConnected = true;
-                connectedPoints.get(j).startConnected = true;
-            }
-            if (endpointsA.end.position.distanceTo(endpointsB.end.position) < connectionThreshold) {
-                connectedPoints.get(i).endConnected = true;
-                connectedPoints.get(j).endConnected = true;
+    const endpoints = state.placedPieces.map(piece => getPieceEndpoints(piece));
+    for (let i = 0; i < endpoints.length; i++) {
+        for (let j = i + 1; j < endpoints.length; j++) {
+            for (const a of Object.keys(endpoints[i])) {
+                for (const b of Object.keys(endpoints[j])) {
+                    if (endpoints[i][a].position.distanceTo(endpoints[j][b].position) < connectionThreshold) {
+                        connectedPoints.get(i)[a + 'Connected'] = true;
+                        connectedPoints.get(j)[b + 'Connected'] = true;
+                    }
+                }
             }
         }
     }
@@ -271,6 +316,82 @@ function computeRotatedEnd(pieceType, heading) {
     return rotEnd;
 }
 
+// Snaps onto one of their exits (an end, or a fork's branch)
+function addExitSnaps(allSnaps, endpoint, piece, distance, localEnd, ourDelta) {
+    // OUR START to THEIR END: our elevation = their end elevation
+    const elevAB = endpoint.elevation;
+    const endElevAB = elevAB + ourDelta;
+    if (elevAB >= ELEVATION.MIN_LEVEL && elevAB <= ELEVATION.MAX_LEVEL &&
+        endElevAB >= ELEVATION.MIN_LEVEL && endElevAB <= ELEVATION.MAX_LEVEL) {
+        const posAB = endpoint.position.clone();
+        posAB.y = elevAB * ELEVATION.HEIGHT_PER_LEVEL;
+        allSnaps.push({
+            position: posAB,
+            heading: endpoint.heading,
+            type: 'our-start-to-their-end',
+            distance,
+            piece,
+            elevation: elevAB
+        });
+    }
+
+    // OUR END to THEIR END: our end elevation = their end elevation, so our start = their end - delta
+    const elevBB = endpoint.elevation - ourDelta;
+    if (elevBB >= ELEVATION.MIN_LEVEL && elevBB <= ELEVATION.MAX_LEVEL &&
+        endpoint.elevation >= ELEVATION.MIN_LEVEL && endpoint.elevation <= ELEVATION.MAX_LEVEL) {
+        const headingBB = endpoint.heading + Math.PI - localEnd.heading;
+        const rotEndBB = computeRotatedEnd(state.dragPieceType, headingBB);
+        const posBB = endpoint.position.clone().sub(rotEndBB);
+        posBB.y = elevBB * ELEVATION.HEIGHT_PER_LEVEL;
+        allSnaps.push({
+            position: posBB,
+            heading: headingBB,
+            type: 'our-end-to-their-end',
+            distance,
+            piece,
+            elevation: elevBB
+        });
+    }
+}
+
+// Snaps onto one of their entries (a start, or a merge's branch)
+function addEntrySnaps(allSnaps, endpoint, piece, distance, localEnd, ourDelta) {
+    // OUR END to THEIR START: our end elevation = their start elevation, so our start = their start - delta
+    const elevBA = endpoint.elevation - ourDelta;
+    if (elevBA >= ELEVATION.MIN_LEVEL && elevBA <= ELEVATION.MAX_LEVEL &&
+        endpoint.elevation >= ELEVATION.MIN_LEVEL && endpoint.elevation <= ELEVATION.MAX_LEVEL) {
+        const headingBA = endpoint.heading - localEnd.heading;
+        const rotEndBA = computeRotatedEnd(state.dragPieceType, headingBA);
+        const posBA = endpoint.position.clone().sub(rotEndBA);
+        posBA.y = elevBA * ELEVATION.HEIGHT_PER_LEVEL;
+        allSnaps.push({
+            position: posBA,
+            heading: headingBA,
+            type: 'our-end-to-their-start',
+            distance,
+            piece,
+            elevation: elevBA
+        });
+    }
+
+    // OUR START to THEIR START: our elevation = their start elevation
+    const elevAA = endpoint.elevation;
+    const endElevAA = elevAA + ourDelta;
+    if (elevAA >= ELEVATION.MIN_LEVEL && elevAA <= ELEVATION.MAX_LEVEL &&
+        endElevAA >= ELEVATION.MIN_LEVEL && endElevAA <= ELEVATION.MAX_LEVEL) {
+        const posAA = endpoint.position.clone();
+        posAA.y = elevAA * ELEVATION.HEIGHT_PER_LEVEL;
+        allSnaps.push({
+            position: posAA,
+            heading: endpoint.heading + Math.PI,
+            type: 'our-start-to-their-start',
+            distance,
+            piece,
+            elevation: elevAA
+        });
+    }
+}
+
 // Find snap point for connecting pieces (auto-orients to track direction)
 export function findSnapPoint(mousePos, userRotation) {
     const snapDistance = 25;
@@ -286,89 +407,18 @@ export function findSnapPoint(mousePos, userRotation) {
     for (let i = 0; i < state.placedPieces.length; i++) {
         const piece = state.placedPieces[i];
         const theirEndpoints = getPieceEndpoints(piece);
-        const connected = connectedPoints.get(i) || { startConnected: false, endConnected: false };
-
-        // Check mouse near THEIR END (use XZ distance for snap detection so elevation doesn't interfere)
-        if (!connected.endConnected) {
-            const dist2D = new THREE.Vector2(mousePos.x - theirEndpoints.end.position.x, mousePos.z - theirEndpoints.end.position.z).length();
-            if (dist2D < snapDistance) {
-                // OUR START to THEIR END: our elevation = their end elevation
-                const elevAB = theirEndpoints.end.elevation;
-                const endElevAB = elevAB + ourDelta;
-                if (elevAB >= ELEVATION.MIN_LEVEL && elevAB <= ELEVATION.MAX_LEVEL &&
-                    endElevAB >= ELEVATION.MIN_LEVEL && endElevAB <= ELEVATION.MAX_LEVEL) {
-                    const headingAB = theirEndpoints.end.heading;
-                    const posAB = theirEndpoints.end.position.clone();
-                    posAB.y = elevAB * ELEVATION.HEIGHT_PER_LEVEL;
-                    allSnaps.push({
-                        position: posAB,
-                        heading: headingAB,
-                        type: 'our-start-to-their-end',
-                        distance: dist2D,
-                        piece: piece,
-                        elevation: elevAB
-                    });
-                }
-
-                // OUR END to THEIR END: our end elevation = their end elevation, so our start = their end - delta
-                const elevBB = theirEndpoints.end.elevation - ourDelta;
-                if (elevBB >= ELEVATION.MIN_LEVEL && elevBB <= ELEVATION.MAX_LEVEL &&
-                    theirEndpoints.end.elevation >= ELEVATION.MIN_LEVEL && theirEndpoints.end.elevation <= ELEVATION.MAX_LEVEL) {
-                    const headingBB = theirEndpoints.end.heading + Math.PI - localEnd.heading;
-                    const rotEndBB = computeRotatedEnd(state.dragPieceType, headingBB);
-                    const posBB = theirEndpoints.end.position.clone().sub(rotEndBB);
-                    posBB.y = elevBB * ELEVATION.HEIGHT_PER_LEVEL;
-                    allSnaps.push({
-                        position: posBB,
-                        heading: headingBB,
-                        type: 'our-end-to-their-end',
-                        distance: dist2D,
-                        piece: piece,
-                        elevation: elevBB
-                    });
-                }
-            }
-        }
+        const connected = connectedPoints.get(i) || {};
 
-        // Check mouse near THEIR START
-        if (!connected.startConnected) {
-            const dist2D = new THREE.Vector2(mousePos.x - theirEndpoints.start.position.x, mousePos.z - theirEndpoints.start.position.z).length();
-            if (dist2D < snapDistance) {
-                // OUR END to THEIR START: our end elevation = their start elevation, so our start = their start - delta
-                const elevBA = theirEndpoints.start.elevation - ourDelta;
-                if (elevBA >= ELEVATION.MIN_LEVEL && elevBA <= ELEVATION.MAX_LEVEL &&
-                    theirEndpoints.start.elevation >= ELEVATION.MIN_LEVEL && theirEndpoints.start.elevation <= ELEVATION.MAX_LEVEL) {
-                    const headingBA = theirEndpoints.start.heading - localEnd.heading;
-                    const rotEndBA = computeRotatedEnd(state.dragPieceType, headingBA);
-                    const posBA = theirEndpoints.start.position.clone().sub(rotEndBA);
-                    posBA.y = elevBA * ELEVATION.HEIGHT_PER_LEVEL;
-                    allSnaps.push({
-                        position: posBA,
-                        heading: headingBA,
-                        type: 'our-end-to-their-start',
-                        distance: dist2D,
-                        piece: piece,
-                        elevation: elevBA
-                    });
-                }
+        // Open ends only (use XZ distance for snap detection so elevation doesn't interfere)
+        for (const [which, endpoint] of Object.entries(theirEndpoints)) {
+            if (connected[which + 'Connected']) continue;
+            const dist2D = new THREE.Vector2(mousePos.x - endpoint.position.x, mousePos.z - endpoint.position.z).length();
+            if (dist2D >= snapDistance) continue;
 
-                // OUR START to THEIR START: our elevation = their start elevation
-                const elevAA = theirEndpoints.start.elevation;
-                const endElevAA = elevAA + ourDelta;
-                if (elevAA >= ELEVATION.MIN_LEVEL && elevAA <= ELEVATION.MAX_LEVEL &&
-                    endElevAA >= ELEVATION.MIN_LEVEL && endElevAA <= ELEVATION.MAX_LEVEL) {
-                    const headingAA = theirEndpoints.start.heading + Math.PI;
-                    const posAA = theirEndpoints.start.position.clone();
-                    posAA.y = elevAA * ELEVATION.HEIGHT_PER_LEVEL;
-                    allSnaps.push({
-                        position: posAA,
-                        heading: headingAA,
-                        type: 'our-start-to-their-start',
-                        distance: dist2D,
-                        piece: piece,
-                        elevation: elevAA
-                    });
-                }
+            if (isEntryEndpoint(PIECE_DEFS[piece.type], which)) {
+                addEntrySnaps(allSnaps, endpoint, piece, dist2D, localEnd, ourDelta);
+            } else {
+                addExitSnaps(allSnaps, endpoint, piece, dist2D, localEnd, ourDelta);
             }
         }
     }
@@ -467,6 +517,16 @@ function addEndpointMarkers(piece) {
     scene.add(endMarker);
 
     piece.endpointMarkers = [startMarker, endMarker];
+
+    const endpoints = getPieceEndpoints(piece);
+    Object.keys(endpoints).filter(which => which !== 'start' && which !== 'end').forEach(which => {
+        const extra = endpoints[which];
+        const extraMarker = createEndpointMarker(0x4488ff); // blue = junction branch or crossing road
+        extraMarker.position.copy(extra.position);
+        extraMarker.position.y += 1.5;
+        scene.add(extraMarker);
+        piece.endpointMarkers.push(extraMarker);
+    });
 }
 
 // Remove endpoint markers from a piece
@@ -558,6 +618,16 @@ function addSupportPillars(group, def, elevation, worldPosition, worldHeading) {
         group.add(pillar);
     }
 
+    // Flyover deck: pillars either side of the road underneath, at the deck's corners
+    if (def.crossElevation) {
+        const deckY = elevationY + def.crossElevation * ELEVATION.HEIGHT_PER_LEVEL;
+        [-1, 1].forEach(side => {
+            [-1, 1].forEach(edge => {
+                placePillar(side * (width / 2 + 2), def.length / 2 + edge * (width / 2 - 1), deckY);
+            });
+        });
+    }
+
     if (def.curveAngle > 0) {
         const radius = def.curveRadius;
         const angle = def.curveAngle;
@@ -616,8 +686,8 @@ export function placePieceAt(type, position, heading, elevation = 0) {
     mesh.position.copy(position);
     mesh.rotation.y = heading;
 
-    // Add support pillars for elevated pieces
-    if (elevation > 0) {
+    // Add support pillars for elevated pieces and flyover decks
+    if (elevation > 0 || def.crossElevation) {
         addSupportPillars(mesh, def, elevation, position, heading);
     }
 
@@ -651,6 +721,12 @@ export function placePieceAt(type, position, heading, elevation = 0) {
     // addEndpointMarkers(piece);
 }
 
+// Paint a placed piece with a surface type, or pass null to restore its default
+export function setPieceSurface(piece, surface) {
+    piece.surface = surface || null;
+    applySurfaceOverlay(piece.mesh, piece.def, piece.surface);
+}
+
 // Check if a decoration placement is valid (doesn't overlap with track pieces)
 export function checkDecorationPlacementValid(position, heading, decorationType) {
     const decoData = DECORATION_DATA[decorationType];
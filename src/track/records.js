@@ -0,0 +1,87 @@
+// Personal records - best race time, best lap and top speed for every track raced,
+// keyed by layout id so a track keeps its records whatever it's saved as
+
+import * as state from '../state.js';
+import { getTrackId } from './serialize.js';
+
+const STORAGE_KEY = 'road-racer-records';
+
+// Stored as { [trackId]: { bestTimes: { [format]: seconds }, bestLap, topSpeed, pieceCount, races, lastRaced } }
+
+function loadAllRecords() {
+    try {
+        const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return data && typeof data === 'object' ? data : {};
+    } catch (e) {
+        console.warn('Ignoring saved records:', e.message);
+        return {};
+    }
+}
+
+// A full storage only costs the records, never the end of the race that set them
+function saveAllRecords(records) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+    } catch (e) {
+        console.warn('Could not save records:', e.message);
+    }
+}
+
+// Race times only compare between races of the same length; timed races have none
+function getRaceFormat(config = state.raceConfig) {
+    if (config.type === 'timed') return null;
+    if (config.type === 'elimination') return 'elimination';
+    if (state.raceMode === 'sprint') return 'sprint';
+    return `${config.laps} lap${config.laps === 1 ? '' : 's'}`;
+}
+
+// Record a finished race on the current track. Any value may be null (a DNF has no race time,
+// a sprint cut short no lap). Returns { previous, isNew }, each with raceTime, bestLap and topSpeed:
+// the bests before this race (null if none) and which of this race's values beat them.
+export function submitRaceRecords({ raceTime, bestLap, topSpeed }) {
+    const records = loadAllRecords();
+    const trackId = getTrackId();
+    const record = records[trackId] || { bestTimes: {}, bestLap: null, topSpeed: null, races: 0 };
+    const format = getRaceFormat();
+
+    const previous = {
+        raceTime: format && format in record.bestTimes ? record.bestTimes[format] : null,
+        bestLap: record.bestLap,
+        topSpeed: record.topSpeed
+    };
+    const isNew = {
+        raceTime: format !== null && raceTime !== null && (previous.raceTime === null || raceTime < previous.raceTime),
+        bestLap: bestLap !== null && (previous.bestLap === null || bestLap < previous.bestLap),
+        topSpeed: topSpeed > 0 && (previous.topSpeed === null || topSpeed > previous.topSpeed)
+    };
+
+    if (isNew.raceTime) record.bestTimes[format] = raceTime;
+    if (isNew.bestLap) record.bestLap = bestLap;
+    if (isNew.topSpeed) record.topSpeed = topSpeed;
+    record.pieceCount = state.placedPieces.length;
+    record.races++;
+    record.lastRaced = Date.now();
+
+    records[trackId] = record;
+    saveAllRecords(records);
+    return { previous, isNew };
+}
+
+// Every track raced, most recent first: [{ trackId, bestTimes, bestLap, topSpeed, pieceCount, races, lastRaced }]
+export function listRecords() {
+    const records = loadAllRecords();
+    return Object.keys(records)
+        .map(trackId => ({ trackId, ...records[trackId] }))
+        .sort((a, b) => (b.lastRaced || 0) - (a.lastRaced || 0));
+}
+
+// Forget one track's records, or every track's without an id
+export function clearRecords(trackId) {
+    if (trackId === undefined) {
+        localStorage.removeItem(STORAGE_KEY);
+        return;
+    }
+    const records = loadAllRecords();
+    delete records[trackId];
+    saveAllRecords(records);
+}
@@ -1,51 +1,405 @@
 import * as THREE from 'three';
-import { placedPieces } from '../state.js';
-import { placePieceAt } from './placement.js';
+import * as state from '../state.js';
+import { scene } from '../scene.js';
+import { ELEVATION, PIECE_DATA, DECORATION_DATA } from '../constants.js';
+import { SURFACE_TYPES } from './surfaces.js';
+import { placePieceAt, getPieceEndpoints, setPieceSurface } from './placement.js';
 import { clearTrack, updateTrackStatus } from './trackState.js';
+import { createDecoration } from './decorations.js';
+import { obstacles, originalObstacles, addObstacle, clearObstacles } from '../obstacles/obstacleState.js';
+import { createCrateMesh } from '../obstacles/obstacleMeshes.js';
+import { spawnObstacle } from '../obstacles/obstaclePhysics.js';
+import { getCurrentThemeName, setTheme } from '../theme/themeManager.js';
 
-const SAVE_VERSION = 1;
+// v1: pieces only (type, position, heading, surface)
+// v2: adds per-piece elevation, decorations, crates and the active theme
+const SAVE_VERSION = 2;
+const STORAGE_PREFIX = 'road-racer-track-';
+
+// Share codes: compact URL-safe track encoding for #track=... links
+// v1: 45° headings; v2: 15° headings so picker curves (15° steps) survive the trip
+const SHARE_CODE_VERSION = 2;
+const SHARE_GRID = 5;
+const SHARE_BYTES_PER_PIECE = 6;
+
+// Per version: headings per full turn, and bits of the packed byte they take
+// (elevation sits above them)
+const SHARE_HEADINGS = {
+    1: { steps: 8, bits: 3 },
+    2: { steps: 24, bits: 5 }
+};
+
+// Piece type table for share codes - append only, a type's index is its byte in shared links,
+// so new pieces (and new curve radii or angles) go on the end
+const SHARE_PIECE_TYPES = [
+    'start', 'straight-short', 'straight-long', 'straight-extra',
+    'curve-45', 'curve-90', 'curve-banked', 'curve-banked-180',
+    'jump-ramp', 'sand-pit', 'ice-section', 'boost-pad', 'loop',
+    'ramp', 'ramp-steep',
+    'fork-right', 'fork-left', 'merge-right', 'merge-left',
+    'crossing', 'crossing-bridge',
+    // Curve picker types, radius by radius, flat before banked (picker types the original
+    // curves already cover are left out)
+    'curve-r20-15', 'curve-r20-30', 'curve-r20-60', 'curve-r20-75', 'curve-r20-105', 'curve-r20-120',
+    'curve-r20-135', 'curve-r20-150', 'curve-r20-165', 'curve-r20-180',
+    'curve-banked-r20-15', 'curve-banked-r20-30', 'curve-banked-r20-45', 'curve-banked-r20-60', 'curve-banked-r20-75', 'curve-banked-r20-105',
+    'curve-banked-r20-120', 'curve-banked-r20-135', 'curve-banked-r20-150', 'curve-banked-r20-165',
+    'curve-r40-15', 'curve-r40-30', 'curve-r40-45', 'curve-r40-60', 'curve-r40-75', 'curve-r40-90',
+    'curve-r40-105', 'curve-r40-120', 'curve-r40-135', 'curve-r40-150', 'curve-r40-165', 'curve-r40-180',
+    'curve-banked-r40-15', 'curve-banked-r40-30', 'curve-banked-r40-45', 'curve-banked-r40-60', 'curve-banked-r40-75', 'curve-banked-r40-90',
+    'curve-banked-r40-105', 'curve-banked-r40-120', 'curve-banked-r40-135', 'curve-banked-r40-150', 'curve-banked-r40-165', 'curve-banked-r40-180',
+    'curve-r60-15', 'curve-r60-30', 'curve-r60-45', 'curve-r60-60', 'curve-r60-75', 'curve-r60-90',
+    'curve-r60-105', 'curve-r60-120', 'curve-r60-135', 'curve-r60-150', 'curve-r60-165', 'curve-r60-180',
+    'curve-banked-r60-15', 'curve-banked-r60-30', 'curve-banked-r60-45', 'curve-banked-r60-60', 'curve-banked-r60-75', 'curve-banked-r60-90',
+    'curve-banked-r60-105', 'curve-banked-r60-120', 'curve-banked-r60-135', 'curve-banked-r60-150', 'curve-banked-r60-165', 'curve-banked-r60-180',
+    // Pieces added since the curve picker
+    'finish'
+];
+
+function vecToJSON(v) {
+    return { x: v.x, y: v.y, z: v.z };
+}
+
+function vecFromJSON(v) {
+    return new THREE.Vector3(v.x, v.y, v.z);
+}
 
 // Serialize the current track to JSON
 export function serializeTrack() {
     return JSON.stringify({
         version: SAVE_VERSION,
-        pieces: placedPieces.map(piece => ({
+        theme: getCurrentThemeName(),
+        pieces: state.placedPieces.map(piece => ({
             type: piece.type,
-            position: { x: piece.position.x, y: piece.position.y, z: piece.position.z },
+            position: vecToJSON(piece.position),
             heading: piece.heading,
+            elevation: piece.elevation || 0,
             surface: piece.surface || null
+        })),
+        decorations: state.placedDecorations.map(deco => ({
+            type: deco.type,
+            position: vecToJSON(deco.position),
+            heading: deco.heading
+        })),
+        // Build-time crate layout, not wherever crates ended up after a race
+        obstacles: originalObstacles.map(obstacle => ({
+            type: obstacle.type,
+            position: vecToJSON(obstacle.position),
+            rotation: vecToJSON(obstacle.rotation)
         }))
     });
 }
 
-// Deserialize and rebuild track from JSON
-export function deserializeTrack(jsonString) {
-    const data = JSON.parse(jsonString);
+// Upgrade older save data to the current schema
+function migrateSave(data) {
+    if (data.version === 1) {
+        // v1 kept elevated pieces' height in position.y but never stored the level
+        data = {
+            version: 2,
+            theme: null,
+            pieces: data.pieces.map(piece => {
+                const y = piece && piece.position ? piece.position.y : 0;
+                return {
+                    ...piece,
+                    elevation: Number.isFinite(y) ? Math.max(0, Math.round(y / ELEVATION.HEIGHT_PER_LEVEL)) : 0
+                };
+            }),
+            decorations: [],
+            obstacles: []
+        };
+    }
+    return data;
+}
+
+function isFiniteVec(v) {
+    return !!v && Number.isFinite(v.x) && Number.isFinite(v.y) && Number.isFinite(v.z);
+}
+
+// Problems with a single piece entry (empty if it can be placed)
+function validatePiece(piece) {
+    const problems = [];
+    if (!piece || typeof piece !== 'object') return ['not an object'];
+    if (!PIECE_DATA[piece.type]) problems.push(`unknown piece type "${piece.type}"`);
+    if (!isFiniteVec(piece.position)) problems.push('invalid position');
+    if (!Number.isFinite(piece.heading)) problems.push('invalid heading');
+    if (piece.elevation !== undefined && !(Number.isInteger(piece.elevation) &&
+        piece.elevation >= ELEVATION.MIN_LEVEL && piece.elevation <= ELEVATION.MAX_LEVEL)) {
+        problems.push('invalid elevation');
+    }
+    if (piece.surface && !SURFACE_TYPES[piece.surface]) problems.push(`unknown surface "${piece.surface}"`);
+    return problems;
+}
+
+function validateDecoration(deco) {
+    const problems = [];
+    if (!deco || typeof deco !== 'object') return ['not an object'];
+    if (!DECORATION_DATA[deco.type]) problems.push(`unknown decoration type "${deco.type}"`);
+    if (!isFiniteVec(deco.position)) problems.push('invalid position');
+    if (!Number.isFinite(deco.heading)) problems.push('invalid heading');
+    return problems;
+}
+
+function validateObstacle(obstacle) {
+    const problems = [];
+    if (!obstacle || typeof obstacle !== 'object') return ['not an object'];
+    if (obstacle.type !== 'crate') problems.push(`unknown obstacle type "${obstacle.type}"`);
+    if (!isFiniteVec(obstacle.position)) problems.push('invalid position');
+    if (!isFiniteVec(obstacle.rotation)) problems.push('invalid rotation');
+    return problems;
+}
+
+// Keep the entries that pass, recording "<label> <index>: <problem>" for the rest
+function filterEntries(entries, validate, label, errors) {
+    if (!Array.isArray(entries)) return [];
+    return entries.filter((entry, index) => {
+        const problems = validate(entry);
+        problems.forEach(problem => errors.push(`${label} ${index}: ${problem}`));
+        return problems.length === 0;
+    });
+}
+
+// Parse and validate save JSON. Throws if the file can't be read at all;
+// otherwise returns the loadable entries plus a list of per-entry errors.
+export function parseTrack(jsonString) {
+    let data;
+    try {
+        data = JSON.parse(jsonString);
+    } catch (e) {
+        throw new Error('File is not valid JSON');
+    }
+    if (!data || typeof data !== 'object' || !Array.isArray(data.pieces)) {
+        throw new Error('File does not contain a track');
+    }
+
+    data = migrateSave(data);
     if (data.version !== SAVE_VERSION) {
         throw new Error(`Unsupported save version: ${data.version}`);
     }
 
+    // Only the first start piece can be placed; report the rest rather than drop them quietly
+    let hasStart = false;
+    const validateTrackPiece = piece => {
+        const problems = validatePiece(piece);
+        if (problems.length === 0 && PIECE_DATA[piece.type].isStart) {
+            if (hasStart) problems.push('extra start piece (a track has only one)');
+            hasStart = true;
+        }
+        return problems;
+    };
+
+    const errors = [];
+    const valid = {
+        version: data.version,
+        theme: typeof data.theme === 'string' ? data.theme : null,
+        pieces: filterEntries(data.pieces, validateTrackPiece, 'Piece', errors),
+        decorations: filterEntries(data.decorations, validateDecoration, 'Decoration', errors),
+        obstacles: filterEntries(data.obstacles, validateObstacle, 'Crate', errors)
+    };
+
+    return { data: valid, errors };
+}
+
+// Rebuild the track from already validated save data
+export function loadTrackData(data) {
     clearTrack();
+    // Crates belong to the previous layout
+    for (const obstacle of obstacles) {
+        if (obstacle.mesh) scene.remove(obstacle.mesh);
+    }
+    clearObstacles();
+
+    // Theme first so new meshes are built with the right materials
+    if (data.theme && data.theme !== getCurrentThemeName()) {
+        setTheme(data.theme);
+    }
 
     for (const pieceData of data.pieces) {
-        const position = new THREE.Vector3(pieceData.position.x, pieceData.position.y, pieceData.position.z);
-        placePieceAt(pieceData.type, position, pieceData.heading);
-        if (pieceData.surface) {
-            placedPieces[placedPieces.length - 1].surface = pieceData.surface;
+        const count = state.placedPieces.length;
+        placePieceAt(pieceData.type, vecFromJSON(pieceData.position), pieceData.heading, pieceData.elevation || 0);
+        // placePieceAt refuses a second start piece, which then has no surface to paint
+        if (pieceData.surface && state.placedPieces.length > count) {
+            setPieceSurface(state.placedPieces[count], pieceData.surface);
         }
     }
 
+    for (const decoData of data.decorations) {
+        const position = vecFromJSON(decoData.position);
+        const mesh = createDecoration(decoData.type);
+        mesh.position.copy(position);
+        mesh.rotation.y = decoData.heading;
+        scene.add(mesh);
+
+        state.placedDecorations.push({
+            type: decoData.type,
+            position: position,
+            heading: decoData.heading,
+            mesh: mesh
+        });
+        state.decorationElements.push(mesh);
+    }
+
+    for (const obstacleData of data.obstacles) {
+        const obstacle = spawnObstacle(obstacleData.type, vecFromJSON(obstacleData.position), obstacleData.rotation.y);
+        const mesh = createCrateMesh();
+        mesh.position.copy(obstacle.position);
+        mesh.rotation.y = obstacle.rotation.y;
+        scene.add(mesh);
+        obstacle.mesh = mesh;
+        addObstacle(obstacle);
+    }
+
     updateTrackStatus();
 }
 
-// Save to localStorage
+// Deserialize and rebuild track from JSON (invalid entries are skipped)
+export function deserializeTrack(jsonString) {
+    loadTrackData(parseTrack(jsonString).data);
+}
+
+// Encode the current pieces as a share code. Per piece: type index (1 byte),
+// grid x/z (int16 each) and a byte packing the 15° heading index and elevation.
+export function encodeShareCode() {
+    const pieces = state.placedPieces.filter(piece => SHARE_PIECE_TYPES.includes(piece.type));
+    const bytes = new Uint8Array(1 + pieces.length * SHARE_BYTES_PER_PIECE);
+    const view = new DataView(bytes.buffer);
+    view.setUint8(0, SHARE_CODE_VERSION);
+    const { steps, bits } = SHARE_HEADINGS[SHARE_CODE_VERSION];
+
+    pieces.forEach((piece, i) => {
+        const offset = 1 + i * SHARE_BYTES_PER_PIECE;
+        const headingIndex = ((Math.round(piece.heading / (2 * Math.PI / steps)) % steps) + steps) % steps;
+        view.setUint8(offset, SHARE_PIECE_TYPES.indexOf(piece.type));
+        view.setInt16(offset + 1, Math.round(piece.position.x / SHARE_GRID));
+        view.setInt16(offset + 3, Math.round(piece.position.z / SHARE_GRID));
+        view.setUint8(offset + 5, headingIndex | ((piece.elevation || 0) << bits));
+    });
+
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Decode a share code into save-format pieces. Throws on a malformed code.
+export function decodeShareCode(code) {
+    let binary;
+    try {
+        binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+    } catch (e) {
+        throw new Error('Share code is not valid');
+    }
+
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    if (bytes.length < 1 || (bytes.length - 1) % SHARE_BYTES_PER_PIECE !== 0) {
+        throw new Error('Share code is not valid');
+    }
+    const view = new DataView(bytes.buffer);
+    const headings = SHARE_HEADINGS[view.getUint8(0)];
+    if (!headings) {
+        throw new Error(`Unsupported share code version: ${view.getUint8(0)}`);
+    }
+
+    const pieces = [];
+    for (let offset = 1; offset < bytes.length; offset += SHARE_BYTES_PER_PIECE) {
+        const type = SHARE_PIECE_TYPES[view.getUint8(offset)];
+        if (!type) throw new Error(`Unknown piece in share code at index ${pieces.length}`);
+        const packed = view.getUint8(offset + 5);
+        const piece = {
+            type,
+            position: new THREE.Vector3(view.getInt16(offset + 1) * SHARE_GRID, 0, view.getInt16(offset + 3) * SHARE_GRID),
+            heading: (packed & ((1 << headings.bits) - 1)) * (2 * Math.PI / headings.steps),
+            elevation: Math.min(packed >> headings.bits, ELEVATION.MAX_LEVEL)
+        };
+        snapToNeighbour(piece, pieces);
+        pieces.push(piece);
+    }
+
+    return pieces.map(piece => ({
+        type: piece.type,
+        position: vecToJSON(piece.position),
+        heading: piece.heading,
+        elevation: piece.elevation
+    }));
+}
+
+// Pieces after most curves sit off the grid, so grid quantization leaves small gaps.
+// Pull the piece onto the exact endpoint of an already decoded neighbour it meets.
+function snapToNeighbour(piece, decoded) {
+    const own = getPieceEndpoints(piece);
+    const offsetTo = (target, from) => new THREE.Vector3().subVectors(target, from).setY(0);
+
+    // Prefer continuing from the most recently decoded piece's end
+    for (let i = decoded.length - 1; i >= 0; i--) {
+        const offset = offsetTo(getPieceEndpoints(decoded[i]).end.position, own.start.position);
+        if (offset.length() < SHARE_GRID) {
+            piece.position.add(offset);
+            return;
+        }
+    }
+
+    // Otherwise it may lead into a piece that was built before it
+    for (let i = decoded.length - 1; i >= 0; i--) {
+        const offset = offsetTo(getPieceEndpoints(decoded[i]).start.position, own.end.position);
+        if (offset.length() < SHARE_GRID) {
+            piece.position.add(offset);
+            return;
+        }
+    }
+}
+
+// Load a track from a share code, replacing the current build
+export function loadShareCode(code) {
+    loadTrackData({ theme: null, pieces: decodeShareCode(code), decorations: [], obstacles: [] });
+}
+
+// Share code from a #track=... location hash, or null
+export function getShareCodeFromHash(hash = window.location.hash) {
+    const match = hash.match(/^#track=([A-Za-z0-9_-]+)$/);
+    return match ? match[1] : null;
+}
+
+// Short id for a piece layout, to keep data such as ghost laps and records per track.
+// Pieces are rounded as in share codes and sorted, so neither the track's name nor the
+// order it was built in matter. FNV-1a hash; works on placed or saved pieces.
+export function getLayoutId(pieces) {
+    const { steps } = SHARE_HEADINGS[SHARE_CODE_VERSION];
+    const layout = pieces.map(piece => {
+        const headingIndex = ((Math.round(piece.heading / (2 * Math.PI / steps)) % steps) + steps) % steps;
+        const x = Math.round(piece.position.x / SHARE_GRID);
+        const z = Math.round(piece.position.z / SHARE_GRID);
+        return `${piece.type}:${x}:${z}:${headingIndex}:${piece.elevation || 0}`;
+    }).sort().join('|');
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < layout.length; i++) {
+        hash ^= layout.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Id of the layout being built or raced
+export function getTrackId() {
+    return getLayoutId(state.placedPieces);
+}
+
+// Full page URL that opens the current track
+export function getShareUrl() {
+    const url = new URL(window.location.href);
+    url.hash = 'track=' + encodeShareCode();
+    return url.toString();
+}
+
+// Save to localStorage (library metadata is stored alongside the track data)
 export function saveToLocalStorage(name = 'default') {
-    localStorage.setItem(`road-racer-track-${name}`, serializeTrack());
+    const data = JSON.parse(serializeTrack());
+    data.savedAt = Date.now();
+    data.closed = state.trackClosed;
+    localStorage.setItem(STORAGE_PREFIX + name, JSON.stringify(data));
 }
 
 // Load from localStorage
 export function loadFromLocalStorage(name = 'default') {
-    const data = localStorage.getItem(`road-racer-track-${name}`);
+    const data = localStorage.getItem(STORAGE_PREFIX + name);
     if (!data) throw new Error(`No saved track: ${name}`);
     deserializeTrack(data);
 }
@@ -53,8 +407,62 @@ export function loadFromLocalStorage(name = 'default') {
 // List saved tracks
 export function listSavedTracks() {
     return Object.keys(localStorage)
-        .filter(k => k.startsWith('road-racer-track-'))
-        .map(k => k.replace('road-racer-track-', ''));
+        .filter(k => k.startsWith(STORAGE_PREFIX))
+        .map(k => k.replace(STORAGE_PREFIX, ''));
+}
+
+// Check whether a track name is already taken
+export function hasSavedTrack(name) {
+    return localStorage.getItem(STORAGE_PREFIX + name) !== null;
+}
+
+// Summary of a saved track for the library list (null if the entry is unreadable)
+export function getSavedTrackInfo(name) {
+    try {
+        const data = JSON.parse(localStorage.getItem(STORAGE_PREFIX + name));
+        const pieces = Array.isArray(data.pieces) ? data.pieces : [];
+        // Same pieces a load would place, so the id matches the track once loaded
+        const loadable = pieces.length > 0 ? migrateSave(data).pieces.filter(piece => validatePiece(piece).length === 0) : [];
+        return {
+            name,
+            pieceCount: pieces.length,
+            savedAt: data.savedAt || null,
+            closed: !!data.closed,
+            layoutId: getLayoutId(loadable)
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+// Rename a saved track, keeping its contents and timestamp
+export function renameSavedTrack(oldName, newName) {
+    const data = localStorage.getItem(STORAGE_PREFIX + oldName);
+    if (!data) throw new Error(`No saved track: ${oldName}`);
+    if (hasSavedTrack(newName)) throw new Error(`A track named "${newName}" already exists`);
+    localStorage.setItem(STORAGE_PREFIX + newName, data);
+    localStorage.removeItem(STORAGE_PREFIX + oldName);
+}
+
+// Copy a saved track under the first free "<name> copy" name, returns the new name
+export function duplicateSavedTrack(name) {
+    const raw = localStorage.getItem(STORAGE_PREFIX + name);
+    if (!raw) throw new Error(`No saved track: ${name}`);
+
+    let copyName = `${name} copy`;
+    for (let n = 2; hasSavedTrack(copyName); n++) {
+        copyName = `${name} copy ${n}`;
+    }
+
+    const data = JSON.parse(raw);
+    data.savedAt = Date.now();
+    localStorage.setItem(STORAGE_PREFIX + copyName, JSON.stringify(data));
+    return copyName;
+}
+
+// Delete a saved track
+export function deleteSavedTrack(name) {
+    localStorage.removeItem(STORAGE_PREFIX + name);
 }
 
 // Export track as downloadable JSON file
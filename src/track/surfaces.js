@@ -1,3 +1,5 @@
+import { PHYSICS, PIECE_DATA, ELEVATION } from '../constants.js';
+
 // Surface property definitions for different track materials
 export const SURFACE_TYPES = {
     asphalt:  { friction: 0.98, speedMultiplier: 1.0,  color: 0x333333, name: 'Asphalt' },
@@ -11,6 +13,7 @@ export const SURFACE_TYPES = {
 // Default surface for each piece type
 export const PIECE_SURFACES = {
     'start': 'asphalt',
+    'finish': 'asphalt',
     'straight-short': 'asphalt',
     'straight-long': 'asphalt',
     'straight-extra': 'asphalt',
@@ -28,9 +31,58 @@ export function getPieceSurface(piece) {
     return SURFACE_TYPES[piece.surface || PIECE_SURFACES[piece.type] || 'asphalt'];
 }
 
-// Get surface properties at a world position (finds which piece the position is on)
-export function getSurfaceAtPosition(position, placedPieces, roadCurve) {
-    // TODO: Implement position-to-piece lookup
-    // For now, return default asphalt
-    return SURFACE_TYPES.asphalt;
+// Loops and boost pads keep their own behaviour and can't be painted, nor can junctions
+// or crossings (the overlay only follows a single road)
+export function canPaintPiece(type) {
+    const def = PIECE_DATA[type];
+    return !!def && def.obstacleType !== 'loop' && def.obstacleType !== 'boost' && !def.junction && !def.crossing;
+}
+
+// Find the placed piece whose road contains a world position (null if off-track).
+// Where pieces cross at different levels, the one closest in height wins.
+export function getPieceAtPosition(position, placedPieces) {
+    const halfWidth = PHYSICS.trackWidth;
+    let best = null;
+    let bestDy = ELEVATION.HEIGHT_PER_LEVEL;
+
+    for (const piece of placedPieces) {
+        const def = PIECE_DATA[piece.type];
+        if (!def) continue;
+
+        // World to piece-local (piece heading undone, start at origin, forward +Z)
+        const dx = position.x - piece.position.x;
+        const dz = position.z - piece.position.z;
+        const cos = Math.cos(piece.heading);
+        const sin = Math.sin(piece.heading);
+        const localX = dx * cos - dz * sin;
+        const localZ = dx * sin + dz * cos;
+
+        let t;
+        if (def.curveAngle > 0) {
+            const r = def.curveRadius;
+            const rx = def.direction > 0 ? localX + r : r - localX;
+            const angle = Math.atan2(localZ, rx);
+            if (angle < 0 || angle > def.curveAngle) continue;
+            if (Math.abs(Math.hypot(rx, localZ) - r) > halfWidth) continue;
+            t = angle / def.curveAngle;
+        } else {
+            if (localZ < 0 || localZ > def.length || Math.abs(localX) > halfWidth) continue;
+            t = localZ / def.length;
+        }
+
+        const baseY = ((piece.elevation || 0) + (def.elevationDelta || 0) * t) * ELEVATION.HEIGHT_PER_LEVEL;
+        const dy = Math.abs(position.y - baseY);
+        if (dy < bestDy) {
+            best = piece;
+            bestDy = dy;
+        }
+    }
+
+    return best;
+}
+
+// Get surface properties at a world position (asphalt when off-track)
+export function getSurfaceAtPosition(position, placedPieces) {
+    const piece = getPieceAtPosition(position, placedPieces);
+    return piece ? getPieceSurface(piece) : SURFACE_TYPES.asphalt;
 }
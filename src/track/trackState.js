@@ -1,44 +1,49 @@
 import * as THREE from 'three';
 import * as state from '../state.js';
 import { scene } from '../scene.js';
-import { getPieceEndpoint, getPieceEndpoints, removeEndpointMarkers } from './placement.js';
-import { PIECE_DEFS } from './pieces.js';
+import { getPieceEndpoint, getPieceEndpoints, isEntryEndpoint, removeEndpointMarkers } from './placement.js';
+import { PIECE_DEFS, applySurfaceOverlay, getJunctionPoint, getBankedCurveLayout } from './pieces.js';
 import { PHYSICS, ELEVATION } from '../constants.js';
 import { poofParticles } from '../effects/particles.js';
 
-// Build a connection map that tracks which endpoint connects to which
+// Endpoints closer than this count as joined
+const SNAP_DISTANCE = 8;
+
+// Open ends closer than this (but outside the snap) are reported as near misses
+const NEAR_MISS_DISTANCE = 16;
+
+// Pieces whose midpoints are closer than this overlap (matches placement checks)
+const OVERLAP_DISTANCE = 18;
+
+// Most distinct laps followed through fork/merge junctions
+const MAX_ROUTES = 8;
+
+// Crossings drive straight through on whichever road they were entered by
+const CROSSING_EXITS = { start: 'end', end: 'start', crossStart: 'crossEnd', crossEnd: 'crossStart' };
+
+let statusCallbacks = [];
+
+// Build a connection map that tracks which endpoint connects to which.
+// Each entry has startConnectedTo, endConnectedTo, branchConnectedTo (junctions only)
+// and crossStartConnectedTo/crossEndConnectedTo (crossings only).
 function buildConnectionMap() {
-    const snapDistance = 8;
+    const snapDistance = SNAP_DISTANCE;
     const connections = state.placedPieces.map(() => ({
         startConnectedTo: null, // { index, endpoint }
-        endConnectedTo: null    // { index, endpoint }
+        endConnectedTo: null,   // { index, endpoint }
+        branchConnectedTo: null // { index, endpoint }
     }));
-
-    for (let i = 0; i < state.placedPieces.length; i++) {
-        const endpointsA = getPieceEndpoints(state.placedPieces[i]);
-
-        for (let j = i + 1; j < state.placedPieces.length; j++) {
-            const endpointsB = getPieceEndpoints(state.placedPieces[j]);
-
-            // A.end <-> B.start
-            if (endpointsA.end.position.distanceTo(endpointsB.start.position) < snapDistance) {
-                connections[i].endConnectedTo = { index: j, endpoint: 'start' };
-                connections[j].startConnectedTo = { index: i, endpoint: 'end' };
-            }
-            // A.end <-> B.end
-            if (endpointsA.end.position.distanceTo(endpointsB.end.position) < snapDistance) {
-                connections[i].endConnectedTo = { index: j, endpoint: 'end' };
-                connections[j].endConnectedTo = { index: i, endpoint: 'end' };
-            }
-            // A.start <-> B.start
-            if (endpointsA.start.position.distanceTo(endpointsB.start.position) < snapDistance) {
-                connections[i].startConnectedTo = { index: j, endpoint: 'start' };
-                connections[j].startConnectedTo = { index: i, endpoint: 'start' };
-            }
-            // A.start <-> B.end
-            if (endpointsA.start.position.distanceTo(endpointsB.end.position) < snapDistance) {
-                connections[i].startConnectedTo = { index: j, endpoint: 'end' };
-                connections[j].endConnectedTo = { index: i, endpoint: 'start' };
+    const endpoints = state.placedPieces.map(piece => getPieceEndpoints(piece));
+
+    for (let i = 0; i < endpoints.length; i++) {
+        for (let j = i + 1; j < endpoints.length; j++) {
+            for (const a of Object.keys(endpoints[i])) {
+                for (const b of Object.keys(endpoints[j])) {
+                    if (endpoints[i][a].position.distanceTo(endpoints[j][b].position) < snapDistance) {
+                        connections[i][a + 'ConnectedTo'] = { index: j, endpoint: b };
+                        connections[j][b + 'ConnectedTo'] = { index: i, endpoint: a };
+                    }
+                }
             }
         }
     }
@@ -46,27 +51,59 @@ function buildConnectionMap() {
     return connections;
 }
 
+// Endpoints a car can leave through after entering a piece through one, main line first.
+// Driving a fork backwards makes it a merge and vice versa.
+function getExits(def, entered) {
+    if (def.crossing) return [CROSSING_EXITS[entered]];
+    if (!def.junction) return [entered === 'start' ? 'end' : 'start'];
+
+    const entering = isEntryEndpoint(def, entered);
+    return ['end', 'start', 'branch'].filter(which =>
+        which !== entered && isEntryEndpoint(def, which) !== entering);
+}
+
+// Route entry for a piece driven from one endpoint to another
+function makeEntry(piece, entered, exit) {
+    return {
+        piece,
+        reversed: !isEntryEndpoint(piece.def, entered),
+        path: getPath(entered),
+        exit
+    };
+}
+
+// Which of a piece's roads an endpoint belongs to
+function getPath(which) {
+    if (which === 'branch') return 'branch';
+    return which === 'crossStart' || which === 'crossEnd' ? 'cross' : 'main';
+}
+
+// Crossings carry two separate roads, so a lap may drive through one twice
+function getVisitKey(index, entered) {
+    return state.placedPieces[index].def.crossing ? index + ':' + getPath(entered) : index;
+}
+
 // Traverse the track from the start piece, returning ordered pieces with direction
-// Each entry: { piece, reversed } where reversed means entered through end
-function traverseTrack(connections) {
+// Each entry: { piece, reversed, path, exit } where reversed means driven against the
+// piece's direction and path is the junction line or crossing road taken ('main' elsewhere).
+// Entering the start piece through 'end' walks the track backwards.
+// Junctions always carry on along the main line; see findRoutes for every lap.
+function traverseTrack(connections, startEntry = 'start') {
     const startPieceIndex = state.placedPieces.findIndex(p => p.type === 'start');
     if (startPieceIndex === -1) return null;
 
     const ordered = [];
     const visited = new Set();
     let current = startPieceIndex;
-    let enteringThrough = 'start';
-
-    while (!visited.has(current)) {
-        visited.add(current);
-        const reversed = enteringThrough === 'end';
-        ordered.push({ piece: state.placedPieces[current], reversed });
+    let enteringThrough = startEntry;
 
-        const exitEndpoint = reversed ? 'start' : 'end';
-        const connection = exitEndpoint === 'end'
-            ? connections[current].endConnectedTo
-            : connections[current].startConnectedTo;
+    while (!visited.has(getVisitKey(current, enteringThrough))) {
+        visited.add(getVisitKey(current, enteringThrough));
+        const piece = state.placedPieces[current];
+        const exitEndpoint = getExits(piece.def, enteringThrough)[0];
+        ordered.push(makeEntry(piece, enteringThrough, exitEndpoint));
 
+        const connection = connections[current][exitEndpoint + 'ConnectedTo'];
         if (!connection) return { ordered, closed: false };
 
         if (connection.index === startPieceIndex && visited.size >= 3) {
@@ -80,25 +117,310 @@ function traverseTrack(connections) {
     return { ordered, closed: false };
 }
 
-// Check if track forms a closed loop
+// Every closed lap from the start line, following both ways at each junction.
+// Routes are lists of traverseTrack entries; the all-main-line lap (if closed) comes first.
+// With toFinish, every sprint from the start line to a finish piece driven forwards instead.
+function findRoutes(connections, toFinish = false) {
+    const startPieceIndex = state.placedPieces.findIndex(p => p.type === 'start');
+    if (startPieceIndex === -1) return [];
+
+    const routes = [];
+    const ordered = [];
+    const visited = new Set();
+
+    function follow(current, enteringThrough) {
+        visited.add(getVisitKey(current, enteringThrough));
+        const piece = state.placedPieces[current];
+
+        if (toFinish && piece.def.isFinish && enteringThrough === 'start') {
+            if (routes.length < MAX_ROUTES) routes.push([...ordered, makeEntry(piece, 'start', 'end')]);
+            visited.delete(getVisitKey(current, enteringThrough));
+            return;
+        }
+
+        for (const exitEndpoint of getExits(piece.def, enteringThrough)) {
+            if (routes.length >= MAX_ROUTES) break;
+            ordered.push(makeEntry(piece, enteringThrough, exitEndpoint));
+
+            const connection = connections[current][exitEndpoint + 'ConnectedTo'];
+            if (connection) {
+                if (connection.index === startPieceIndex && visited.size >= 3) {
+                    if (!toFinish) routes.push(ordered.slice());
+                } else if (!visited.has(getVisitKey(connection.index, connection.endpoint))) {
+                    follow(connection.index, connection.endpoint);
+                }
+            }
+            ordered.pop();
+        }
+
+        visited.delete(getVisitKey(current, enteringThrough));
+    }
+
+    follow(startPieceIndex, 'start');
+    return routes;
+}
+
+// Check if track forms a closed loop (any route around counts)
 export function checkTrackClosed() {
     if (state.placedPieces.length < 3 || !state.hasStart) return false;
 
+    return findRoutes(buildConnectionMap()).length > 0;
+}
+
+// Check if the start line leads to a finish piece for a point-to-point sprint
+export function checkSprintReady() {
+    if (!state.hasStart) return false;
+
+    return findRoutes(buildConnectionMap(), true).length > 0;
+}
+
+// Where the last traversed piece leads out: position, travel heading and elevation,
+// or null if it's already joined to something
+function getTraversalExit(connections, result) {
+    const last = result.ordered[result.ordered.length - 1];
+    const index = state.placedPieces.indexOf(last.piece);
+    if (connections[index][last.exit + 'ConnectedTo']) return null;
+
+    const endpoint = getPieceEndpoints(last.piece)[last.exit];
+    return {
+        position: endpoint.position,
+        // Leaving through an entry (a start, or a merge's branch) means driving against its heading
+        heading: isEntryEndpoint(last.piece.def, last.exit) ? endpoint.heading + Math.PI : endpoint.heading,
+        elevation: endpoint.elevation,
+        piece: last.piece
+    };
+}
+
+// The single gap in an open track: where the lap from the start runs out, and the
+// open end it has to reach driving into it. Null if closed or not one simple chain.
+export function findTrackGap() {
+    if (!state.hasStart || state.trackClosed) return null;
+
     const connections = buildConnectionMap();
-    const result = traverseTrack(connections);
-    return result ? result.closed : false;
+    const forward = traverseTrack(connections, 'start');
+    const backward = traverseTrack(connections, 'end');
+    if (!forward || forward.closed || !backward || backward.closed) return null;
+
+    const from = getTraversalExit(connections, forward);
+    const to = getTraversalExit(connections, backward);
+    if (!from || !to) return null;
+
+    // Arrive travelling into the backward chain, opposite to its outward direction
+    to.heading += Math.PI;
+    return { from, to };
 }
 
 // Update track status display
 export function updateTrackStatus() {
     state.setTrackClosed(checkTrackClosed());
+    // A closed loop races laps even if it has a finish piece on it
+    state.setRaceMode(state.trackClosed ? 'circuit' : checkSprintReady() ? 'sprint' : null);
     updateRampConnections();
 
     // Show/hide race button based on track validity
     const raceBtn = document.getElementById('race-btn');
-    const isTrackReady = state.trackClosed && state.hasStart;
+    const isTrackReady = state.raceMode !== null && state.hasStart;
     raceBtn.style.display = isTrackReady ? 'block' : 'none';
     raceBtn.disabled = !isTrackReady;
+
+    statusCallbacks.forEach(callback => callback());
+}
+
+// Subscribe to track changes (fires after every updateTrackStatus)
+export function onTrackStatusChange(callback) {
+    statusCallbacks.push(callback);
+    return () => {
+        statusCallbacks = statusCallbacks.filter(cb => cb !== callback);
+    };
+}
+
+// ==================== RACE PROGRESS ====================
+
+// Track distance from the start of a curve to parameter t. Curve parameters aren't spread
+// evenly over distance (pieces differ in length), so this goes through the arc lengths.
+function getDistanceAlong(curve, t) {
+    const lengths = curve.getLengths();
+    const divisions = lengths.length - 1;
+    const position = Math.max(0, Math.min(1, t)) * divisions;
+    const i = Math.min(Math.floor(position), divisions - 1);
+    return lengths[i] + (lengths[i + 1] - lengths[i]) * (position - i);
+}
+
+// Track distance from a route's sprint finish line to a fraction along it (negative before the line)
+function getFinishOffset(trackPosition, routeIndex) {
+    const route = state.trackRoutes[routeIndex] || state.trackRoutes[0];
+    if (!route) return 0;
+    return getDistanceAlong(route.curve, trackPosition) - getDistanceAlong(route.curve, route.finishT);
+}
+
+// Track still to drive to the sprint finish line
+export function getDistanceToFinish(trackPosition, routeIndex = 0) {
+    return Math.max(0, -getFinishOffset(trackPosition, routeIndex));
+}
+
+// How far a car is through the race in track units, for ordering the field: laps on a
+// circuit, distance from the finish on a sprint (whose routes can differ in length).
+// Sprint cars keep counting past the line, so earlier finishers stay ahead on the run-off.
+export function getRaceProgress(lapCount, trackPosition, routeIndex = 0) {
+    if (state.raceMode === 'sprint') return getFinishOffset(trackPosition, routeIndex);
+    if (!state.roadCurve) return lapCount + trackPosition;
+    return lapCount * state.roadCurve.getLength() + getDistanceAlong(state.roadCurve, trackPosition);
+}
+
+// ==================== DIAGNOSTICS ====================
+
+function describePiece(index) {
+    return `Piece ${index + 1} (${state.placedPieces[index].type})`;
+}
+
+function getPieceMidpoint(endpoints) {
+    return endpoints.start.position.clone().add(endpoints.end.position).multiplyScalar(0.5);
+}
+
+function areConnected(connections, a, b) {
+    const conn = connections[a];
+    return Object.values(conn).some(to => to && to.index === b);
+}
+
+// Explain why the track isn't a closed loop. Each problem is
+// { type, message, position, pieces }; position is null when there's nowhere to point at.
+// Types: 'no-start', 'extra-start', 'dangling', 'near-miss', 'elevation', 'overlap'
+export function diagnoseTrack() {
+    const pieces = state.placedPieces;
+    const problems = [];
+    if (pieces.length === 0) return problems;
+
+    const connections = buildConnectionMap();
+    const endpoints = pieces.map(piece => getPieceEndpoints(piece));
+
+    // Start/finish line
+    const starts = [];
+    pieces.forEach((piece, i) => { if (piece.def.isStart) starts.push(i); });
+    if (starts.length === 0) {
+        problems.push({ type: 'no-start', message: 'No start/finish piece', position: null, pieces: [] });
+    }
+    starts.slice(1).forEach(i => {
+        problems.push({
+            type: 'extra-start',
+            message: `${describePiece(i)} is a second start piece`,
+            position: getPieceMidpoint(endpoints[i]),
+            pieces: [i]
+        });
+    });
+
+    // Ends with nothing snapped to them (a sprint runs from the back of the start piece
+    // to the run-off past the finish line, so those are meant to be open)
+    const openEnds = [];
+    pieces.forEach((piece, i) => {
+        Object.keys(endpoints[i]).forEach(which => {
+            const isSprintEnd = state.raceMode === 'sprint' &&
+                ((piece.def.isStart && which === 'start') || (piece.def.isFinish && which === 'end'));
+            if (!connections[i][which + 'ConnectedTo'] && !isSprintEnd) openEnds.push({ index: i, which, ...endpoints[i][which] });
+        });
+    });
+
+    // Pairs of open ends that almost meet: too far apart, or on different levels
+    const explained = new Set();
+    for (let a = 0; a < openEnds.length; a++) {
+        for (let b = a + 1; b < openEnds.length; b++) {
+            const endA = openEnds[a];
+            const endB = openEnds[b];
+            if (endA.index === endB.index) continue;
+
+            const flatDistance = Math.hypot(endA.position.x - endB.position.x, endA.position.z - endB.position.z);
+            if (flatDistance >= NEAR_MISS_DISTANCE) continue;
+
+            const position = endA.position.clone().add(endB.position).multiplyScalar(0.5);
+            const names = `${describePiece(endA.index)} and ${describePiece(endB.index)}`;
+            if (flatDistance < SNAP_DISTANCE) {
+                problems.push({
+                    type: 'elevation',
+                    message: `${names} meet at different heights (level ${endA.elevation} vs ${endB.elevation})`,
+                    position,
+                    pieces: [endA.index, endB.index]
+                });
+            } else {
+                problems.push({
+                    type: 'near-miss',
+                    message: `${names} are ${flatDistance.toFixed(1)} units apart - ends snap under ${SNAP_DISTANCE}`,
+                    position,
+                    pieces: [endA.index, endB.index]
+                });
+            }
+            explained.add(endA);
+            explained.add(endB);
+        }
+    }
+
+    // Joined ends that step between levels
+    pieces.forEach((piece, i) => {
+        Object.keys(endpoints[i]).forEach(which => {
+            const conn = connections[i][which + 'ConnectedTo'];
+            if (!conn || conn.index < i) return;
+            const here = endpoints[i][which];
+            const there = endpoints[conn.index][conn.endpoint];
+            if (here.elevation === there.elevation) return;
+            problems.push({
+                type: 'elevation',
+                message: `${describePiece(i)} and ${describePiece(conn.index)} join with a step (level ${here.elevation} vs ${there.elevation})`,
+                position: here.position.clone(),
+                pieces: [i, conn.index]
+            });
+        });
+    });
+
+    // Everything else open is a dead end; call out where the lap from the start runs out first
+    const traversal = starts.length > 0 ? traverseTrack(connections) : null;
+    let breakIndex = -1;
+    let breakWhich = null;
+    if (traversal && !traversal.closed) {
+        const last = traversal.ordered[traversal.ordered.length - 1];
+        breakIndex = pieces.indexOf(last.piece);
+        breakWhich = last.exit;
+    }
+
+    const deadEnds = [];
+    openEnds.forEach(end => {
+        if (explained.has(end)) return;
+        const isBreak = end.index === breakIndex && end.which === breakWhich;
+        const problem = {
+            type: 'dangling',
+            message: isBreak
+                ? `The lap from the start stops at the ${end.which} of ${describePiece(end.index)}`
+                : `Open ${end.which} of ${describePiece(end.index)}`,
+            position: end.position.clone(),
+            pieces: [end.index]
+        };
+        if (isBreak) deadEnds.unshift(problem);
+        else deadEnds.push(problem);
+    });
+    problems.push(...deadEnds);
+
+    // Overlapping pieces, using the same rules as placement
+    for (let i = 0; i < pieces.length; i++) {
+        for (let j = i + 1; j < pieces.length; j++) {
+            if (areConnected(connections, i, j)) continue;
+
+            const a = endpoints[i];
+            const b = endpoints[j];
+            // Pieces on different levels at both ends can cross over
+            if (Math.abs(a.start.elevation - b.start.elevation) >= 1 &&
+                Math.abs(a.end.elevation - b.end.elevation) >= 1) continue;
+
+            const midA = getPieceMidpoint(a);
+            const midB = getPieceMidpoint(b);
+            if (Math.hypot(midA.x - midB.x, midA.z - midB.z) >= OVERLAP_DISTANCE) continue;
+
+            problems.push({
+                type: 'overlap',
+                message: `${describePiece(i)} overlaps ${describePiece(j)}`,
+                position: midA.add(midB).multiplyScalar(0.5),
+                pieces: [i, j]
+            });
+        }
+    }
+
+    return problems;
 }
 
 // Determine ramp variant based on adjacent pieces and rebuild mesh if changed
@@ -152,14 +474,17 @@ function rebuildRampMesh(piece, pieceIndex) {
 
     // Update references
     piece.mesh = newMesh;
+    if (piece.surface) applySurfaceOverlay(newMesh, def, piece.surface);
     const trackIdx = state.trackElements.indexOf(oldMesh);
     if (trackIdx >= 0) {
         state.trackElements[trackIdx] = newMesh;
     }
 }
 
-// Generate curve points for a single piece (start to end order)
-function generatePiecePoints(piece, resolution) {
+// Generate curve points for a single piece (start to end order).
+// path picks a junction's 'main' line or 'branch', or a crossing's 'main' or 'cross'
+// road; other pieces only have one.
+function generatePiecePoints(piece, resolution, path = 'main') {
     const def = piece.def;
     const piecePoints = [];
     const baseY = (piece.elevation || 0) * ELEVATION.HEIGHT_PER_LEVEL;
@@ -201,6 +526,24 @@ function generatePiecePoints(piece, resolution) {
         // Now insert the actual loop circle points at the midpoint
         // The road curve for AI/racing follows the flat path (entry→exit)
         // The loop physics are handled by the surface raycaster on the mesh
+    } else if (path === 'cross') {
+        // Left to right across the middle, raised on a flyover
+        const crossY = baseY + (def.crossElevation || 0) * ELEVATION.HEIGHT_PER_LEVEL + 0.1;
+        for (let i = 0; i <= resolution; i++) {
+            const t = i / resolution;
+            const xzPoint = new THREE.Vector3((t - 0.5) * def.length, 0, def.length / 2);
+            xzPoint.applyAxisAngle(new THREE.Vector3(0, 1, 0), piece.heading);
+            xzPoint.add(new THREE.Vector3(piece.position.x, 0, piece.position.z));
+            piecePoints.push(new THREE.Vector3(xzPoint.x, crossY, xzPoint.z));
+        }
+    } else if (def.junction) {
+        for (let i = 0; i <= resolution; i++) {
+            const t = i / resolution;
+            const xzPoint = getJunctionPoint(def, path, t);
+            xzPoint.applyAxisAngle(new THREE.Vector3(0, 1, 0), piece.heading);
+            xzPoint.add(new THREE.Vector3(piece.position.x, 0, piece.position.z));
+            piecePoints.push(new THREE.Vector3(xzPoint.x, baseY + 0.1, xzPoint.z));
+        }
     } else if (def.curveAngle > 0) {
         const radius = def.curveRadius;
         const angle = def.curveAngle;
@@ -240,20 +583,21 @@ function generatePiecePoints(piece, resolution) {
     return piecePoints;
 }
 
-// Build the road curve for racing
-export function buildRoadCurve() {
-    const resolution = 20; // Higher resolution for smoother curves
-
-    const connections = buildConnectionMap();
-    const result = traverseTrack(connections);
-    if (!result || result.ordered.length === 0) return;
-
+// Curve through one route's pieces in driving order, closed for a lap or open for a sprint.
+// Returns { curve, finishT } or null if there's nothing to drive.
+function buildRouteCurve(ordered, resolution, isSprint = false) {
     const points = [];
+    let finishIndex = 0;
 
-    result.ordered.forEach(({ piece, reversed }, index) => {
-        const piecePoints = generatePiecePoints(piece, resolution);
+    ordered.forEach(({ piece, reversed, path }, index) => {
+        const piecePoints = generatePiecePoints(piece, resolution, path);
         if (reversed) piecePoints.reverse();
 
+        // A sprint ends on its finish piece; the line is partway along it
+        if (isSprint && index === ordered.length - 1) {
+            finishIndex = points.length - 1 + (piece.def.finishLineZ / piece.def.length) * (piecePoints.length - 1);
+        }
+
         // Skip first point of each piece after the first to avoid duplicates at seams
         const startIndex = (index === 0) ? 0 : 1;
         for (let i = startIndex; i < piecePoints.length; i++) {
@@ -261,13 +605,41 @@ export function buildRoadCurve() {
         }
     });
 
-    if (points.length > 0) {
-        // Use centripetal CatmullRom for smoother interpolation
-        state.setRoadCurve(new THREE.CatmullRomCurve3(points, true, 'centripetal', 0.5));
+    if (points.length === 0) return null;
+
+    // Use centripetal CatmullRom for smoother interpolation; points are evenly spaced in t
+    const curve = new THREE.CatmullRomCurve3(points, !isSprint, 'centripetal', 0.5);
+    return { curve, finishT: isSprint ? finishIndex / (points.length - 1) : 1 };
+}
+
+// Build the road curve for racing, plus one per route when junctions split the lap.
+// Sprints get open curves from the start to the finish piece.
+// state.roadCurve is the first (main line) route.
+export function buildRoadCurve() {
+    const resolution = 20; // Higher resolution for smoother curves
+
+    const connections = buildConnectionMap();
+    const isSprint = state.raceMode === 'sprint';
+    let routes = findRoutes(connections, isSprint);
+    if (routes.length === 0) {
+        const result = traverseTrack(connections);
+        if (!result || result.ordered.length === 0) return;
+        routes = [result.ordered];
     }
 
-    // Update banked curve connections for smooth transitions
-    updateBankedCurveConnections(result.ordered);
+    const trackRoutes = routes
+        .map(ordered => ({ ordered, ...buildRouteCurve(ordered, resolution, isSprint) }))
+        .filter(route => route.curve);
+    if (trackRoutes.length === 0) return;
+
+    state.setTrackRoutes(trackRoutes);
+    state.setRoadCurve(trackRoutes[0].curve);
+
+    // Update banked curve connections for smooth transitions (main line last so it wins
+    // where routes disagree about a shared piece's neighbours)
+    for (let i = routes.length - 1; i >= 0; i--) {
+        updateBankedCurveConnections(routes[i]);
+    }
 }
 
 // Update banked curve obstacle zones based on adjacent pieces
@@ -288,8 +660,8 @@ function updateBankedCurveConnections(orderedPieces) {
         const nextPiece = orderedPieces[nextIndex].piece;
 
         // Check if adjacent pieces are also banked
-        const prevIsBanked = prevPiece.type === 'curve-banked';
-        const nextIsBanked = nextPiece.type === 'curve-banked';
+        const prevIsBanked = !!prevPiece.def.banked;
+        const nextIsBanked = !!nextPiece.def.banked;
 
         // Determine which end connects to which based on reversed flag
         // If not reversed: entry = start of piece, exit = end of piece
@@ -322,8 +694,10 @@ function rebuildBankedCurveMesh(piece, pieceIndex, zone) {
     group.rotation.y = piece.heading;
     scene.add(group);
 
-    // Update reference
+    // Update references
+    piece.mesh = group;
     state.trackElements[pieceIndex] = group;
+    if (piece.surface) applySurfaceOverlay(group, def, piece.surface);
 }
 
 // Smootherstep function for extra smooth transitions
@@ -340,12 +714,9 @@ function createBankedCurveWithTransitions(def, entryTransition, exitTransition)
     const dir = def.direction;
     const maxBankAngle = def.bankAngle || 0.3;
 
-    // More segments for larger curves
-    const segments = angle > Math.PI / 2 ? 48 : 32;
+    const { segments, transitionLength } = getBankedCurveLayout(def);
     const innerR = radius - width / 2;
     const outerR = radius + width / 2;
-    // Larger transition for 90° curves, smaller for 180° (keeps arc length similar)
-    const transitionLength = angle > Math.PI / 2 ? 0.2 : 0.35;
 
     const vertices = [];
     const indices = [];
@@ -407,7 +778,7 @@ function createBankedCurveWithTransitions(def, entryTransition, exitTransition)
     group.add(road);
 
     // Add outer wall with matching transitions
-    const wallSegments = 16;
+    const wallSegments = Math.max(16, Math.ceil(angle * outerR / 8));
     const wallOffset = 1.2;
 
     for (let i = 0; i < wallSegments; i++) {
@@ -459,6 +830,7 @@ export function clearTrack() {
     state.setHasStart(false);
     state.setTrackClosed(false);
     state.setRoadCurve(null);
+    state.setTrackRoutes([]);
 
     poofParticles.forEach(p => {
         scene.remove(p);
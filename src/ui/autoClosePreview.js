@@ -0,0 +1,63 @@
+// Auto-close Preview - Show generated closing pieces as ghosts until the user accepts or rejects them
+
+import * as state from '../state.js';
+import { scene } from '../scene.js';
+import { PIECE_DEFS } from '../track/pieces.js';
+import { placePieceAt } from '../track/placement.js';
+import { updateTrackStatus } from '../track/trackState.js';
+import { findClosingPieces } from '../track/autoClose.js';
+import { captureSnapshot, recordChange } from '../track/history.js';
+import { playThump } from '../audio/audioManager.js';
+
+// { pieces, meshes } while a suggestion is on screen
+let preview = null;
+
+// Search for closing pieces and preview them; returns a status message
+export function startAutoClose() {
+    cancelAutoClose();
+    if (state.gameState !== 'building') return '';
+    if (state.trackClosed) return 'Track is already closed';
+
+    const pieces = findClosingPieces();
+    if (!pieces) return 'No short closing run found - try moving the open ends closer';
+
+    const meshes = pieces.map(piece => {
+        const def = PIECE_DEFS[piece.type];
+        const mesh = def.createMesh(def, true, 0);
+        mesh.position.copy(piece.position);
+        mesh.rotation.y = piece.heading;
+        scene.add(mesh);
+        return mesh;
+    });
+    preview = { pieces, meshes };
+
+    document.getElementById('autoclose-count').textContent =
+        `Close the track with ${pieces.length} piece${pieces.length === 1 ? '' : 's'}?`;
+    document.getElementById('autoclose-bar').style.display = 'flex';
+    return '';
+}
+
+export function isAutoClosePreviewActive() {
+    return preview !== null;
+}
+
+// Drop the suggestion; returns false if there wasn't one
+export function cancelAutoClose() {
+    if (!preview) return false;
+    preview.meshes.forEach(mesh => scene.remove(mesh));
+    preview = null;
+    document.getElementById('autoclose-bar').style.display = 'none';
+    return true;
+}
+
+export function acceptAutoClose() {
+    if (!preview) return;
+    const { pieces } = preview;
+    cancelAutoClose();
+
+    const before = captureSnapshot();
+    pieces.forEach(piece => placePieceAt(piece.type, piece.position.clone(), piece.heading, piece.elevation));
+    updateTrackStatus();
+    recordChange('Auto-close', before);
+    playThump();
+}
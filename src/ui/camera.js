@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import * as state from '../state.js';
 import { controls, camera } from '../scene.js';
 import { getRugBounds } from '../effects/bedroom.js';
 
@@ -66,6 +67,15 @@ export function clampBuildCamera() {
     }
 }
 
+// Pan the build camera onto a point, keeping the current zoom and angle
+export function focusBuildCamera(point) {
+    const offset = camera.position.clone().sub(controls.target);
+    controls.target.set(point.x, 0, point.z);
+    clampBuildCamera();
+    camera.position.copy(controls.target).add(offset);
+    controls.update();
+}
+
 export function setRaceModeCamera() {
     controls.enableRotate = true;
     controls.enablePan = true;
@@ -79,3 +89,45 @@ export function setRaceModeCamera() {
         TWO: THREE.TOUCH.DOLLY_PAN
     };
 }
+
+// Chase a car with one of the race camera modes; instant jumps straight there instead of easing
+export function followCarCamera(pos, heading, mode = state.cameraMode, instant = false) {
+    let dist, height, lookHeight, lerpSpeed;
+
+    switch (mode) {
+        case 'far':
+            dist = 30;
+            height = 15;
+            lookHeight = 1;
+            lerpSpeed = 0.06;
+            break;
+        case 'first-person':
+            dist = -1;
+            height = 2.5;
+            lookHeight = 2;
+            lerpSpeed = 0.25;
+            break;
+        case 'near':
+        default:
+            dist = 15;
+            height = 8;
+            lookHeight = 1;
+            lerpSpeed = 0.08;
+            break;
+    }
+
+    const cameraOffset = new THREE.Vector3(
+        -Math.sin(heading) * dist,
+        height,
+        -Math.cos(heading) * dist
+    );
+    camera.position.lerp(pos.clone().add(cameraOffset), instant ? 1 : lerpSpeed);
+
+    // First person looks further ahead
+    const lookAhead = mode === 'first-person' ? 10 : 0;
+    camera.lookAt(
+        pos.x + Math.sin(heading) * lookAhead,
+        pos.y + lookHeight,
+        pos.z + Math.cos(heading) * lookAhead
+    );
+}
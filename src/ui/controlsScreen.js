@@ -0,0 +1,159 @@
+// Controls Screen - Rebind the keyboard and gamepad for every action, opened from the menu
+
+import { CONTROLS } from '../constants.js';
+import { getAction, getActionKeys, getActionButtons, setBinding, resetBindings, findConflicts, getInputName } from '../bindings.js';
+import { captureInput, stopCapture } from '../input.js';
+import { playDelete } from '../audio/audioManager.js';
+
+let isInitialized = false;
+
+// Slot waiting for a key or button: { actionId, device, slot }
+let listening = null;
+
+// Initialize the controls overlay
+export function initControlsScreen() {
+    if (isInitialized) return;
+    isInitialized = true;
+
+    document.getElementById('controls-btn').addEventListener('click', showControls);
+    document.getElementById('controls-close').addEventListener('click', hideControls);
+    document.getElementById('controls-reset-btn').addEventListener('click', () => {
+        if (!confirm('Reset every control to its default?')) return;
+        stopListening();
+        resetBindings();
+        playDelete();
+        refreshControls();
+    });
+}
+
+export function showControls() {
+    refreshControls();
+    document.getElementById('controls-overlay').style.display = 'flex';
+}
+
+function hideControls() {
+    stopListening();
+    document.getElementById('controls-overlay').style.display = 'none';
+}
+
+function stopListening() {
+    listening = null;
+    stopCapture();
+}
+
+// Rebuild the list of actions, grouped, with their bindings
+function refreshControls() {
+    const list = document.getElementById('controls-list');
+    list.innerHTML = '';
+
+    const conflicts = findConflicts();
+    const conflicted = new Set();
+    conflicts.forEach(conflict => {
+        conflict.actions.forEach(actionId => conflicted.add(`${actionId}:${conflict.device}:${conflict.input}`));
+    });
+
+    const header = document.createElement('div');
+    header.className = 'controls-row controls-header';
+    header.innerHTML = '<span></span><span>Keyboard</span><span>Gamepad</span>';
+    list.appendChild(header);
+
+    let group = null;
+    CONTROLS.actions.forEach(action => {
+        if (action.group !== group) {
+            group = action.group;
+            const heading = document.createElement('div');
+            heading.className = 'controls-group';
+            heading.textContent = group;
+            list.appendChild(heading);
+        }
+
+        const row = document.createElement('div');
+        row.className = 'controls-row';
+
+        const label = document.createElement('span');
+        label.className = 'controls-action';
+        label.textContent = action.label;
+        row.appendChild(label);
+
+        if (action.keys) {
+            row.appendChild(createSlots(action.id, 'keys', getActionKeys(action.id), conflicted));
+        } else {
+            const fixed = document.createElement('span');
+            fixed.className = 'controls-fixed';
+            fixed.textContent = action.keyHint;
+            row.appendChild(fixed);
+        }
+        row.appendChild(createSlots(action.id, 'buttons', getActionButtons(action.id), conflicted));
+
+        list.appendChild(row);
+    });
+
+    if (!listening) showConflicts(conflicts);
+}
+
+// A button per binding slot; click one, then press the key or button for it
+function createSlots(actionId, device, inputs, conflicted) {
+    const slots = document.createElement('div');
+    slots.className = 'controls-slots';
+
+    for (let slot = 0; slot < CONTROLS.slots; slot++) {
+        const input = inputs[slot];
+        const isListening = listening && listening.actionId === actionId && listening.device === device && listening.slot === slot;
+
+        const btn = document.createElement('button');
+        btn.className = 'library-btn controls-slot';
+        if (isListening) btn.classList.add('listening');
+        if (input !== undefined && conflicted.has(`${actionId}:${device}:${input}`)) btn.classList.add('conflict');
+        btn.textContent = isListening ? '...' : input !== undefined ? getInputName(device, input) : '-';
+        btn.addEventListener('click', () => startListening(actionId, device, slot));
+        slots.appendChild(btn);
+    }
+    return slots;
+}
+
+function startListening(actionId, device, slot) {
+    listening = { actionId, device, slot };
+    captureInput(handleCapturedInput);
+    refreshControls();
+
+    const what = device === 'keys' ? 'a key' : 'a gamepad button';
+    showMessage(`Press ${what} for ${getAction(actionId).label} - Esc cancels, Backspace clears`);
+}
+
+// Every key and button comes here while listening; Esc and Backspace on the keyboard
+// cancel and clear whichever device is being bound
+function handleCapturedInput(device, input) {
+    const { actionId, slot } = listening;
+
+    if (device === 'keys' && input === 'escape') {
+        // Keep the binding as it was
+    } else if (device === 'keys' && (input === 'backspace' || input === 'delete')) {
+        setBinding(actionId, listening.device, slot, null);
+    } else if (device === listening.device) {
+        setBinding(actionId, device, slot, input);
+    } else {
+        return;
+    }
+
+    stopListening();
+    refreshControls();
+}
+
+// Bindings that clash are outlined, and listed here
+function showConflicts(conflicts) {
+    if (conflicts.length === 0) {
+        showMessage('');
+        return;
+    }
+    const lines = conflicts.map(({ device, input, actions }) => {
+        const [first, second] = actions.map(actionId => getAction(actionId).label);
+        return `${getInputName(device, input)} is both ${first} and ${second}`;
+    });
+    showMessage(lines.join('. '), true);
+}
+
+function showMessage(text, isError = false) {
+    const message = document.getElementById('controls-message');
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+}
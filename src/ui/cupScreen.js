@@ -0,0 +1,278 @@
+// Cup Screen - Set up a championship cup from saved tracks, follow its standings between
+// races and finish on a podium
+
+import * as state from '../state.js';
+import { CUP, RACE_SETUP } from '../constants.js';
+import { loadFromLocalStorage, listSavedTracks, getSavedTrackInfo } from '../track/serialize.js';
+import { captureSnapshot, recordChange } from '../track/history.js';
+import {
+    getCup, startCup, abandonCup, getNextCupRace, isCupOver,
+    beginCupRace, isCupRace, isCupRaceScored, getCupStandings
+} from '../track/cup.js';
+import { getOrdinal } from './leaderboard.js';
+
+let isInitialized = false;
+
+// Starts the race once a cup track is loaded
+let startRace = null;
+
+// Tracks picked for a new cup, in racing order
+let pickedTracks = [];
+
+// Initialize cup controls; onStart races the loaded track with state.raceConfig already set
+export function initCupScreen(onStart) {
+    startRace = onStart;
+    if (isInitialized) return;
+    isInitialized = true;
+
+    const lapsInput = document.getElementById('cup-laps');
+    lapsInput.min = RACE_SETUP.minLaps;
+    lapsInput.max = RACE_SETUP.maxLaps;
+    lapsInput.value = RACE_SETUP.defaultLaps;
+
+    document.getElementById('cup-btn').addEventListener('click', showCupScreen);
+    document.getElementById('cup-close').addEventListener('click', hideCupScreen);
+
+    document.getElementById('cup-start-btn').addEventListener('click', () => {
+        const laps = parseInt(lapsInput.value, 10);
+        try {
+            startCup(pickedTracks, Math.max(RACE_SETUP.minLaps, Math.min(RACE_SETUP.maxLaps, laps || RACE_SETUP.defaultLaps)));
+        } catch (e) {
+            showCupMessage(e.message, true);
+            return;
+        }
+        pickedTracks = [];
+        raceNextCupTrack();
+    });
+    document.getElementById('cup-continue-btn').addEventListener('click', () => {
+        // A cup finished before a reload still has its podium to see
+        if (isCupOver()) {
+            hideCupScreen();
+            showCupPodium();
+        } else {
+            raceNextCupTrack();
+        }
+    });
+    document.getElementById('cup-abandon-btn').addEventListener('click', () => {
+        if (!confirm('Abandon this cup? Its points will be lost.')) return;
+        abandonCup();
+        showCupMessage('');
+        refreshCupScreen();
+    });
+}
+
+export function showCupScreen() {
+    refreshCupScreen();
+    document.getElementById('menu-overlay').style.display = 'none';
+    document.getElementById('cup-overlay').style.display = 'flex';
+}
+
+function hideCupScreen() {
+    document.getElementById('cup-overlay').style.display = 'none';
+}
+
+function showCupMessage(text, isError = false) {
+    const message = document.getElementById('cup-message');
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+}
+
+// A cup in progress shows its standings; otherwise pick tracks for a new one
+function refreshCupScreen() {
+    const cup = getCup();
+    document.getElementById('cup-setup').style.display = cup ? 'none' : 'flex';
+    document.getElementById('cup-progress').style.display = cup ? 'flex' : 'none';
+
+    if (cup) {
+        const next = getNextCupRace();
+        document.getElementById('cup-progress-summary').textContent = next
+            ? `Race ${next.index + 1} of ${cup.tracks.length}: ${next.track} (${cup.laps} lap${cup.laps === 1 ? '' : 's'})`
+            : 'All races run';
+        document.getElementById('cup-continue-btn').textContent = next ? 'Race' : 'See Results';
+        renderCupStandings(document.getElementById('cup-standings'));
+    } else {
+        refreshTrackPicker();
+    }
+}
+
+// Closed saved tracks can be picked; the order they're picked in is the racing order
+function refreshTrackPicker() {
+    const list = document.getElementById('cup-track-list');
+    list.innerHTML = '';
+
+    const tracks = listSavedTracks()
+        .map(name => getSavedTrackInfo(name))
+        .filter(info => info !== null && info.closed)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    pickedTracks = pickedTracks.filter(name => tracks.some(info => info.name === name));
+
+    if (tracks.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'library-empty';
+        empty.textContent = 'Save some closed circuits to race a cup';
+        list.appendChild(empty);
+    }
+
+    tracks.forEach(info => {
+        const order = pickedTracks.indexOf(info.name);
+        const entry = document.createElement('label');
+        entry.className = 'library-entry cup-track' + (order >= 0 ? ' picked' : '');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = order >= 0;
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                pickedTracks.push(info.name);
+            } else {
+                pickedTracks = pickedTracks.filter(name => name !== info.name);
+            }
+            refreshTrackPicker();
+        });
+        entry.appendChild(checkbox);
+
+        const name = document.createElement('span');
+        name.className = 'library-track-name';
+        name.textContent = info.name;
+        entry.appendChild(name);
+
+        const meta = document.createElement('span');
+        meta.className = 'library-track-meta';
+        meta.textContent = order >= 0 ? `Race ${order + 1}` : `${info.pieceCount} pieces`;
+        entry.appendChild(meta);
+
+        list.appendChild(entry);
+    });
+
+    const count = pickedTracks.length;
+    document.getElementById('cup-start-btn').disabled = count < CUP.minTracks || count > CUP.maxTracks;
+    document.getElementById('cup-pick-count').textContent =
+        `${count} picked - choose ${CUP.minTracks} to ${CUP.maxTracks}`;
+}
+
+// Points table, leader first, with each driver's finishing position per race
+function renderCupStandings(container) {
+    const cup = getCup();
+    container.innerHTML = '';
+
+    getCupStandings().forEach((driver, idx) => {
+        const row = document.createElement('div');
+        row.className = 'standing-row' + (driver.isPlayer ? ' player-row' : '');
+        const positions = cup.tracks.map((track, race) => {
+            const position = driver.positions[race];
+            return position !== undefined && position !== null ? getOrdinal(position) : '-';
+        });
+        row.innerHTML = `
+            <span class="standing-position">${idx + 1}.</span>
+            <span class="standing-name">${driver.name}</span>
+            <span class="standing-time">${driver.points} pts</span>
+            <span class="standing-best">${positions.join(' ')}</span>
+        `;
+        container.appendChild(row);
+    });
+}
+
+// Load the cup's next track into the builder and race it. Returns false, with the cup
+// screen showing why, if it can't be raced.
+export function raceNextCupTrack() {
+    const next = getNextCupRace();
+    if (!next) return false;
+
+    const before = captureSnapshot();
+    try {
+        loadFromLocalStorage(next.track);
+    } catch (e) {
+        showCupScreen();
+        showCupMessage(`Couldn't load "${next.track}": ${e.message}`, true);
+        return false;
+    }
+    recordChange(`Load "${next.track}"`, before);
+
+    if (!state.raceMode || !state.hasStart) {
+        showCupScreen();
+        showCupMessage(`"${next.track}" can't be raced any more - fix it or abandon the cup`, true);
+        return false;
+    }
+
+    showCupMessage('');
+    hideCupScreen();
+    beginCupRace();
+    if (startRace) startRace();
+    return true;
+}
+
+// Finish screen of a cup race: the cup table once the race is scored, and the way on
+// to the next race in place of racing again
+export function updateCupResults() {
+    const isCup = isCupRace();
+    document.getElementById('summary-cup').style.display = isCup ? 'block' : 'none';
+    document.getElementById('cup-next-btn').style.display = isCup ? '' : 'none';
+    document.getElementById('restart-btn').style.display = isCup ? 'none' : '';
+    if (!isCup) return;
+
+    const cup = getCup();
+    const scored = isCupRaceScored();
+    const racesDone = cup.results.length;
+    document.getElementById('cup-summary-title').textContent = scored
+        ? `Cup Standings after ${racesDone} of ${cup.tracks.length}`
+        : `Cup Standings before race ${racesDone + 1} of ${cup.tracks.length}`;
+    renderCupStandings(document.getElementById('cup-summary-standings'));
+
+    const nextBtn = document.getElementById('cup-next-btn');
+    nextBtn.disabled = !scored;
+    nextBtn.textContent = isCupOver() ? 'Cup Results' : 'Next Race';
+}
+
+// Final podium: the finish screen's trophy for the player's place overall, then the table
+export function showCupPodium() {
+    const standings = getCupStandings();
+    const place = standings.findIndex(driver => driver.isPlayer) + 1;
+    const player = standings[place - 1];
+
+    const finishScreen = document.getElementById('finish-screen');
+    const celebration = document.getElementById('finish-celebration');
+    const podium = document.getElementById('cup-podium');
+    document.getElementById('finish-summary').style.display = 'none';
+    podium.classList.remove('show');
+    podium.style.display = 'none';
+    finishScreen.style.display = 'flex';
+
+    const trophies = ['🏆', '🥈', '🥉'];
+    const colors = ['gold', 'silver', 'bronze'];
+    const messages = ['CUP WINNER!', '2ND OVERALL!', '3RD OVERALL!'];
+    const positionText = document.getElementById('position-text');
+    document.getElementById('trophy-icon').textContent = place <= 3 ? trophies[place - 1] : '🏁';
+    positionText.textContent = place <= 3 ? messages[place - 1] : `${getOrdinal(place).toUpperCase()} OVERALL`;
+    positionText.className = 'position-text ' + (place <= 3 ? colors[place - 1] : '');
+    document.getElementById('congrats-text').textContent =
+        `${player.points} points from ${getCup().tracks.length} races`;
+
+    celebration.classList.remove('show', 'slide-up');
+    celebration.style.display = 'block';
+    setTimeout(() => celebration.classList.add('show'), 100);
+
+    // Slide up to the final table
+    setTimeout(() => {
+        celebration.classList.add('slide-up');
+        setTimeout(() => {
+            celebration.style.display = 'none';
+            renderCupStandings(document.getElementById('cup-podium-standings'));
+            podium.style.display = 'block';
+            setTimeout(() => podium.classList.add('show'), 50);
+        }, 800);
+    }, 2500);
+}
+
+// Close the podium; the cup is over, so it's cleared
+export function hideCupPodium() {
+    abandonCup();
+    const podium = document.getElementById('cup-podium');
+    podium.classList.remove('show');
+    podium.style.display = 'none';
+    document.getElementById('finish-summary').style.display = '';
+    document.getElementById('finish-screen').style.display = 'none';
+
+    const celebration = document.getElementById('finish-celebration');
+    celebration.classList.remove('show', 'slide-up');
+    celebration.style.display = 'block';
+}
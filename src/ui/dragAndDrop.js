@@ -12,6 +12,7 @@ import { obstacles, addObstacle } from '../obstacles/obstacleState.js';
 import { createCrateMesh, createCratePreview } from '../obstacles/obstacleMeshes.js';
 import { spawnObstacle } from '../obstacles/obstaclePhysics.js';
 import { highlightArea, clearHighlights, hasCustomGrid } from './customGrid.js';
+import { captureSnapshot, recordChange } from '../track/history.js';
 
 // Decoration drag state
 let isDraggingDecoration = false;
@@ -173,8 +174,10 @@ export function endDrag(event) {
             poofPosition = finalPosition.clone().add(rotatedEnd);
         }
 
+        const before = captureSnapshot();
         placePieceAt(state.dragPieceType, finalPosition, finalHeading, finalElevation);
         updateTrackStatus();
+        recordChange('Place piece', before);
         createPoofEffect(poofPosition);
         playThump();
     }
@@ -388,6 +391,9 @@ export function endDragExisting(event) {
     const dropTarget = document.elementFromPoint(event.clientX, event.clientY);
     const isOverLibrary = dropTarget && dropTarget.closest('#gallery-panel');
 
+    // Snapshot before the drop; the piece is only hidden while dragging
+    const before = captureSnapshot();
+
     if (isOverLibrary && state.draggedPieceIndex >= 0) {
         const piece = state.placedPieces[state.draggedPieceIndex];
 
@@ -407,6 +413,7 @@ export function endDragExisting(event) {
         });
 
         updateTrackStatus();
+        recordChange('Delete piece', before);
     } else if (state.currentSnapValid && state.currentSnap && state.draggedPieceIndex >= 0) {
         const piece = state.placedPieces[state.draggedPieceIndex];
         const newElevation = state.currentSnap.elevation || 0;
@@ -443,6 +450,7 @@ export function endDragExisting(event) {
         playThump();
 
         updateTrackStatus();
+        recordChange('Move piece', before);
     } else {
         if (state.draggedPieceIndex >= 0 && state.draggedPieceIndex < state.placedPieces.length) {
             const piece = state.placedPieces[state.draggedPieceIndex];
@@ -611,6 +619,8 @@ export function endDragExistingDecoration(event) {
     const dropTarget = document.elementFromPoint(event.clientX, event.clientY);
     const isOverLibrary = dropTarget && dropTarget.closest('#gallery-panel');
 
+    const before = captureSnapshot();
+
     if (isOverLibrary && draggedDecorationIndex >= 0) {
         // Remove the decoration
         const deco = state.placedDecorations[draggedDecorationIndex];
@@ -619,6 +629,7 @@ export function endDragExistingDecoration(event) {
         scene.remove(deco.mesh);
         state.decorationElements.splice(state.decorationElements.indexOf(deco.mesh), 1);
         state.placedDecorations.splice(draggedDecorationIndex, 1);
+        recordChange('Delete decoration', before);
     } else if (state.currentSnapValid && state.currentSnap && draggedDecorationIndex >= 0) {
         // Reposition the decoration
         const deco = state.placedDecorations[draggedDecorationIndex];
@@ -627,6 +638,7 @@ export function endDragExistingDecoration(event) {
         deco.mesh.position.copy(state.currentSnap.position);
         deco.mesh.rotation.y = state.currentSnap.heading;
         deco.mesh.visible = true;
+        recordChange('Move decoration', before);
         createPoofEffect(state.currentSnap.position);
         playThump();
     } else {
@@ -746,6 +758,8 @@ export function endDragDecoration(event) {
         const finalPosition = state.currentSnap.position.clone();
         const finalHeading = state.currentSnap.heading;
 
+        const before = captureSnapshot();
+
         // Create the actual decoration
         const decoration = createDecoration(dragDecorationType);
         decoration.position.copy(finalPosition);
@@ -760,6 +774,7 @@ export function endDragDecoration(event) {
             mesh: decoration
         });
         state.decorationElements.push(decoration);
+        recordChange('Place decoration', before);
 
         createPoofEffect(finalPosition);
         playThump();
@@ -867,6 +882,8 @@ export function endDragObstacle(event) {
         const finalPosition = worldPos.clone();
         finalPosition.y = PHYSICS.obstacle.crateSize / 2 + 0.1;
 
+        const before = captureSnapshot();
+
         // Create obstacle data
         const obstacleData = spawnObstacle(dragObstacleType, finalPosition, state.dragRotation);
 
@@ -879,6 +896,7 @@ export function endDragObstacle(event) {
 
         // Add to obstacles array
         addObstacle(obstacleData);
+        recordChange('Place crate', before);
 
         createPoofEffect(finalPosition);
         playThump();
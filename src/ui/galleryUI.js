@@ -1,11 +1,16 @@
 // Gallery UI - Tab switching, piece population, and horizontal scrolling
 
 import { startDrag, startDragDecoration, startDragObstacle } from './dragAndDrop.js';
+import { setPaintSurface, exitPaintMode } from './paintTool.js';
+import { setDiagnosticsVisible } from './trackDiagnostics.js';
+import { SURFACE_TYPES } from '../track/surfaces.js';
+import { CURVE_RADII, CURVE_ANGLES, getCurveType } from '../constants.js';
 
 // Piece category definitions with images and fallback emojis
 const PIECE_CATEGORIES = {
     basic: [
         { type: 'start', label: 'Start', image: null, emoji: '🏁' },
+        { type: 'finish', label: 'Finish', image: null, emoji: '🏆' },
         { type: 'straight-short', label: 'Short', image: 'track-regular.png', emoji: '━' },
         { type: 'straight-long', label: 'Long', image: 'track-long.png', emoji: '━━' },
         { type: 'straight-extra', label: 'Extra', image: 'track-extralong.png', emoji: '━━━' },
@@ -20,7 +25,13 @@ const PIECE_CATEGORIES = {
         { type: 'boost-pad', label: 'Boost', image: null, emoji: '⚡' },
         { type: 'loop', label: 'Loop', image: 'loop.png', emoji: '🔄' },
         { type: 'ramp', label: 'Ramp', image: null, emoji: '⬆' },
-        { type: 'ramp-steep', label: 'Steep Ramp', image: null, emoji: '⏫' }
+        { type: 'ramp-steep', label: 'Steep Ramp', image: null, emoji: '⏫' },
+        { type: 'fork-right', label: 'Fork R', image: null, emoji: '⑂' },
+        { type: 'fork-left', label: 'Fork L', image: null, emoji: '⑂' },
+        { type: 'merge-right', label: 'Merge R', image: null, emoji: '⑃' },
+        { type: 'merge-left', label: 'Merge L', image: null, emoji: '⑃' },
+        { type: 'crossing', label: 'Crossing', image: null, emoji: '✚' },
+        { type: 'crossing-bridge', label: 'Flyover', image: null, emoji: '🌉' }
     ],
     obstacles: [
         { type: 'crate', label: 'Crate', image: null, emoji: '📦', isObstacle: true }
@@ -34,6 +45,13 @@ const PIECE_CATEGORIES = {
         { type: 'bush', label: 'Bush', image: null, emoji: '🌿', isDecoration: true },
         { type: 'banner', label: 'Banner', image: null, emoji: '🚩', isDecoration: true },
         { type: 'tire-stack', label: 'Tires', image: null, emoji: '⚫', isDecoration: true }
+    ],
+    // Surface swatches - pick one, then click pieces on the track
+    paint: [
+        { type: '', label: 'Default Surface', image: null, emoji: '↺', isSurface: true },
+        ...Object.entries(SURFACE_TYPES).map(([key, surface]) => (
+            { type: key, label: surface.name, image: null, emoji: '', color: surface.color, isSurface: true }
+        ))
     ]
 };
 
@@ -41,6 +59,9 @@ let activeTab = 'basic';
 let isInitialized = false;
 const SCROLL_AMOUNT = 136; // thumbnail size (112) + gap (24)
 
+// Curves tab: the curve the picker's thumbnail will drag
+const pickedCurve = { radius: 40, degrees: 60, banked: false };
+
 // Initialize the gallery UI
 export function initGalleryUI() {
     if (isInitialized) return;
@@ -73,6 +94,9 @@ export function switchTab(tabName) {
         tab.classList.toggle('active', tab.dataset.tab === tabName);
     });
 
+    // Paint mode only lasts while its tab is open
+    if (activeTab === 'paint' && tabName !== 'paint') exitPaintMode();
+
     activeTab = tabName;
     populatePieces(tabName);
 
@@ -86,6 +110,12 @@ export function populatePieces(category) {
     const pieceRow = document.getElementById('piece-row');
     pieceRow.innerHTML = '';
 
+    if (category === 'curves') {
+        populateCurvePicker(pieceRow);
+        attachPieceListeners();
+        return;
+    }
+
     const pieces = PIECE_CATEGORIES[category] || [];
 
     pieces.forEach(piece => {
@@ -93,7 +123,11 @@ export function populatePieces(category) {
         thumbnail.className = 'piece-thumbnail';
 
         // Check if image exists, otherwise use placeholder with emoji
-        if (piece.image) {
+        if (piece.color !== undefined) {
+            thumbnail.classList.add('surface-swatch');
+            thumbnail.style.backgroundColor = '#' + piece.color.toString(16).padStart(6, '0');
+            thumbnail.innerHTML = `<span class="swatch-label">${piece.label}</span>`;
+        } else if (piece.image) {
             thumbnail.style.backgroundImage = `url(src/assets/img/${piece.image})`;
             thumbnail.classList.add('has-image');
         } else {
@@ -102,7 +136,9 @@ export function populatePieces(category) {
         }
 
         // Set appropriate data attribute based on piece type
-        if (piece.isDecoration) {
+        if (piece.isSurface) {
+            thumbnail.dataset.surface = piece.type;
+        } else if (piece.isDecoration) {
             thumbnail.dataset.decoration = piece.type;
         } else if (piece.isObstacle) {
             thumbnail.dataset.obstacle = piece.type;
@@ -121,28 +157,112 @@ export function populatePieces(category) {
 // Attach drag event listeners to piece thumbnails
 export function attachPieceListeners() {
     document.querySelectorAll('.piece-thumbnail').forEach(btn => {
-        const pieceType = btn.dataset.piece;
         const decorationType = btn.dataset.decoration;
         const obstacleType = btn.dataset.obstacle;
 
+        // Surface swatches select a paint instead of starting a drag
+        if (btn.dataset.surface !== undefined) {
+            btn.addEventListener('click', () => selectSurfaceSwatch(btn));
+            return;
+        }
+
+        // Piece type is read when the drag starts (the curve picker retargets its thumbnail)
+        function beginDrag(event) {
+            const pieceType = btn.dataset.piece;
+            if (pieceType) startDrag(pieceType, event);
+            else if (decorationType) startDragDecoration(decorationType, event);
+            else if (obstacleType) startDragObstacle(obstacleType, event);
+        }
+
         // Mouse drag
         btn.addEventListener('mousedown', (e) => {
             e.preventDefault();
-            if (pieceType) startDrag(pieceType, e);
-            else if (decorationType) startDragDecoration(decorationType, e);
-            else if (obstacleType) startDragObstacle(obstacleType, e);
+            beginDrag(e);
         });
 
         // Touch drag
         btn.addEventListener('touchstart', (e) => {
             e.preventDefault();
             const touch = e.touches[0];
-            const touchEvent = { clientX: touch.clientX, clientY: touch.clientY };
-            if (pieceType) startDrag(pieceType, touchEvent);
-            else if (decorationType) startDragDecoration(decorationType, touchEvent);
-            else if (obstacleType) startDragObstacle(obstacleType, touchEvent);
+            beginDrag({ clientX: touch.clientX, clientY: touch.clientY });
+        });
+    });
+}
+
+// Curves tab: radius, angle and banking controls next to a thumbnail of the picked curve
+function populateCurvePicker(pieceRow) {
+    const picker = document.createElement('div');
+    picker.className = 'curve-picker';
+
+    const radiusRow = document.createElement('div');
+    radiusRow.className = 'curve-picker-row';
+    radiusRow.innerHTML = '<span>Radius</span>';
+    CURVE_RADII.forEach(radius => {
+        const btn = document.createElement('button');
+        btn.className = 'curve-radius-btn';
+        btn.textContent = radius;
+        btn.classList.toggle('selected', radius === pickedCurve.radius);
+        btn.addEventListener('click', () => {
+            pickedCurve.radius = radius;
+            radiusRow.querySelectorAll('.curve-radius-btn').forEach(other => other.classList.toggle('selected', other === btn));
+            updateCurveThumbnail(thumbnail);
         });
+        radiusRow.appendChild(btn);
     });
+
+    const angleRow = document.createElement('label');
+    angleRow.className = 'curve-picker-row';
+    const angleInput = document.createElement('input');
+    angleInput.type = 'range';
+    angleInput.min = CURVE_ANGLES[0];
+    angleInput.max = CURVE_ANGLES[CURVE_ANGLES.length - 1];
+    angleInput.step = CURVE_ANGLES[1] - CURVE_ANGLES[0];
+    angleInput.value = pickedCurve.degrees;
+    const angleValue = document.createElement('span');
+    angleValue.textContent = `${pickedCurve.degrees}°`;
+    angleInput.addEventListener('input', () => {
+        pickedCurve.degrees = Number(angleInput.value);
+        angleValue.textContent = `${pickedCurve.degrees}°`;
+        updateCurveThumbnail(thumbnail);
+    });
+    angleInput.addEventListener('keydown', (e) => e.stopPropagation()); // Arrow keys move the slider, not the builder
+    angleRow.append('Angle', angleInput, angleValue);
+
+    const bankedRow = document.createElement('label');
+    bankedRow.className = 'curve-picker-row';
+    const bankedInput = document.createElement('input');
+    bankedInput.type = 'checkbox';
+    bankedInput.checked = pickedCurve.banked;
+    bankedInput.addEventListener('change', () => {
+        pickedCurve.banked = bankedInput.checked;
+        updateCurveThumbnail(thumbnail);
+    });
+    bankedRow.append(bankedInput, 'Banked');
+
+    picker.append(radiusRow, angleRow, bankedRow);
+
+    const thumbnail = document.createElement('div');
+    thumbnail.className = 'piece-thumbnail placeholder curve-thumbnail';
+    updateCurveThumbnail(thumbnail);
+
+    pieceRow.append(picker, thumbnail);
+}
+
+function updateCurveThumbnail(thumbnail) {
+    const { radius, degrees, banked } = pickedCurve;
+    const label = `${degrees}° R${radius}${banked ? ' banked' : ''}`;
+    thumbnail.dataset.piece = getCurveType(radius, degrees, banked);
+    thumbnail.title = label;
+    thumbnail.innerHTML = `<span class="piece-emoji">${banked ? '⤴' : '↱'}</span><span class="swatch-label">${label}</span>`;
+}
+
+function selectSurfaceSwatch(btn) {
+    const wasSelected = btn.classList.contains('selected');
+    exitPaintMode();
+    if (wasSelected) return;
+
+    btn.classList.add('selected');
+    setPaintSurface(btn.dataset.surface || null);
 }
 
 // Scroll the gallery left or right
@@ -161,4 +281,5 @@ export function showGallery(visible) {
 
     if (gallery) gallery.style.display = visible ? 'flex' : 'none';
     if (rightControls) rightControls.style.display = visible ? 'flex' : 'none';
+    setDiagnosticsVisible(visible);
 }
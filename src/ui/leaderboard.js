@@ -1,14 +1,66 @@
 import * as state from '../state.js';
+import { getRaceProgress, getDistanceToFinish } from '../track/trackState.js';
 
-export function updateLeaderboard() {
-    const standings = [{ name: 'You', progress: state.lapCount + state.playerPhysics.trackPosition, lap: state.lapCount, isPlayer: true }];
-    state.aiCars.forEach(ai => standings.push({ name: ai.name, progress: ai.lapCount + ai.trackPosition, lap: ai.lapCount, isPlayer: false }));
-    standings.sort((a, b) => b.progress - a.progress);
+// Standings entry for one car: how far it has got and, once it's finished, when
+function getRacer(name, car, lapCount, finishTime, isPlayer) {
+    return {
+        name,
+        car,
+        isPlayer,
+        lapCount,
+        trackPosition: car.trackPosition,
+        routeIndex: car.routeIndex,
+        progress: getRaceProgress(lapCount, car.trackPosition, car.routeIndex),
+        finishTime,
+        eliminatedLap: car.eliminatedLap,
+        lapTimer: car.lapTimer
+    };
+}
+
+// Finished cars come first in finishing order. Ties (a timed race ends everyone at once)
+// and cars still racing go by how far they've got. Cars knocked out of an elimination
+// race come last, the last one out first.
+function compareRacers(a, b) {
+    const aOut = a.eliminatedLap !== null;
+    const bOut = b.eliminatedLap !== null;
+    if (aOut !== bOut) return aOut ? 1 : -1;
+    if (aOut) return b.eliminatedLap - a.eliminatedLap;
+
+    const aFinished = a.finishTime !== null;
+    const bFinished = b.finishTime !== null;
+    if (aFinished !== bFinished) return aFinished ? -1 : 1;
+    if (aFinished && a.finishTime !== b.finishTime) return a.finishTime - b.finishTime;
+    return b.progress - a.progress;
+}
+
+// Every car in race order, the leader first
+export function getClassification() {
+    const pp = state.playerPhysics;
+    const racers = [getRacer('You', pp, state.lapCount, state.playerFinished ? state.playerFinishTime : null, true)];
+    state.aiCars.forEach(ai => racers.push(getRacer(ai.name, ai, ai.lapCount, ai.finished ? ai.finishTime : null, false)));
+    return racers.sort(compareRacers);
+}
+
+// Which lap a car is on, or how far it has left on a sprint.
+// Timed races have no last lap to stop counting at.
+function getRacerStatus(racer) {
+    if (racer.finishTime !== null) return 'Finished';
+    if (racer.eliminatedLap !== null) return 'Out';
+    if (state.raceMode === 'sprint') return `${Math.round(getDistanceToFinish(racer.trackPosition, racer.routeIndex))}m`;
 
+    const config = state.raceConfig;
+    // Elimination races run a lap per opponent
+    const laps = config.type === 'elimination' ? state.aiCars.length : config.laps;
+    const lap = config.type === 'timed' ? racer.lapCount + 1 : Math.min(racer.lapCount + 1, laps);
+    return `Lap ${lap}`;
+}
+
+export function updateLeaderboard() {
     const leaderboardDiv = document.getElementById('leaderboard');
     leaderboardDiv.innerHTML = '<strong>Standings:</strong><br>';
-    standings.forEach((racer, index) => {
-        leaderboardDiv.innerHTML += `<div class="leader-entry position-${index + 1} ${racer.isPlayer ? 'player-entry' : ''}">${index + 1}. ${racer.name} (Lap ${Math.min(racer.lap + 1, 3)})</div>`;
+    getClassification().forEach((racer, index) => {
+        const classes = `position-${index + 1}${racer.isPlayer ? ' player-entry' : ''}${racer.eliminatedLap !== null ? ' eliminated-entry' : ''}`;
+        leaderboardDiv.innerHTML += `<div class="leader-entry ${classes}">${index + 1}. ${racer.name} (${getRacerStatus(racer)})</div>`;
     });
 }
 
@@ -18,6 +70,19 @@ export function formatTime(seconds) {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
+// Lap times to the millisecond
+export function formatLapTime(seconds) {
+    const millis = Math.floor(seconds * 1000);
+    const mins = Math.floor(millis / 60000);
+    const secs = (millis % 60000) / 1000;
+    return `${mins}:${secs.toFixed(3).padStart(6, '0')}`;
+}
+
+// Gap to a best lap: -0.250 is ahead, +0.250 behind
+export function formatLapDelta(seconds) {
+    return `${seconds <= 0 ? '-' : '+'}${Math.abs(seconds).toFixed(3)}`;
+}
+
 export function getOrdinal(n) {
     const s = ['th', 'st', 'nd', 'rd'];
     const v = n % 100;
@@ -0,0 +1,47 @@
+// Paint Tool - Pick a surface in the Paint tab, then click placed pieces to repaint them
+
+import * as state from '../state.js';
+import { canPaintPiece } from '../track/surfaces.js';
+import { setPieceSurface } from '../track/placement.js';
+import { captureSnapshot, recordChange } from '../track/history.js';
+import { getClickedPiece } from './dragAndDrop.js';
+import { playThump } from '../audio/audioManager.js';
+
+// Surface being painted: undefined when the tool is off, null restores piece defaults
+let activeSurface;
+
+export function setPaintSurface(surface) {
+    activeSurface = surface;
+    document.getElementById('canvas-container').classList.add('paint-mode');
+}
+
+// Turn the tool off; returns false if it wasn't on
+export function exitPaintMode() {
+    if (activeSurface === undefined) return false;
+    activeSurface = undefined;
+    document.getElementById('canvas-container').classList.remove('paint-mode');
+    document.querySelectorAll('.piece-thumbnail.selected').forEach(el => el.classList.remove('selected'));
+    return true;
+}
+
+export function isPaintModeActive() {
+    return activeSurface !== undefined;
+}
+
+// Paint the clicked piece. Returns true if the event was handled so the
+// canvas doesn't also start a drag; empty ground still orbits the camera.
+export function handlePaintPointerDown(event) {
+    if (!isPaintModeActive() || state.gameState !== 'building' || event.button !== 0) return false;
+
+    const pieceIndex = getClickedPiece(event.clientX, event.clientY);
+    if (pieceIndex < 0) return false;
+
+    const piece = state.placedPieces[pieceIndex];
+    if (!canPaintPiece(piece.type) || (piece.surface || null) === activeSurface) return true;
+
+    const before = captureSnapshot();
+    setPieceSurface(piece, activeSurface);
+    recordChange('Paint surface', before);
+    playThump();
+    return true;
+}
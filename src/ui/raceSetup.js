@@ -0,0 +1,141 @@
+// Race Setup - Choose laps, a time limit or a solo time trial before the race starts
+
+import * as state from '../state.js';
+import { RACE_SETUP } from '../constants.js';
+import { formatTime, formatLapTime } from './leaderboard.js';
+import { getBestLapTime, exportGhostFile, importGhostFile } from '../car/ghost.js';
+
+let isInitialized = false;
+
+// Starts the race once the setup is confirmed
+let startRace = null;
+
+// Initialize setup screen controls; onStart runs with state.raceConfig already set
+export function initRaceSetup(onStart) {
+    startRace = onStart;
+    if (isInitialized) return;
+    isInitialized = true;
+
+    const timeSelect = document.getElementById('race-setup-time');
+    RACE_SETUP.timeLimits.forEach(seconds => {
+        const option = document.createElement('option');
+        option.value = seconds;
+        option.textContent = formatTime(seconds);
+        timeSelect.appendChild(option);
+    });
+
+    const lapsInput = document.getElementById('race-setup-laps');
+    lapsInput.min = RACE_SETUP.minLaps;
+    lapsInput.max = RACE_SETUP.maxLaps;
+
+    document.getElementById('race-setup-type').addEventListener('change', updateSetupFields);
+    lapsInput.addEventListener('input', updateSetupFields);
+    timeSelect.addEventListener('change', updateSetupFields);
+
+    document.getElementById('race-setup-start-btn').addEventListener('click', () => {
+        state.setRaceConfig(readSetup());
+        hideRaceSetup();
+        if (startRace) startRace();
+    });
+    document.getElementById('race-setup-close').addEventListener('click', hideRaceSetup);
+
+    // Ghost files let people race each other's best laps
+    const ghostInput = document.getElementById('ghost-import-input');
+    document.getElementById('ghost-import-btn').addEventListener('click', () => ghostInput.click());
+    ghostInput.addEventListener('change', () => {
+        if (ghostInput.files.length > 0) importGhost(ghostInput.files[0]);
+        ghostInput.value = ''; // Allow re-importing the same file
+    });
+    document.getElementById('ghost-export-btn').addEventListener('click', () => {
+        if (!exportGhostFile()) showGhostMessage('No ghost to export yet', true);
+    });
+}
+
+function importGhost(file) {
+    file.text().then(text => {
+        try {
+            const lapTime = importGhostFile(text);
+            showGhostMessage(`Imported a ${formatLapTime(lapTime)} ghost`, false);
+        } catch (e) {
+            showGhostMessage(`Couldn't import "${file.name}": ${e.message}`, true);
+        }
+        updateGhostInfo();
+    });
+}
+
+function showGhostMessage(text, isError) {
+    const message = document.getElementById('race-setup-message');
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+}
+
+// Best lap on this track, which the ghost replays
+function updateGhostInfo() {
+    const bestLap = getBestLapTime();
+    document.getElementById('race-setup-best').textContent = bestLap !== null
+        ? `Ghost: ${formatLapTime(bestLap)}`
+        : 'No ghost yet - set a lap to make one';
+    document.getElementById('ghost-export-btn').disabled = bestLap === null;
+}
+
+// Open the setup screen showing the last race's settings
+export function showRaceSetup() {
+    const config = state.raceConfig;
+    document.getElementById('race-setup-type').value = config.type;
+    document.getElementById('race-setup-laps').value = config.laps;
+    document.getElementById('race-setup-time').value = config.timeLimit;
+
+    // Sprints run once to the finish, so only the time limit applies and there are no laps to knock cars out on
+    const isSprint = state.raceMode === 'sprint';
+    const lapsOption = document.querySelector('#race-setup-type option[value="laps"]');
+    lapsOption.textContent = isSprint ? 'To the finish' : 'Laps';
+    document.querySelector('#race-setup-type option[value="elimination"]').disabled = isSprint;
+    if (isSprint && config.type === 'elimination') document.getElementById('race-setup-type').value = 'laps';
+
+    showGhostMessage('', false);
+    updateGhostInfo();
+    updateSetupFields();
+    document.getElementById('race-setup-overlay').style.display = 'flex';
+}
+
+function hideRaceSetup() {
+    document.getElementById('race-setup-overlay').style.display = 'none';
+}
+
+// Race config from the form, with the lap count clamped to the allowed range
+function readSetup() {
+    const laps = parseInt(document.getElementById('race-setup-laps').value, 10);
+    return {
+        type: document.getElementById('race-setup-type').value,
+        laps: Math.max(RACE_SETUP.minLaps, Math.min(RACE_SETUP.maxLaps, laps || RACE_SETUP.defaultLaps)),
+        timeLimit: parseInt(document.getElementById('race-setup-time').value, 10)
+    };
+}
+
+// Show only the field the race type uses and describe the race
+function updateSetupFields() {
+    const config = readSetup();
+    const isSprint = state.raceMode === 'sprint';
+    const isTimed = config.type === 'timed';
+    const isTrial = config.type === 'trial';
+    const isElimination = config.type === 'elimination';
+
+    // Elimination races run until one car is left, so there's no lap count to pick
+    document.getElementById('race-setup-laps').style.display = !isTimed && !isSprint && !isElimination ? 'block' : 'none';
+    document.getElementById('race-setup-time').style.display = isTimed ? 'block' : 'none';
+    document.getElementById('race-setup-ghost').style.display = isTrial ? 'flex' : 'none';
+
+    let summary;
+    if (isElimination) {
+        summary = 'Last car is out every lap until one is left';
+    } else if (isTrial) {
+        summary = isSprint ? 'Solo run against your ghost' : `Solo laps against your ghost (${config.laps})`;
+    } else if (isTimed) {
+        summary = isSprint
+            ? `First to the finish within ${formatTime(config.timeLimit)}`
+            : `Furthest after ${formatTime(config.timeLimit)} wins`;
+    } else {
+        summary = isSprint ? 'First to the finish line wins' : `First to finish ${config.laps} lap${config.laps === 1 ? '' : 's'} wins`;
+    }
+    document.getElementById('race-setup-summary').textContent = summary;
+}
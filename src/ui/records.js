@@ -0,0 +1,122 @@
+// Records Screen - Personal bests for every track raced, opened from the menu
+
+import { listRecords, clearRecords } from '../track/records.js';
+import { listSavedTracks, getSavedTrackInfo } from '../track/serialize.js';
+import { formatLapTime } from './leaderboard.js';
+import { playDelete } from '../audio/audioManager.js';
+
+let isInitialized = false;
+
+// Initialize the records overlay controls
+export function initRecordsScreen() {
+    if (isInitialized) return;
+    isInitialized = true;
+
+    document.getElementById('records-btn').addEventListener('click', showRecords);
+    document.getElementById('records-close').addEventListener('click', () => {
+        document.getElementById('records-overlay').style.display = 'none';
+    });
+    document.getElementById('records-clear-all-btn').addEventListener('click', () => {
+        if (!confirm('Clear the records for every track?')) return;
+        clearRecords();
+        playDelete();
+        refreshRecords();
+    });
+}
+
+export function showRecords() {
+    refreshRecords();
+    document.getElementById('records-overlay').style.display = 'flex';
+}
+
+// Rebuild the list of tracks raced
+function refreshRecords() {
+    const list = document.getElementById('records-list');
+    list.innerHTML = '';
+
+    const records = listRecords();
+    document.getElementById('records-clear-all-btn').disabled = records.length === 0;
+
+    if (records.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'library-empty';
+        empty.textContent = 'No records yet - finish a race to set some';
+        list.appendChild(empty);
+        return;
+    }
+
+    const names = getSavedTrackNames();
+    records.forEach(record => list.appendChild(createRecordEntry(record, names[record.trackId])));
+}
+
+// Saved track names by layout id; copies of a track share one id, so each id can have several
+function getSavedTrackNames() {
+    const names = {};
+    listSavedTracks()
+        .map(name => getSavedTrackInfo(name))
+        .filter(info => info !== null)
+        .forEach(info => {
+            if (!names[info.layoutId]) names[info.layoutId] = [];
+            names[info.layoutId].push(info.name);
+        });
+    return names;
+}
+
+function createRecordEntry(record, savedNames) {
+    const entry = document.createElement('div');
+    entry.className = 'library-entry';
+
+    const details = document.createElement('div');
+    details.className = 'library-details';
+
+    const name = document.createElement('span');
+    name.className = 'library-track-name';
+    name.textContent = savedNames ? savedNames.join(', ') : `Unsaved track ${record.trackId}`;
+    details.appendChild(name);
+
+    const stats = [];
+    Object.keys(record.bestTimes || {}).forEach(format => {
+        stats.push(`${format}: ${formatLapTime(record.bestTimes[format])}`);
+    });
+    if (record.bestLap !== null) stats.push(`Best lap ${formatLapTime(record.bestLap)}`);
+    if (record.topSpeed !== null) stats.push(`Top speed ${Math.round(record.topSpeed)} MPH`);
+
+    const times = document.createElement('span');
+    times.className = 'library-track-meta';
+    times.textContent = stats.length > 0 ? stats.join(' · ') : 'No finishes yet';
+    details.appendChild(times);
+
+    const meta = document.createElement('span');
+    meta.className = 'library-track-meta';
+    const parts = [`${record.pieceCount} piece${record.pieceCount === 1 ? '' : 's'}`, `${record.races} race${record.races === 1 ? '' : 's'}`];
+    if (record.lastRaced) parts.push(`Last raced ${formatRacedDate(record.lastRaced)}`);
+    meta.textContent = parts.join(' · ');
+    details.appendChild(meta);
+
+    entry.appendChild(details);
+
+    const actions = document.createElement('div');
+    actions.className = 'library-actions';
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'library-btn danger';
+    clearBtn.textContent = 'Clear';
+    clearBtn.addEventListener('click', () => {
+        if (!confirm(`Clear the records for ${name.textContent}?`)) return;
+        clearRecords(record.trackId);
+        playDelete();
+        refreshRecords();
+    });
+    actions.appendChild(clearBtn);
+    entry.appendChild(actions);
+
+    return entry;
+}
+
+function formatRacedDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
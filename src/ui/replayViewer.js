@@ -0,0 +1,148 @@
+// Replay Viewer - Watch the last race back with any car and camera
+
+import * as state from '../state.js';
+import { formatTime } from './leaderboard.js';
+import { followCarCamera } from './camera.js';
+import {
+    hasReplay,
+    getReplayDuration,
+    getReplayCarNames,
+    openReplay,
+    closeReplay,
+    showReplayTime,
+    getReplayCarView
+} from '../car/replay.js';
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+let isInitialized = false;
+
+// Returns to the results when the viewer closes
+let onClose = null;
+
+let replayTime = 0;
+let isPlaying = false;
+let speed = 1;
+let carIndex = 0;
+let cameraMode = 'near';
+
+// Initialize viewer controls; close runs after the race's meshes are put back
+export function initReplayViewer(close) {
+    onClose = close;
+    if (isInitialized) return;
+    isInitialized = true;
+
+    const speedSelect = document.getElementById('replay-speed');
+    SPEEDS.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = `${value}x`;
+        speedSelect.appendChild(option);
+    });
+    speedSelect.value = speed;
+
+    const cameraSelect = document.getElementById('replay-camera');
+    state.CAMERA_MODES.forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = state.CAMERA_MODE_LABELS[mode];
+        cameraSelect.appendChild(option);
+    });
+
+    document.getElementById('replay-play-btn').addEventListener('click', toggleReplayPlaying);
+    speedSelect.addEventListener('change', () => {
+        speed = parseFloat(speedSelect.value);
+    });
+    document.getElementById('replay-car').addEventListener('change', (e) => {
+        carIndex = parseInt(e.target.value, 10);
+        followCar(true);
+    });
+    cameraSelect.addEventListener('change', () => {
+        cameraMode = cameraSelect.value;
+        followCar(true);
+    });
+    document.getElementById('replay-scrubber').addEventListener('input', (e) => {
+        seek(parseFloat(e.target.value));
+    });
+    document.getElementById('replay-close-btn').addEventListener('click', closeReplayViewer);
+}
+
+// Start watching from the beginning, following the player in the race's camera mode.
+// Returns false if there's nothing recorded.
+export function openReplayViewer() {
+    if (!hasReplay()) return false;
+
+    openReplay();
+
+    const carSelect = document.getElementById('replay-car');
+    carSelect.innerHTML = '';
+    getReplayCarNames().forEach((name, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = name;
+        carSelect.appendChild(option);
+    });
+    carIndex = 0;
+    cameraMode = state.cameraMode;
+    document.getElementById('replay-camera').value = cameraMode;
+    document.getElementById('replay-scrubber').max = getReplayDuration();
+
+    seek(0);
+    setPlaying(true);
+    document.getElementById('replay-bar').style.display = 'flex';
+    return true;
+}
+
+export function closeReplayViewer() {
+    setPlaying(false);
+    closeReplay();
+    document.getElementById('replay-bar').style.display = 'none';
+    if (onClose) onClose();
+}
+
+// Advance playback; called every frame while watching. Returns the replay seconds
+// that passed, so effects run at the replay's speed.
+export function updateReplayViewer(delta) {
+    let replayDelta = 0;
+    if (isPlaying) {
+        const duration = getReplayDuration();
+        replayDelta = Math.min(delta * speed, duration - replayTime);
+        replayTime += replayDelta;
+        showReplayTime(replayTime, true);
+        updateTimeline();
+        if (replayTime >= duration) setPlaying(false);
+    }
+
+    followCar(false);
+    return replayDelta;
+}
+
+// Jump to a time without replaying the particle bursts in between
+function seek(time) {
+    replayTime = Math.max(0, Math.min(getReplayDuration(), time));
+    showReplayTime(replayTime, false);
+    updateTimeline();
+    followCar(true);
+}
+
+export function toggleReplayPlaying() {
+    // Playing from the end starts over
+    if (!isPlaying && replayTime >= getReplayDuration()) seek(0);
+    setPlaying(!isPlaying);
+}
+
+function setPlaying(playing) {
+    isPlaying = playing;
+    document.getElementById('replay-play-btn').textContent = playing ? 'Pause' : 'Play';
+}
+
+function followCar(instant) {
+    const view = getReplayCarView(carIndex);
+    followCarCamera(view.position, view.heading, cameraMode, instant);
+}
+
+function updateTimeline() {
+    document.getElementById('replay-scrubber').value = replayTime;
+    document.getElementById('replay-time').textContent =
+        `${formatTime(replayTime)} / ${formatTime(getReplayDuration())}`;
+}
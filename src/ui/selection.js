@@ -0,0 +1,696 @@
+// Multi-select - Shift-click/box selection, group move/rotate and copy/paste of track sections
+
+import * as THREE from 'three';
+import * as state from '../state.js';
+import { scene, controls, camera } from '../scene.js';
+import { PIECE_DEFS } from '../track/pieces.js';
+import { findSnapPoint, checkPlacementValid, checkDecorationPlacementValid, getPieceEndpoints, getWorldPositionFromMouse, snapToGrid, placePieceAt, removeEndpointMarkers, setPieceSurface } from '../track/placement.js';
+import { updateTrackStatus } from '../track/trackState.js';
+import { createDecoration } from '../track/decorations.js';
+import { createPoofEffect } from '../effects/particles.js';
+import { playThump, playDelete } from '../audio/audioManager.js';
+import { captureSnapshot, recordChange } from '../track/history.js';
+import { getClickedPiece, getClickedDecoration } from './dragAndDrop.js';
+
+const HIGHLIGHT_COLOR = 0x45ffa2;
+const ROTATION_STEP = Math.PI / 4;
+const CLICK_SLOP = 5; // px of movement before a click counts as a camera drag
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+// Selected piece and decoration objects (the same objects held in state)
+const selectedPieces = new Set();
+const selectedDecorations = new Set();
+const highlights = new Map();
+
+// Copied section, stored relative to its pivot
+let clipboard = null;
+
+// Box selection
+let boxStart = null;
+
+// Click on empty canvas clears the selection unless the camera was dragged
+let pendingClear = null;
+
+// Last pointer position, for R rotation and starting a paste under the cursor
+const lastPointer = { clientX: 0, clientY: 0 };
+
+// Active group transform (moving the selection or placing a paste)
+// { mode: 'move'|'paste', items, grabOffset, rotation, openEnds, transform, valid, overLibrary }
+// Each item keeps its offset from the group pivot so any transform can be applied from scratch.
+let groupDrag = null;
+
+// ==================== SELECTION ====================
+
+export function getSelectionCount() {
+    return selectedPieces.size + selectedDecorations.size;
+}
+
+function isSelected(obj) {
+    return selectedPieces.has(obj) || selectedDecorations.has(obj);
+}
+
+function addHighlight(obj) {
+    if (highlights.has(obj)) return;
+    const helper = new THREE.BoxHelper(obj.mesh, HIGHLIGHT_COLOR);
+    scene.add(helper);
+    highlights.set(obj, helper);
+}
+
+function removeHighlight(obj) {
+    const helper = highlights.get(obj);
+    if (!helper) return;
+    scene.remove(helper);
+    helper.geometry.dispose();
+    helper.material.dispose();
+    highlights.delete(obj);
+}
+
+function selectPiece(piece) {
+    selectedPieces.add(piece);
+    addHighlight(piece);
+}
+
+function selectDecoration(deco) {
+    selectedDecorations.add(deco);
+    addHighlight(deco);
+}
+
+function toggleSelected(obj, isPiece) {
+    if (isSelected(obj)) {
+        selectedPieces.delete(obj);
+        selectedDecorations.delete(obj);
+        removeHighlight(obj);
+    } else if (isPiece) {
+        selectPiece(obj);
+    } else {
+        selectDecoration(obj);
+    }
+}
+
+export function clearSelection() {
+    highlights.forEach((helper, obj) => removeHighlight(obj));
+    selectedPieces.clear();
+    selectedDecorations.clear();
+}
+
+// Drop anything that no longer exists (after undo, load or clear)
+export function pruneSelection() {
+    selectedPieces.forEach(piece => {
+        if (!state.placedPieces.includes(piece)) {
+            selectedPieces.delete(piece);
+            removeHighlight(piece);
+        }
+    });
+    selectedDecorations.forEach(deco => {
+        if (!state.placedDecorations.includes(deco)) {
+            selectedDecorations.delete(deco);
+            removeHighlight(deco);
+        }
+    });
+}
+
+function refreshHighlights() {
+    highlights.forEach(helper => helper.update());
+}
+
+// ==================== POINTER HANDLING ====================
+
+// Canvas pointerdown - returns true if the selection handled the event
+export function handleSelectionPointerDown(event) {
+    if (state.gameState !== 'building') return false;
+
+    if (groupDrag && groupDrag.mode === 'paste') {
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.button === 0) commitPaste();
+        return true;
+    }
+
+    pruneSelection();
+
+    const pieceIndex = getClickedPiece(event.clientX, event.clientY);
+    const decoIndex = pieceIndex < 0 ? getClickedDecoration(event.clientX, event.clientY) : -1;
+    const clicked = pieceIndex >= 0 ? state.placedPieces[pieceIndex] :
+        decoIndex >= 0 ? state.placedDecorations[decoIndex] : null;
+
+    if (event.shiftKey) {
+        event.preventDefault();
+        event.stopPropagation();
+        controls.enabled = false;
+        if (clicked) {
+            toggleSelected(clicked, pieceIndex >= 0);
+        } else {
+            startBoxSelect(event);
+        }
+        return true;
+    }
+
+    if (clicked && isSelected(clicked) && getSelectionCount() > 1) {
+        event.preventDefault();
+        event.stopPropagation();
+        startGroupMove(event);
+        return true;
+    }
+
+    if (clicked) {
+        // Picking up a single unselected item falls through to the normal drag
+        clearSelection();
+        return false;
+    }
+
+    pendingClear = { x: event.clientX, y: event.clientY };
+    return false;
+}
+
+// Document mousemove - returns true if the selection handled the event
+export function handleSelectionPointerMove(event) {
+    lastPointer.clientX = event.clientX;
+    lastPointer.clientY = event.clientY;
+
+    if (boxStart) {
+        updateBoxSelect(event);
+        return true;
+    }
+    if (groupDrag) {
+        updateGroupDrag(event);
+        return true;
+    }
+    return false;
+}
+
+// Document mouseup - returns true if the selection handled the event
+export function handleSelectionPointerUp(event) {
+    if (boxStart) {
+        endBoxSelect(event);
+        controls.enabled = true;
+        return true;
+    }
+    if (groupDrag && groupDrag.mode === 'move') {
+        endGroupMove(event);
+        return true;
+    }
+    if (pendingClear) {
+        const moved = Math.hypot(event.clientX - pendingClear.x, event.clientY - pendingClear.y);
+        if (moved < CLICK_SLOP) clearSelection();
+        pendingClear = null;
+    }
+    if (state.gameState === 'building' && !groupDrag) {
+        controls.enabled = true;
+    }
+    return false;
+}
+
+export function isSelectionDragActive() {
+    return boxStart !== null || groupDrag !== null;
+}
+
+// ==================== BOX SELECT ====================
+
+function startBoxSelect(event) {
+    boxStart = { x: event.clientX, y: event.clientY };
+    updateBoxSelect(event);
+    document.getElementById('selection-box').style.display = 'block';
+}
+
+function updateBoxSelect(event) {
+    const box = document.getElementById('selection-box');
+    box.style.left = Math.min(boxStart.x, event.clientX) + 'px';
+    box.style.top = Math.min(boxStart.y, event.clientY) + 'px';
+    box.style.width = Math.abs(event.clientX - boxStart.x) + 'px';
+    box.style.height = Math.abs(event.clientY - boxStart.y) + 'px';
+}
+
+function toScreen(position) {
+    const v = position.clone().project(camera);
+    return {
+        x: (v.x + 1) / 2 * window.innerWidth,
+        y: (1 - v.y) / 2 * window.innerHeight
+    };
+}
+
+function endBoxSelect(event) {
+    const minX = Math.min(boxStart.x, event.clientX);
+    const maxX = Math.max(boxStart.x, event.clientX);
+    const minY = Math.min(boxStart.y, event.clientY);
+    const maxY = Math.max(boxStart.y, event.clientY);
+    const inBox = (p) => p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY;
+
+    for (const piece of state.placedPieces) {
+        // Use the midpoint so curves are picked by where they visibly sit
+        const ends = getPieceEndpoints(piece);
+        const mid = ends.start.position.clone().add(ends.end.position).multiplyScalar(0.5);
+        if (inBox(toScreen(mid))) selectPiece(piece);
+    }
+    for (const deco of state.placedDecorations) {
+        if (inBox(toScreen(deco.position))) selectDecoration(deco);
+    }
+
+    document.getElementById('selection-box').style.display = 'none';
+    boxStart = null;
+}
+
+// ==================== GROUP TRANSFORM ====================
+
+// Center of the items on the grid, used as the rotation pivot
+function getPivot(items) {
+    const center = new THREE.Vector3();
+    items.forEach(item => center.add(item.origin));
+    center.divideScalar(items.length);
+    const pivot = snapToGrid(center);
+    pivot.y = 0;
+    return pivot;
+}
+
+// Selected objects as group items with offsets from a shared pivot
+function collectSelection(withMeshes) {
+    const items = [
+        ...[...selectedPieces].map(piece => makeItem(piece, true, withMeshes ? piece.mesh : null)),
+        ...[...selectedDecorations].map(deco => makeItem(deco, false, withMeshes ? deco.mesh : null))
+    ];
+    const pivot = getPivot(items);
+    items.forEach(item => { item.offset = item.origin.clone().sub(pivot); });
+    return { items, pivot };
+}
+
+// Piece ends not joined to another piece in the same group - candidates for snapping
+function findOpenEnds(items) {
+    const pieces = items.filter(item => item.isPiece);
+    const ends = pieces.map(item => getPieceEndpoints({
+        type: item.type, position: item.offset, heading: item.originHeading, elevation: item.elevation
+    }));
+    const joined = (pos, self) => ends.some((other, i) => i !== self &&
+        (pos.distanceTo(other.start.position) < 5 || pos.distanceTo(other.end.position) < 5));
+
+    const open = [];
+    ends.forEach((end, i) => {
+        if (!joined(end.start.position, i)) open.push({ item: pieces[i], which: 'start' });
+        if (!joined(end.end.position, i)) open.push({ item: pieces[i], which: 'end' });
+    });
+    return open;
+}
+
+function transformItem(item, transform) {
+    const position = item.offset.clone().applyAxisAngle(Y_AXIS, transform.rotation).add(transform.pivot);
+    position.y = item.offset.y;
+    return { position, heading: item.originHeading + transform.rotation };
+}
+
+// Run fn with the group's own pieces and decorations out of state, so checks only see the rest of the track
+function withoutGroup(fn) {
+    const groupObjects = new Set(groupDrag.items.map(item => item.obj).filter(Boolean));
+    const pieces = state.placedPieces.slice();
+    const decorations = state.placedDecorations.slice();
+
+    state.placedPieces.length = 0;
+    state.placedPieces.push(...pieces.filter(p => !groupObjects.has(p)));
+    state.placedDecorations.length = 0;
+    state.placedDecorations.push(...decorations.filter(d => !groupObjects.has(d)));
+
+    try {
+        return fn();
+    } finally {
+        state.placedPieces.length = 0;
+        state.placedPieces.push(...pieces);
+        state.placedDecorations.length = 0;
+        state.placedDecorations.push(...decorations);
+    }
+}
+
+// Try to connect one of the group's open ends to the rest of the track
+function findGroupSnap(freeTransform) {
+    let best = null;
+
+    for (const open of groupDrag.openEnds) {
+        const placed = transformItem(open.item, freeTransform);
+        const ends = getPieceEndpoints({ type: open.item.type, position: placed.position, heading: placed.heading, elevation: open.item.elevation });
+        const probe = open.which === 'start' ? ends.start.position : ends.end.position;
+
+        state.setDragPieceType(open.item.type);
+        const snap = findSnapPoint(probe, placed.heading);
+        state.setDragPieceType(null);
+
+        if (!snap || (snap.elevation || 0) !== open.item.elevation) continue;
+        if (best && best.snap.distance <= snap.distance) continue;
+
+        // Rotate and move the whole group so this piece lands on the snap
+        const rotation = snap.heading - open.item.originHeading;
+        const offset = open.item.offset.clone().applyAxisAngle(Y_AXIS, rotation);
+        const pivot = snap.position.clone().sub(offset);
+        pivot.y = 0;
+        best = { snap, transform: { pivot, rotation } };
+    }
+
+    return best ? best.transform : null;
+}
+
+function isGroupPlacementValid(transform) {
+    return groupDrag.items.every(item => {
+        const placed = transformItem(item, transform);
+        return item.isPiece
+            ? checkPlacementValid(placed.position, placed.heading, item.type, null, item.elevation)
+            : checkDecorationPlacementValid(placed.position, placed.heading, item.type);
+    });
+}
+
+function applyTransformToMeshes(transform) {
+    for (const item of groupDrag.items) {
+        const placed = transformItem(item, transform);
+        item.mesh.position.copy(placed.position);
+        if (groupDrag.mode === 'paste') item.mesh.position.y += 0.3;
+        item.mesh.rotation.y = placed.heading;
+    }
+    refreshHighlights();
+}
+
+function tintPreview(valid) {
+    groupDrag.items.forEach(item => item.mesh.traverse(child => {
+        if (child.isMesh && child.material) child.material.color.setHex(valid ? 0x44aa44 : 0xaa4444);
+    }));
+}
+
+function updateGroupDrag(event) {
+    const indicator = document.getElementById('drop-indicator');
+    const dropTarget = document.elementFromPoint(event.clientX, event.clientY);
+    const isOverLibrary = groupDrag.mode === 'move' && dropTarget && dropTarget.closest('#gallery-panel');
+    const deleteOverlay = document.getElementById('delete-overlay');
+
+    if (isOverLibrary) {
+        groupDrag.items.forEach(item => { item.mesh.visible = false; });
+        if (deleteOverlay) deleteOverlay.style.background = 'rgba(244, 67, 54, 0.9)';
+        indicator.textContent = `Release to delete ${groupDrag.items.length} items!`;
+        indicator.style.background = 'rgba(244, 67, 54, 0.9)';
+        groupDrag.overLibrary = true;
+        return;
+    }
+    groupDrag.overLibrary = false;
+    groupDrag.items.forEach(item => { item.mesh.visible = true; });
+    if (deleteOverlay) deleteOverlay.style.background = 'rgba(0, 0, 0, 0.85)';
+
+    const worldPos = getWorldPositionFromMouse(event.clientX, event.clientY);
+    if (!worldPos) return;
+
+    const freePivot = snapToGrid(worldPos.clone().add(groupDrag.grabOffset));
+    freePivot.y = 0;
+    const freeTransform = { pivot: freePivot, rotation: groupDrag.rotation };
+
+    const result = withoutGroup(() => {
+        const snapped = findGroupSnap(freeTransform);
+        if (snapped && isGroupPlacementValid(snapped)) return { transform: snapped, valid: true, snapped: true };
+        return { transform: freeTransform, valid: isGroupPlacementValid(freeTransform), snapped: false };
+    });
+
+    groupDrag.transform = result.transform;
+    groupDrag.valid = result.valid;
+    applyTransformToMeshes(result.transform);
+    if (groupDrag.mode === 'paste') tintPreview(result.valid);
+
+    const action = groupDrag.mode === 'paste' ? 'Click to paste' : 'Drop to move';
+    indicator.textContent = result.valid
+        ? `${action}${result.snapped ? ' and connect' : ''}! R to rotate`
+        : 'Invalid - overlaps the track';
+    indicator.style.background = result.valid ? 'rgba(76, 175, 80, 0.9)' : 'rgba(244, 67, 54, 0.9)';
+}
+
+// R while moving or pasting turns the group by 45°
+export function rotateGroup() {
+    if (!groupDrag) return false;
+    groupDrag.rotation += ROTATION_STEP;
+    updateGroupDrag(lastPointer);
+    return true;
+}
+
+function makeItem(obj, isPiece, mesh) {
+    return {
+        obj,
+        isPiece,
+        type: obj.type,
+        mesh,
+        origin: obj.position.clone(),
+        originHeading: obj.heading,
+        elevation: isPiece ? (obj.elevation || 0) : 0
+    };
+}
+
+function showDragIndicator() {
+    const indicator = document.getElementById('drop-indicator');
+    indicator.style.display = 'block';
+}
+
+function hideDragIndicator() {
+    document.getElementById('drop-indicator').style.display = 'none';
+    const deleteOverlay = document.getElementById('delete-overlay');
+    if (deleteOverlay) {
+        deleteOverlay.classList.remove('active');
+        deleteOverlay.style.background = 'rgba(0, 0, 0, 0.85)';
+    }
+}
+
+// ==================== GROUP MOVE ====================
+
+function startGroupMove(event) {
+    const { items, pivot } = collectSelection(true);
+    const worldPos = getWorldPositionFromMouse(event.clientX, event.clientY) || pivot.clone();
+
+    groupDrag = {
+        mode: 'move',
+        items,
+        grabOffset: pivot.clone().sub(worldPos).setY(0),
+        rotation: 0,
+        openEnds: findOpenEnds(items),
+        transform: { pivot: pivot.clone(), rotation: 0 },
+        valid: true,
+        overLibrary: false
+    };
+
+    controls.enabled = false;
+    items.forEach(item => { if (item.isPiece) removeEndpointMarkers(item.obj); });
+    showDragIndicator();
+    const deleteOverlay = document.getElementById('delete-overlay');
+    if (deleteOverlay) deleteOverlay.classList.add('active');
+    updateGroupDrag(event);
+}
+
+function endGroupMove() {
+    const drag = groupDrag;
+    groupDrag = null;
+    hideDragIndicator();
+    if (state.gameState === 'building') controls.enabled = true;
+
+    if (drag.overLibrary) {
+        drag.items.forEach(item => { item.mesh.visible = true; });
+        deleteSelection();
+        return;
+    }
+
+    if (!drag.valid) {
+        // Put everything back where it started
+        drag.items.forEach(item => {
+            item.mesh.position.copy(item.origin);
+            item.mesh.rotation.y = item.originHeading;
+        });
+        refreshHighlights();
+        return;
+    }
+
+    const before = captureSnapshot();
+    for (const item of drag.items) {
+        const placed = transformItem(item, drag.transform);
+        item.obj.position.copy(placed.position);
+        item.obj.heading = placed.heading;
+
+        if (item.isPiece) {
+            const zone = state.obstacleZones.find(z => z.pieceIndex === state.placedPieces.indexOf(item.obj));
+            if (zone) {
+                zone.position = placed.position.clone();
+                zone.heading = placed.heading;
+            }
+        }
+    }
+
+    updateTrackStatus();
+    recordChange('Move selection', before);
+    createPoofEffect(drag.transform.pivot);
+    playThump();
+}
+
+// ==================== DELETE ====================
+
+export function deleteSelection() {
+    pruneSelection();
+    if (getSelectionCount() === 0) return false;
+
+    const before = captureSnapshot();
+
+    // Remove pieces and re-point obstacle zones at the surviving indices
+    const removed = new Set(selectedPieces);
+    const indexMap = new Map();
+    let next = 0;
+    state.placedPieces.forEach((piece, i) => {
+        if (!removed.has(piece)) indexMap.set(i, next++);
+    });
+    state.setObstacleZones(state.obstacleZones
+        .filter(zone => indexMap.has(zone.pieceIndex))
+        .map(zone => ({ ...zone, pieceIndex: indexMap.get(zone.pieceIndex) })));
+
+    for (const piece of removed) {
+        removeEndpointMarkers(piece);
+        scene.remove(piece.mesh);
+        state.trackElements.splice(state.trackElements.indexOf(piece.mesh), 1);
+        state.placedPieces.splice(state.placedPieces.indexOf(piece), 1);
+        if (piece.type === 'start') state.setHasStart(false);
+    }
+
+    for (const deco of selectedDecorations) {
+        scene.remove(deco.mesh);
+        state.decorationElements.splice(state.decorationElements.indexOf(deco.mesh), 1);
+        state.placedDecorations.splice(state.placedDecorations.indexOf(deco), 1);
+    }
+
+    clearSelection();
+    updateTrackStatus();
+    recordChange('Delete selection', before);
+    playDelete();
+    return true;
+}
+
+// ==================== COPY / PASTE ====================
+
+export function copySelection() {
+    pruneSelection();
+    if (getSelectionCount() === 0) return false;
+
+    clipboard = collectSelection(false).items.map(item => ({
+        isPiece: item.isPiece,
+        type: item.type,
+        offset: item.offset.clone(),
+        heading: item.originHeading,
+        elevation: item.elevation,
+        surface: item.isPiece ? item.obj.surface || null : null
+    }));
+    return true;
+}
+
+function createPreviewMesh(entry) {
+    let mesh;
+    if (entry.isPiece) {
+        const def = PIECE_DEFS[entry.type];
+        mesh = def.createMesh(def, false, 0);
+    } else {
+        mesh = createDecoration(entry.type);
+    }
+    // Materials are cloned to fade the preview; remember them to dispose of later, since
+    // models that load afterwards share their materials and geometry with placed pieces
+    mesh.userData.previewMaterials = [];
+    mesh.traverse(child => {
+        if (child.isMesh && child.material) {
+            child.material = child.material.clone();
+            child.material.transparent = true;
+            child.material.opacity = 0.7;
+            mesh.userData.previewMaterials.push(child.material);
+        }
+    });
+    scene.add(mesh);
+    return mesh;
+}
+
+// Start placing the clipboard contents; a click commits, Escape cancels
+export function startPaste() {
+    if (!clipboard || groupDrag || state.gameState !== 'building') return false;
+
+    const items = clipboard.map(entry => ({
+        obj: null,
+        isPiece: entry.isPiece,
+        type: entry.type,
+        mesh: createPreviewMesh(entry),
+        offset: entry.offset.clone(),
+        originHeading: entry.heading,
+        elevation: entry.elevation,
+        surface: entry.surface
+    }));
+
+    groupDrag = {
+        mode: 'paste',
+        items,
+        grabOffset: new THREE.Vector3(0, 0, 0),
+        rotation: 0,
+        openEnds: findOpenEnds(items),
+        transform: { pivot: new THREE.Vector3(0, 0, 0), rotation: 0 },
+        valid: false,
+        overLibrary: false
+    };
+
+    clearSelection();
+    showDragIndicator();
+    updateGroupDrag(lastPointer);
+    return true;
+}
+
+function removePastePreviews() {
+    groupDrag.items.forEach(item => {
+        scene.remove(item.mesh);
+        item.mesh.userData.previewMaterials.forEach(material => material.dispose());
+    });
+}
+
+export function cancelGroupDrag() {
+    if (!groupDrag) return false;
+
+    if (groupDrag.mode === 'paste') {
+        removePastePreviews();
+    } else {
+        groupDrag.items.forEach(item => {
+            item.mesh.visible = true;
+            item.mesh.position.copy(item.origin);
+            item.mesh.rotation.y = item.originHeading;
+        });
+        refreshHighlights();
+    }
+
+    groupDrag = null;
+    hideDragIndicator();
+    if (state.gameState === 'building') controls.enabled = true;
+    return true;
+}
+
+function commitPaste() {
+    if (!groupDrag.valid) return;
+
+    const before = captureSnapshot();
+    const { items, transform } = groupDrag;
+    removePastePreviews();
+
+    const pasted = [];
+    for (const item of items) {
+        const placed = transformItem(item, transform);
+        if (item.isPiece) {
+            const count = state.placedPieces.length;
+            placePieceAt(item.type, placed.position, placed.heading, item.elevation);
+            // placePieceAt refuses a second start piece
+            if (state.placedPieces.length > count) {
+                const piece = state.placedPieces[count];
+                if (item.surface) setPieceSurface(piece, item.surface);
+                pasted.push({ obj: piece, isPiece: true });
+            }
+        } else {
+            const mesh = createDecoration(item.type);
+            mesh.position.copy(placed.position);
+            mesh.rotation.y = placed.heading;
+            scene.add(mesh);
+            const deco = { type: item.type, position: placed.position.clone(), heading: placed.heading, mesh };
+            state.placedDecorations.push(deco);
+            state.decorationElements.push(mesh);
+            pasted.push({ obj: deco, isPiece: false });
+        }
+    }
+
+    groupDrag = null;
+    hideDragIndicator();
+
+    updateTrackStatus();
+    recordChange('Paste', before);
+    createPoofEffect(transform.pivot);
+    playThump();
+
+    // Leave the pasted section selected so it can be nudged straight away
+    pasted.forEach(({ obj, isPiece }) => isPiece ? selectPiece(obj) : selectDecoration(obj));
+}
@@ -0,0 +1,184 @@
+// Touch Controls - On-screen steering, pedals and drift button for racing on phones and
+// tablets. Shown while driving on touch screens; every finger is tracked on its own, so
+// steering, pedals and drift can all be held at once.
+
+import * as state from '../state.js';
+import { TOUCH } from '../constants.js';
+import { setTouchInput, triggerAction } from '../input.js';
+
+let isInitialized = false;
+
+// Matches when the main pointer is a finger
+let touchQuery = null;
+
+let isVisible = false;
+
+// Finger on the steering area, { id, startX }: steering follows how far it slides from
+// where it landed
+let steerTouch = null;
+let touchSteer = 0;
+
+// Tilting the device steers instead of the steering area
+let useTilt = false;
+let tiltSteer = 0;
+
+// Fingers on each pedal, so lifting one of two fingers doesn't let go
+const held = { throttle: new Set(), brake: new Set(), handbrake: new Set() };
+
+// Initialize the touch HUD
+export function initTouchControls() {
+    if (isInitialized) return;
+    isInitialized = true;
+
+    touchQuery = window.matchMedia('(pointer: coarse)');
+
+    const steerArea = document.getElementById('touch-steer');
+    steerArea.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        if (steerTouch) return;
+        const touch = e.changedTouches[0];
+        steerTouch = { id: touch.identifier, startX: touch.clientX };
+    }, { passive: false });
+    steerArea.addEventListener('touchmove', (e) => {
+        e.preventDefault();
+        const touch = findSteerTouch(e.changedTouches);
+        if (!touch) return;
+        setTouchSteer((touch.clientX - steerTouch.startX) / TOUCH.steerRadius);
+    }, { passive: false });
+    const releaseSteer = (e) => {
+        if (!findSteerTouch(e.changedTouches)) return;
+        steerTouch = null;
+        setTouchSteer(0);
+    };
+    steerArea.addEventListener('touchend', releaseSteer);
+    steerArea.addEventListener('touchcancel', releaseSteer);
+
+    bindPedal('touch-throttle', 'throttle');
+    bindPedal('touch-brake', 'brake');
+    bindPedal('touch-drift', 'handbrake');
+
+    document.getElementById('touch-pause').addEventListener('click', () => triggerAction('pause'));
+    document.getElementById('touch-camera').addEventListener('click', () => triggerAction('camera'));
+
+    const tiltBtn = document.getElementById('touch-tilt');
+    if (window.DeviceOrientationEvent) {
+        tiltBtn.addEventListener('click', toggleTilt);
+    } else {
+        tiltBtn.style.display = 'none';
+    }
+}
+
+function findSteerTouch(touches) {
+    if (!steerTouch) return null;
+    return Array.from(touches).find(touch => touch.identifier === steerTouch.id) || null;
+}
+
+function setTouchSteer(value) {
+    touchSteer = Math.max(-1, Math.min(1, value));
+    document.getElementById('touch-steer-knob').style.transform = `translateX(${touchSteer * TOUCH.steerRadius}px)`;
+    publishInput();
+}
+
+// Held while any finger is on it
+function bindPedal(id, control) {
+    const el = document.getElementById(id);
+    el.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        Array.from(e.changedTouches).forEach(touch => held[control].add(touch.identifier));
+        el.classList.add('pressed');
+        publishInput();
+    }, { passive: false });
+
+    const release = (e) => {
+        Array.from(e.changedTouches).forEach(touch => held[control].delete(touch.identifier));
+        el.classList.toggle('pressed', held[control].size > 0);
+        publishInput();
+    };
+    el.addEventListener('touchend', release);
+    el.addEventListener('touchcancel', release);
+}
+
+// Hand the HUD's controls to the driving input
+function publishInput() {
+    setTouchInput({
+        throttle: isVisible && held.throttle.size > 0 ? 1 : 0,
+        brake: isVisible && held.brake.size > 0 ? 1 : 0,
+        steer: isVisible ? (useTilt ? tiltSteer : touchSteer) : 0,
+        handbrake: isVisible && held.handbrake.size > 0 ? 1 : 0
+    });
+}
+
+// ==================== TILT ====================
+
+function toggleTilt() {
+    if (useTilt) {
+        setTilt(false);
+        return;
+    }
+
+    // iOS asks the player first
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+        DeviceOrientationEvent.requestPermission()
+            .then(result => setTilt(result === 'granted'))
+            .catch(e => console.warn('Tilt steering unavailable:', e.message));
+    } else {
+        setTilt(true);
+    }
+}
+
+function setTilt(enabled) {
+    useTilt = enabled;
+    tiltSteer = 0;
+    if (enabled) {
+        window.addEventListener('deviceorientation', onDeviceOrientation);
+    } else {
+        window.removeEventListener('deviceorientation', onDeviceOrientation);
+    }
+    document.getElementById('touch-controls').classList.toggle('tilt', enabled);
+    document.getElementById('touch-tilt').classList.toggle('active', enabled);
+    publishInput();
+}
+
+// Steering is a roll of the device like a wheel, which is a different axis depending on
+// which way up the screen is
+function onDeviceOrientation(e) {
+    const angle = screen.orientation ? screen.orientation.angle : window.orientation || 0;
+    let tilt;
+    if (angle === 90) {
+        tilt = e.beta;
+    } else if (angle === 270 || angle === -90) {
+        tilt = -e.beta;
+    } else if (angle === 180) {
+        tilt = -e.gamma;
+    } else {
+        tilt = e.gamma;
+    }
+    if (tilt === null) return;
+
+    const magnitude = Math.max(0, Math.abs(tilt) - TOUCH.tiltDeadzone);
+    tiltSteer = Math.sign(tilt) * Math.min(1, magnitude / (TOUCH.tiltRange - TOUCH.tiltDeadzone));
+    publishInput();
+}
+
+// ==================== VISIBILITY ====================
+
+// Called every frame: the HUD shows while driving on a touch screen, and lets go of
+// everything when it hides
+export function updateTouchControls() {
+    if (!touchQuery) return;
+    const show = touchQuery.matches && state.gameState === 'racing' && !state.isPaused && !state.playerFinished;
+    if (show === isVisible) return;
+
+    isVisible = show;
+    document.getElementById('touch-controls').style.display = show ? 'block' : 'none';
+    document.body.classList.toggle('touch-racing', show);
+
+    if (!show) {
+        steerTouch = null;
+        touchSteer = 0;
+        document.getElementById('touch-steer-knob').style.transform = '';
+        Object.keys(held).forEach(control => held[control].clear());
+        document.querySelectorAll('#touch-controls .pressed').forEach(el => el.classList.remove('pressed'));
+    }
+    publishInput();
+}
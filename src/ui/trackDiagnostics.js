@@ -0,0 +1,161 @@
+// Track Diagnostics - Mark what's keeping the track from closing and list it in a panel
+
+import * as THREE from 'three';
+import * as state from '../state.js';
+import { scene } from '../scene.js';
+import { diagnoseTrack, onTrackStatusChange } from '../track/trackState.js';
+import { focusBuildCamera } from './camera.js';
+import { startAutoClose, acceptAutoClose, cancelAutoClose } from './autoClosePreview.js';
+
+// Marker colour per problem type
+const PROBLEM_COLORS = {
+    'no-start': 0xff44ff,
+    'extra-start': 0xff44ff,
+    'dangling': 0xffa500,
+    'near-miss': 0xffeb3b,
+    'elevation': 0x42a5f5,
+    'overlap': 0xff4444
+};
+
+const MARKER_HEIGHT = 12; // Pin head height above the problem point
+
+let isInitialized = false;
+let isEnabled = false;
+let isVisible = false;
+let markerGroup = null;
+
+// Initialize the diagnostics toggle and keep the report in sync with the track
+export function initTrackDiagnostics() {
+    if (isInitialized) return;
+    isInitialized = true;
+
+    document.getElementById('diagnostics-btn').addEventListener('click', () => {
+        isEnabled = !isEnabled;
+        refreshDiagnostics();
+    });
+    document.getElementById('diagnostics-close').addEventListener('click', () => {
+        isEnabled = false;
+        refreshDiagnostics();
+    });
+
+    document.getElementById('autoclose-btn').addEventListener('click', () => {
+        document.getElementById('autoclose-message').textContent = startAutoClose();
+    });
+    document.getElementById('autoclose-accept-btn').addEventListener('click', acceptAutoClose);
+    document.getElementById('autoclose-reject-btn').addEventListener('click', cancelAutoClose);
+
+    onTrackStatusChange(() => {
+        // A suggestion is only valid for the layout it was made for
+        cancelAutoClose();
+        refreshDiagnostics();
+    });
+}
+
+// Builder UI visibility (diagnostics stay enabled but hidden while racing)
+export function setDiagnosticsVisible(visible) {
+    isVisible = visible;
+    refreshDiagnostics();
+}
+
+function refreshDiagnostics() {
+    const panel = document.getElementById('diagnostics-panel');
+    const button = document.getElementById('diagnostics-btn');
+    if (!panel) return;
+
+    clearMarkers();
+    button.classList.toggle('active', isEnabled);
+
+    if (!isEnabled || !isVisible || state.gameState !== 'building') {
+        panel.style.display = 'none';
+        cancelAutoClose();
+        return;
+    }
+
+    const problems = diagnoseTrack();
+    problems.forEach(problem => {
+        if (problem.position) addMarker(problem);
+    });
+    renderProblemList(problems);
+    document.getElementById('autoclose-btn').style.display = state.trackClosed ? 'none' : 'block';
+    document.getElementById('autoclose-message').textContent = '';
+    panel.style.display = 'flex';
+}
+
+function renderProblemList(problems) {
+    const summary = document.getElementById('diagnostics-summary');
+    const list = document.getElementById('diagnostics-list');
+    list.innerHTML = '';
+
+    if (state.placedPieces.length === 0) {
+        summary.textContent = 'Place some pieces to start a track';
+    } else if (problems.length === 0) {
+        if (state.trackClosed) summary.textContent = 'Track is closed and ready to race';
+        else if (state.raceMode === 'sprint') summary.textContent = 'Sprint is ready to race';
+        else summary.textContent = 'No problems found';
+    } else {
+        summary.textContent = `${problems.length} problem${problems.length === 1 ? '' : 's'} found`;
+    }
+
+    problems.forEach(problem => {
+        const item = document.createElement('li');
+        item.className = 'diagnostics-item' + (problem.position ? ' focusable' : '');
+
+        const dot = document.createElement('span');
+        dot.className = 'diagnostics-dot';
+        dot.style.background = '#' + PROBLEM_COLORS[problem.type].toString(16).padStart(6, '0');
+        item.appendChild(dot);
+
+        const text = document.createElement('span');
+        text.textContent = problem.message;
+        item.appendChild(text);
+
+        if (problem.position) {
+            item.addEventListener('click', () => focusBuildCamera(problem.position));
+        }
+        list.appendChild(item);
+    });
+}
+
+// A pin standing on the problem point so it shows from the isometric camera
+function addMarker(problem) {
+    if (!markerGroup) {
+        markerGroup = new THREE.Group();
+        markerGroup.name = 'diagnosticsMarkers';
+        scene.add(markerGroup);
+    }
+
+    const color = PROBLEM_COLORS[problem.type];
+    const material = new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.9 });
+
+    const marker = new THREE.Group();
+    marker.position.copy(problem.position);
+
+    const ring = new THREE.Mesh(new THREE.RingGeometry(3, 4, 24), material);
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 2.5;
+    marker.add(ring);
+
+    const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, MARKER_HEIGHT, 8), material);
+    pole.position.y = 2.5 + MARKER_HEIGHT / 2;
+    marker.add(pole);
+
+    const head = new THREE.Mesh(new THREE.SphereGeometry(2, 16, 12), material);
+    head.position.y = 2.5 + MARKER_HEIGHT;
+    marker.add(head);
+
+    marker.renderOrder = 10;
+    marker.traverse(child => { child.renderOrder = 10; });
+    markerGroup.add(marker);
+}
+
+function clearMarkers() {
+    if (!markerGroup) return;
+    markerGroup.traverse(child => {
+        if (child.isMesh) {
+            child.geometry.dispose();
+            child.material.dispose();
+        }
+    });
+    scene.remove(markerGroup);
+    markerGroup = null;
+}
@@ -0,0 +1,73 @@
+// Track Generator - Build a random closed track from a seed in the build menu
+
+import { generateTrack } from '../track/generator.js';
+import { loadTrackData } from '../track/serialize.js';
+import { captureSnapshot, recordChange } from '../track/history.js';
+import { playThump } from '../audio/audioManager.js';
+
+let isInitialized = false;
+
+// Initialize the generator controls in the menu overlay
+export function initTrackGenerator() {
+    if (isInitialized) return;
+    isInitialized = true;
+
+    const seedInput = document.getElementById('generator-seed-input');
+    seedInput.value = createSeed();
+
+    seedInput.addEventListener('keydown', (e) => {
+        e.stopPropagation(); // Keep builder shortcuts (R/Q/E) out of the text field
+        if (e.key === 'Enter') generateFromMenu();
+    });
+
+    document.getElementById('generator-random-btn').addEventListener('click', () => {
+        seedInput.value = createSeed();
+        showGeneratorMessage('');
+    });
+
+    document.getElementById('generator-btn').addEventListener('click', generateFromMenu);
+}
+
+// Short, easy-to-share seed
+function createSeed() {
+    return Math.random().toString(36).slice(2, 8);
+}
+
+function showGeneratorMessage(text, isError = false) {
+    const message = document.getElementById('generator-message');
+    if (!message) return;
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+}
+
+function generateFromMenu() {
+    const seed = document.getElementById('generator-seed-input').value.trim();
+    if (!seed) {
+        showGeneratorMessage('Enter a seed or pick a random one', true);
+        return;
+    }
+
+    const options = {
+        seed,
+        length: Number(document.getElementById('generator-length').value),
+        difficulty: document.getElementById('generator-difficulty').value,
+        pieces: Array.from(document.querySelectorAll('#generator-pieces input:checked'), input => input.value),
+        decorations: document.getElementById('generator-decorations').checked,
+        crates: document.getElementById('generator-crates').checked
+    };
+
+    let data;
+    try {
+        data = generateTrack(options);
+    } catch (e) {
+        showGeneratorMessage(e.message, true);
+        return;
+    }
+
+    const before = captureSnapshot();
+    loadTrackData(data);
+    recordChange(`Generate "${seed}"`, before);
+    playThump();
+    showGeneratorMessage('');
+    document.getElementById('menu-overlay').style.display = 'none';
+}
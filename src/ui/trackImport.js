@@ -0,0 +1,134 @@
+// Track Import - Load exported track JSON via file picker or by dropping it on the canvas
+
+import * as state from '../state.js';
+import { parseTrack, loadTrackData, exportTrackAsFile } from '../track/serialize.js';
+import { captureSnapshot, recordChange } from '../track/history.js';
+import { playThump } from '../audio/audioManager.js';
+
+let isInitialized = false;
+
+// Parsed data waiting on the user to accept a partial load
+let pendingImport = null;
+
+// Initialize import/export controls and canvas file drop
+export function initTrackImport() {
+    if (isInitialized) return;
+    isInitialized = true;
+
+    const fileInput = document.getElementById('import-file-input');
+
+    document.getElementById('import-file-btn').addEventListener('click', () => {
+        fileInput.click();
+    });
+
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) importFile(fileInput.files[0]);
+        fileInput.value = ''; // Allow re-importing the same file
+    });
+
+    document.getElementById('export-file-btn').addEventListener('click', () => {
+        exportTrackAsFile();
+    });
+
+    document.getElementById('import-load-btn').addEventListener('click', () => {
+        if (pendingImport) applyImport(pendingImport);
+        hideImportReport();
+    });
+
+    document.getElementById('import-cancel-btn').addEventListener('click', hideImportReport);
+    document.getElementById('import-close').addEventListener('click', hideImportReport);
+
+    setupFileDrop();
+}
+
+// Accept .json files dragged from the desktop onto the canvas
+function setupFileDrop() {
+    const container = document.getElementById('canvas-container');
+    const indicator = document.getElementById('drop-indicator');
+
+    const isFileDrag = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+    container.addEventListener('dragover', (e) => {
+        if (!isFileDrag(e) || state.gameState !== 'building') return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        indicator.textContent = 'Drop to import track file';
+        indicator.style.background = 'rgba(76, 175, 80, 0.9)';
+        indicator.style.display = 'block';
+    });
+
+    container.addEventListener('dragleave', () => {
+        indicator.style.display = 'none';
+    });
+
+    container.addEventListener('drop', (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        indicator.style.display = 'none';
+        if (state.gameState !== 'building') return;
+
+        const file = e.dataTransfer.files[0];
+        if (file) importFile(file);
+    });
+}
+
+function importFile(file) {
+    if (!file.name.toLowerCase().endsWith('.json') && file.type !== 'application/json') {
+        showImportReport(`"${file.name}" is not a JSON file`, [], null);
+        return;
+    }
+
+    file.text().then(text => {
+        let result;
+        try {
+            result = parseTrack(text);
+        } catch (e) {
+            showImportReport(`Couldn't import "${file.name}": ${e.message}`, [], null);
+            return;
+        }
+
+        if (result.errors.length === 0) {
+            applyImport(result.data);
+            return;
+        }
+
+        const total = result.data.pieces.length + result.data.decorations.length + result.data.obstacles.length;
+        const summary = total > 0
+            ? `"${file.name}" has ${result.errors.length} invalid entr${result.errors.length === 1 ? 'y' : 'ies'}. ` +
+              `The other ${total} can still be loaded.`
+            : `"${file.name}" has no valid entries to load.`;
+        showImportReport(summary, result.errors, total > 0 ? result.data : null);
+    }).catch(e => showImportReport(`Couldn't read "${file.name}": ${e.message}`, [], null));
+}
+
+function applyImport(data) {
+    const before = captureSnapshot();
+    loadTrackData(data);
+    recordChange('Import track', before);
+    playThump();
+    document.getElementById('menu-overlay').style.display = 'none';
+}
+
+// Show what was wrong with the file; data is null when nothing can be loaded
+function showImportReport(summary, errors, data) {
+    pendingImport = data;
+
+    document.getElementById('import-summary').textContent = summary;
+
+    const list = document.getElementById('import-errors');
+    list.innerHTML = '';
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+    });
+    list.style.display = errors.length > 0 ? 'block' : 'none';
+
+    document.getElementById('import-load-btn').style.display = data ? 'block' : 'none';
+    document.getElementById('import-overlay').style.display = 'flex';
+}
+
+function hideImportReport() {
+    pendingImport = null;
+    document.getElementById('import-overlay').style.display = 'none';
+}
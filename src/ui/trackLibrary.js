@@ -0,0 +1,237 @@
+// Track Library - Save, rename, duplicate, delete and load named tracks from the build menu
+
+import * as state from '../state.js';
+import {
+    saveToLocalStorage, loadFromLocalStorage, listSavedTracks, hasSavedTrack,
+    getSavedTrackInfo, renameSavedTrack, duplicateSavedTrack, deleteSavedTrack, getShareUrl
+} from '../track/serialize.js';
+import { captureSnapshot, recordChange } from '../track/history.js';
+import { playThump, playDelete } from '../audio/audioManager.js';
+
+let isInitialized = false;
+
+// Name of the track last saved or loaded, used as the default save name
+let currentTrackName = '';
+
+// Initialize the library controls in the menu overlay
+export function initTrackLibrary() {
+    if (isInitialized) return;
+    isInitialized = true;
+
+    const nameInput = document.getElementById('library-name-input');
+
+    document.getElementById('library-save-btn').addEventListener('click', () => {
+        saveCurrentTrack(nameInput.value.trim());
+    });
+
+    nameInput.addEventListener('keydown', (e) => {
+        e.stopPropagation(); // Keep builder shortcuts (R/Q/E) out of the text field
+        if (e.key === 'Enter') saveCurrentTrack(nameInput.value.trim());
+    });
+
+    document.getElementById('share-link-btn').addEventListener('click', copyShareLink);
+
+    refreshTrackLibrary();
+}
+
+// Rebuild the saved track list
+export function refreshTrackLibrary() {
+    const list = document.getElementById('library-list');
+    const nameInput = document.getElementById('library-name-input');
+    if (!list) return;
+
+    nameInput.value = currentTrackName;
+    list.innerHTML = '';
+
+    const tracks = listSavedTracks()
+        .map(name => getSavedTrackInfo(name))
+        .filter(info => info !== null)
+        .sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+
+    if (tracks.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'library-empty';
+        empty.textContent = 'No saved tracks yet';
+        list.appendChild(empty);
+        return;
+    }
+
+    tracks.forEach(info => list.appendChild(createTrackEntry(info)));
+}
+
+function createTrackEntry(info) {
+    const entry = document.createElement('div');
+    entry.className = 'library-entry';
+
+    const details = document.createElement('div');
+    details.className = 'library-details';
+
+    const name = document.createElement('span');
+    name.className = 'library-track-name';
+    name.textContent = info.name;
+    details.appendChild(name);
+
+    const meta = document.createElement('span');
+    meta.className = 'library-track-meta';
+    const pieces = `${info.pieceCount} piece${info.pieceCount === 1 ? '' : 's'}`;
+    const date = info.savedAt ? formatSavedDate(info.savedAt) : 'Unknown date';
+    meta.textContent = `${pieces} · ${date} · `;
+    const status = document.createElement('span');
+    status.className = 'library-track-status' + (info.closed ? ' closed' : '');
+    status.textContent = info.closed ? 'Closed' : 'Open';
+    meta.appendChild(status);
+    details.appendChild(meta);
+
+    entry.appendChild(details);
+
+    const actions = document.createElement('div');
+    actions.className = 'library-actions';
+    actions.appendChild(createActionButton('Load', () => loadTrack(info.name)));
+    actions.appendChild(createActionButton('Rename', () => startRename(name, info.name)));
+    actions.appendChild(createActionButton('Copy', () => duplicateTrack(info.name)));
+    actions.appendChild(createActionButton('Delete', () => deleteTrack(info.name), true));
+    entry.appendChild(actions);
+
+    return entry;
+}
+
+function createActionButton(label, onClick, danger = false) {
+    const btn = document.createElement('button');
+    btn.className = 'library-btn' + (danger ? ' danger' : '');
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    return btn;
+}
+
+function formatSavedDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+function showLibraryMessage(text, isError = false) {
+    const message = document.getElementById('library-message');
+    if (!message) return;
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+}
+
+function saveCurrentTrack(name) {
+    if (!name) {
+        showLibraryMessage('Enter a name to save this track', true);
+        return;
+    }
+    if (state.placedPieces.length === 0) {
+        showLibraryMessage('Nothing to save - place some pieces first', true);
+        return;
+    }
+    if (hasSavedTrack(name) && name !== currentTrackName &&
+        !confirm(`Overwrite the saved track "${name}"?`)) {
+        return;
+    }
+
+    try {
+        saveToLocalStorage(name);
+    } catch (e) {
+        showLibraryMessage(`Couldn't save "${name}": ${e.message}`, true);
+        return;
+    }
+    currentTrackName = name;
+    playThump();
+    showLibraryMessage(`Saved "${name}"`);
+    refreshTrackLibrary();
+}
+
+function loadTrack(name) {
+    const before = captureSnapshot();
+    try {
+        loadFromLocalStorage(name);
+    } catch (e) {
+        showLibraryMessage(e.message, true);
+        return;
+    }
+    recordChange(`Load "${name}"`, before);
+
+    currentTrackName = name;
+    playThump();
+    showLibraryMessage('');
+    document.getElementById('menu-overlay').style.display = 'none';
+}
+
+// Swap the name label for an inline text field
+function startRename(nameLabel, oldName) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'library-name-input';
+    input.value = oldName;
+    input.maxLength = 32;
+    nameLabel.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+        if (done) return;
+        done = true;
+        const newName = input.value.trim();
+        if (commit && newName && newName !== oldName) {
+            try {
+                renameSavedTrack(oldName, newName);
+                if (currentTrackName === oldName) currentTrackName = newName;
+                showLibraryMessage(`Renamed to "${newName}"`);
+            } catch (e) {
+                showLibraryMessage(e.message, true);
+            }
+        }
+        refreshTrackLibrary();
+    };
+
+    input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+function duplicateTrack(name) {
+    try {
+        const copyName = duplicateSavedTrack(name);
+        showLibraryMessage(`Copied to "${copyName}"`);
+    } catch (e) {
+        showLibraryMessage(e.message, true);
+    }
+    refreshTrackLibrary();
+}
+
+function deleteTrack(name) {
+    if (!confirm(`Delete the saved track "${name}"?`)) return;
+
+    deleteSavedTrack(name);
+    if (currentTrackName === name) currentTrackName = '';
+    playDelete();
+    showLibraryMessage(`Deleted "${name}"`);
+    refreshTrackLibrary();
+}
+
+function copyShareLink() {
+    if (state.placedPieces.length === 0) {
+        showLibraryMessage('Nothing to share - place some pieces first', true);
+        return;
+    }
+
+    const url = getShareUrl();
+    const askToCopy = () => window.prompt('Copy this link to share your track:', url);
+
+    // No clipboard API off https or in older browsers
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+        askToCopy();
+        return;
+    }
+    navigator.clipboard.writeText(url)
+        .then(() => showLibraryMessage('Share link copied to clipboard'))
+        .catch(askToCopy);
+}